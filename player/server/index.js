@@ -0,0 +1,274 @@
+/**
+ * Hitster Room Server
+ *
+ * Small WebSocket server for multi-phone games on the local network. The
+ * host device creates a room, players join from their phones by scanning
+ * the room QR code, and TV displays can follow along from any device.
+ *
+ * Protocol (JSON messages over /ws):
+ *   Client -> server
+ *     { type: 'create' }                                  host opens a room
+ *     { type: 'join', room, name, role }                  player or display joins
+ *     { type: 'resume', room, sessionId }                 reconnect to the same seat
+ *     { type: <command>, requestId, ...payload }          see Room.handleCommand
+ *   Server -> client
+ *     { type: 'joined', room, sessionId, role, playerId }
+ *     { type: 'state', room, buzzes, snapshot | game, card, playerId }
+ *     { type: 'result', requestId, ok, result | error }
+ *     { type: 'event', event }
+ *     { type: 'display', payload }                         TV display relay
+ *
+ * HTTP:
+ *   GET /health
+ *   GET /api/resolve-link?url=<short link>  -> { url }  expands spotify.link cards
+ *
+ * Run with `npm start` in this directory. PORT defaults to 8787, MAX_ROOMS
+ * (rooms open at once) to 500.
+ */
+
+import http from 'node:http';
+import { WebSocketServer } from 'ws';
+import { Room, generateRoomCode, normalizeRoomCode } from './room.js';
+import { isShortLink, resolveShortLink } from './links.js';
+
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+
+// Dead connections are detected with ping/pong at this interval
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+// Rooms nobody is connected to are removed after this long
+const ROOM_IDLE_TTL_MS = 2 * 60 * 60 * 1000;
+
+// Largest accepted message (a track with album art URLs is well under this)
+const MAX_MESSAGE_BYTES = 64 * 1024;
+
+// Most rooms open at once, so clients can't allocate rooms without limit
+const MAX_ROOMS = parseInt(process.env.MAX_ROOMS, 10) || 500;
+
+/** @type {Map<string, Room>} */
+const rooms = new Map();
+
+const server = http.createServer((req, res) => {
+  let url;
+  try {
+    url = new URL(req.url, 'http://localhost');
+  } catch {
+    sendJson(res, 400, { error: 'Bad request' });
+    return;
+  }
+  const { pathname, searchParams } = url;
+
+  if (pathname === '/health') {
+    sendJson(res, 200, { ok: true, rooms: rooms.size });
+    return;
+  }
+
+  if (pathname === '/api/resolve-link') {
+    handleResolveLink(res, searchParams.get('url'));
+    return;
+  }
+
+  res.writeHead(404);
+  res.end();
+});
+
+const wss = new WebSocketServer({ server, path: '/ws', maxPayload: MAX_MESSAGE_BYTES });
+
+wss.on('connection', (socket) => {
+  let room = null;
+  let participant = null;
+
+  socket.isAlive = true;
+  socket.on('pong', () => {
+    socket.isAlive = true;
+  });
+
+  socket.on('message', (data) => {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch {
+      sendError(socket, null, 'Invalid message');
+      return;
+    }
+
+    if (message === null || typeof message !== 'object' || Array.isArray(message) || typeof message.type !== 'string') {
+      sendError(socket, null, 'Invalid message');
+      return;
+    }
+
+    try {
+      if (!participant) {
+        ({ room, participant } = handleHandshake(message));
+        room.attach(participant, socket);
+        return;
+      }
+
+      const result = room.handleCommand(participant, message);
+      room.broadcastState();
+      send(socket, { type: 'result', requestId: message.requestId, ok: true, result: result ?? null });
+    } catch (error) {
+      sendError(socket, message?.requestId, error.message, error.code);
+    }
+  });
+
+  socket.on('close', () => {
+    if (room && participant) {
+      room.detach(participant, socket);
+    }
+  });
+});
+
+/**
+ * Handle the first message on a connection: create, join or resume a room
+ * @param {Object} message
+ * @returns {{room: Room, participant: import('./room.js').Participant}}
+ */
+function handleHandshake(message) {
+  switch (message.type) {
+    case 'create': {
+      if (rooms.size >= MAX_ROOMS) {
+        throw codedError('The server is full - try again later', 'server_full');
+      }
+      const room = new Room(createUniqueCode());
+      rooms.set(room.code, room);
+      console.log(`Room ${room.code} created`);
+      return { room, participant: room.addParticipant('host', 'Host') };
+    }
+
+    case 'join': {
+      const room = requireRoom(message.room);
+      const role = message.role === 'display' ? 'display' : 'player';
+      return { room, participant: room.addParticipant(role, message.name) };
+    }
+
+    case 'resume': {
+      const room = requireRoom(message.room);
+      const participant = room.getParticipant(message.sessionId);
+      if (!participant) {
+        throw codedError('Your seat in this room is gone - join again', 'session_expired');
+      }
+      return { room, participant };
+    }
+
+    default:
+      throw new Error('Join a room first');
+  }
+}
+
+/**
+ * Expand a Spotify short link for the scanner
+ * @param {http.ServerResponse} res
+ * @param {string|null} url
+ */
+async function handleResolveLink(res, url) {
+  if (!url || !isShortLink(url)) {
+    sendJson(res, 400, { error: 'Not a Spotify short link' });
+    return;
+  }
+
+  try {
+    const trackUrl = await resolveShortLink(url);
+    sendJson(res, trackUrl ? 200 : 404, trackUrl ? { url: trackUrl } : { error: 'Link is not a Spotify track' });
+  } catch (error) {
+    console.warn(`Failed to resolve ${url}:`, error.message);
+    sendJson(res, 502, { error: 'Could not reach Spotify' });
+  }
+}
+
+/**
+ * Send a JSON HTTP response
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {Object} body
+ */
+function sendJson(res, status, body) {
+  // The web app may be served from another host than the room server
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Look up a room by code
+ * @param {string} code
+ * @returns {Room}
+ */
+function requireRoom(code) {
+  const room = rooms.get(normalizeRoomCode(code));
+  if (!room) {
+    throw codedError('Room not found - check the code', 'room_not_found');
+  }
+  return room;
+}
+
+/**
+ * Pick a room code that isn't in use
+ * @returns {string}
+ */
+function createUniqueCode() {
+  let code;
+  do {
+    code = generateRoomCode();
+  } while (rooms.has(code));
+  return code;
+}
+
+/**
+ * Create an error with a machine-readable code for the client
+ * @param {string} message
+ * @param {string} code
+ * @returns {Error}
+ */
+function codedError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Send a JSON message if the socket is open
+ * @param {import('ws').WebSocket} socket
+ * @param {Object} message
+ */
+function send(socket, message) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Send a failed result
+ * @param {import('ws').WebSocket} socket
+ * @param {string|null} requestId
+ * @param {string} error
+ * @param {string} [code]
+ */
+function sendError(socket, requestId, error, code = null) {
+  send(socket, { type: 'result', requestId: requestId ?? null, ok: false, error, code });
+}
+
+// Drop dead connections and rooms nobody has used in a while
+const heartbeat = setInterval(() => {
+  wss.clients.forEach((socket) => {
+    if (!socket.isAlive) {
+      socket.terminate();
+      return;
+    }
+    socket.isAlive = false;
+    socket.ping();
+  });
+
+  const now = Date.now();
+  for (const [code, room] of rooms) {
+    if (!room.hasConnections && now - room.lastActivity > ROOM_IDLE_TTL_MS) {
+      rooms.delete(code);
+      console.log(`Room ${code} closed after being idle`);
+    }
+  }
+}, HEARTBEAT_INTERVAL_MS);
+
+wss.on('close', () => clearInterval(heartbeat));
+
+server.listen(PORT, () => {
+  console.log(`Hitster room server listening on port ${PORT}`);
+});
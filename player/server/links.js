@@ -0,0 +1,88 @@
+/**
+ * Short Link Resolver
+ *
+ * Expands Spotify short links (spotify.link, spoti.fi) printed on some cards.
+ * Browsers can't follow these themselves: the redirects aren't CORS-enabled.
+ * Only known short-link and Spotify hosts are fetched - on every redirect hop,
+ * not just the first - so this can't be used as an open proxy.
+ */
+
+/** Hosts we expand */
+const SHORT_LINK_HOSTS = ['spotify.link', 'spoti.fi', 'link.tospotify.com'];
+
+/** Hosts a short link may redirect through on its way to the track */
+const REDIRECT_HOSTS = [...SHORT_LINK_HOSTS, 'spotify.app.link', 'open.spotify.com', 'spotify.com', 'www.spotify.com'];
+
+/** Redirects followed before giving up */
+const MAX_REDIRECTS = 5;
+
+/** Per-request timeout */
+const FETCH_TIMEOUT_MS = 5000;
+
+const TRACK_URL_PATTERN = /https:\/\/open\.spotify\.com\/(?:intl-[a-z-]+\/)?track\/[A-Za-z0-9]+/;
+
+/**
+ * Whether a URL is a short link this server expands
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isShortLink(url) {
+  return isOnHost(url, SHORT_LINK_HOSTS);
+}
+
+/**
+ * Whether a URL is http(s) on one of the given hosts
+ * @param {string} url
+ * @param {string[]} hosts
+ * @returns {boolean}
+ */
+function isOnHost(url, hosts) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return (protocol === 'https:' || protocol === 'http:') && hosts.includes(hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Follow a short link to the open.spotify.com track URL it points at
+ * @param {string} url - Short link
+ * @returns {Promise<string|null>} Track URL, or null if it doesn't lead to a track
+ */
+export async function resolveShortLink(url) {
+  if (!isShortLink(url)) {
+    throw new Error('Not a Spotify short link');
+  }
+
+  let current = url;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const match = current.match(TRACK_URL_PATTERN);
+    if (match) {
+      return match[0];
+    }
+
+    // Never fetch a host the link redirected us to unless it's Spotify's
+    if (!isOnHost(current, REDIRECT_HOSTS)) {
+      throw new Error(`Refusing to follow redirect to ${current}`);
+    }
+
+    const response = await fetch(current, {
+      redirect: 'manual',
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+    });
+
+    const location = response.headers.get('location');
+    if (response.status >= 300 && response.status < 400 && location) {
+      current = new URL(location, current).toString();
+      continue;
+    }
+
+    // Some short links answer with an HTML page that links to the track
+    const body = response.ok ? await response.text() : '';
+    return body.match(TRACK_URL_PATTERN)?.[0] || null;
+  }
+
+  return null;
+}
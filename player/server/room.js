@@ -0,0 +1,465 @@
+/**
+ * Room - One multi-phone game on the room server
+ *
+ * A room is created by the host device and joined by player phones and TV
+ * displays using its short room code. The room owns the authoritative
+ * HitsterGame: the host and players send commands, the room validates them
+ * against the sender's role, applies them and broadcasts the new state.
+ *
+ * Player phones only ever receive the public view of the game (see
+ * game-view.js) so the card in play stays hidden until it is revealed. The
+ * host receives the full game snapshot.
+ *
+ * Every participant gets a session ID when joining; reconnecting with it
+ * resumes the same seat, so a locked phone or a flaky network doesn't drop
+ * a player out of the game.
+ */
+
+import { randomUUID } from 'node:crypto';
+import { HitsterGame } from '../src/game.js';
+import { toPublicGame, toPublicCard } from '../src/game-view.js';
+
+/** Letters used in room codes (no vowels, so codes never spell words) */
+const CODE_ALPHABET = 'BCDFGHJKLMNPQRSTVWXZ';
+
+/** Room code length */
+const CODE_LENGTH = 4;
+
+/** Longest accepted player name */
+const MAX_NAME_LENGTH = 24;
+
+const TRACK_URI_PATTERN = /^spotify:track:[A-Za-z0-9]+$/;
+
+/**
+ * @typedef {'host'|'player'|'display'} Role
+ */
+
+/**
+ * @typedef {Object} Participant
+ * @property {string} sessionId - Secret used to resume the seat after a reconnect
+ * @property {Role} role
+ * @property {string} name
+ * @property {string|null} playerId - Game player controlled by this participant
+ * @property {import('ws').WebSocket|null} socket - Current connection, null while disconnected
+ */
+
+/**
+ * Generate a random room code
+ * @returns {string}
+ */
+export function generateRoomCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Check a track sent by the host before a round is built on it
+ * @param {*} track
+ * @returns {import('../src/playback-engine.js').TrackInfo}
+ */
+function requireTrack(track) {
+  const valid = track !== null && typeof track === 'object' && !Array.isArray(track) &&
+    typeof track.uri === 'string' && TRACK_URI_PATTERN.test(track.uri) &&
+    (track.year === null || Number.isInteger(track.year));
+
+  if (!valid) {
+    throw new Error('Invalid track');
+  }
+  return track;
+}
+
+/**
+ * Normalize a room code typed by a player
+ * @param {string} code
+ * @returns {string}
+ */
+export function normalizeRoomCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+export class Room {
+  /**
+   * @param {string} code - Room code
+   */
+  constructor(code) {
+    this.code = code;
+    this.createdAt = Date.now();
+    this.lastActivity = Date.now();
+
+    /** @type {Map<string, Participant>} */
+    this._participants = new Map();
+    this._game = null;
+    this._buzzes = [];
+    this._lastDisplayState = null;
+  }
+
+  /**
+   * Whether anyone is still connected
+   * @returns {boolean}
+   */
+  get hasConnections() {
+    return [...this._participants.values()].some(p => p.socket);
+  }
+
+  /**
+   * Add a participant to the room
+   * @param {Role} role
+   * @param {string} [name]
+   * @returns {Participant}
+   */
+  addParticipant(role, name = '') {
+    if (role === 'host' && this._findHost()) {
+      throw new Error('This room already has a host');
+    }
+
+    const participant = {
+      sessionId: randomUUID(),
+      role,
+      name: String(name || '').trim().slice(0, MAX_NAME_LENGTH),
+      playerId: null,
+      socket: null
+    };
+
+    if (role === 'player') {
+      if (!participant.name) {
+        throw new Error('Enter your name to join');
+      }
+      participant.playerId = this._claimGamePlayer(participant.name);
+    }
+
+    this._participants.set(participant.sessionId, participant);
+    return participant;
+  }
+
+  /**
+   * Find a participant by session ID
+   * @param {string} sessionId
+   * @returns {Participant|null}
+   */
+  getParticipant(sessionId) {
+    return this._participants.get(sessionId) || null;
+  }
+
+  /**
+   * Bind a participant to a (new) connection and send them the current state
+   * @param {Participant} participant
+   * @param {import('ws').WebSocket} socket
+   */
+  attach(participant, socket) {
+    if (participant.socket && participant.socket !== socket) {
+      // A newer connection takes over the seat
+      participant.socket.close(4000, 'Session resumed elsewhere');
+    }
+
+    participant.socket = socket;
+    this.lastActivity = Date.now();
+
+    this._send(participant, {
+      type: 'joined',
+      room: this.code,
+      sessionId: participant.sessionId,
+      role: participant.role,
+      playerId: participant.playerId
+    });
+
+    if (participant.role === 'display') {
+      if (this._lastDisplayState) {
+        this._send(participant, { type: 'display', payload: this._lastDisplayState });
+      }
+    }
+
+    this.broadcastState();
+  }
+
+  /**
+   * Mark a participant's connection as gone (the seat is kept for resuming)
+   * @param {Participant} participant
+   * @param {import('ws').WebSocket} socket
+   */
+  detach(participant, socket) {
+    if (participant.socket !== socket) return;
+
+    participant.socket = null;
+    this.lastActivity = Date.now();
+    this.broadcastState();
+  }
+
+  /**
+   * Apply a command sent by a participant
+   * @param {Participant} participant - Sender
+   * @param {Object} message - { type, ...payload }
+   * @returns {*} Command result, sent back to the sender
+   */
+  handleCommand(participant, message) {
+    this.lastActivity = Date.now();
+
+    switch (message.type) {
+      case 'start_game':
+        this._requireRole(participant, 'host');
+        return this._startGame(message);
+
+      case 'start_round':
+        this._requireRole(participant, 'host');
+        this._requireGame().startRound(requireTrack(message.track));
+        this._buzzes = [];
+        return null;
+
+      case 'place':
+        this._requireRoundPlayer(participant);
+        this._requireGame().placeCard(message.position);
+        return null;
+
+      case 'challenge':
+        return this._requireGame().challenge(this._actingPlayerId(participant, message.playerId), message.position);
+
+      case 'award_named':
+        this._requireRole(participant, 'host');
+        return this._requireGame().awardNamingToken(message.playerId || null);
+
+      case 'skip':
+        this._requireRoundPlayer(participant);
+        return this._requireGame().skipSong();
+
+      case 'buy':
+        this._requireRoundPlayer(participant);
+        return this._requireGame().buyCard();
+
+      case 'lock':
+        this._requireRole(participant, 'host');
+        this._requireGame().lockRound();
+        return null;
+
+      case 'resolve':
+        this._requireRole(participant, 'host');
+        return this._resolveRound();
+
+      case 'buzz':
+        return this._buzz(participant);
+
+      case 'display':
+        this._requireRole(participant, 'host');
+        this._relayDisplayState(message.payload);
+        return null;
+
+      case 'display_hello':
+        this._requireRole(participant, 'display');
+        this._sendToHost({ type: 'display', payload: { type: 'hello' } });
+        return null;
+
+      default:
+        throw new Error(`Unknown command: ${message.type}`);
+    }
+  }
+
+  /**
+   * Send every connected participant the state for their role
+   */
+  broadcastState() {
+    const participants = [...this._participants.values()].map(p => ({
+      name: p.name,
+      role: p.role,
+      playerId: p.playerId,
+      connected: Boolean(p.socket)
+    }));
+
+    const room = { code: this.code, participants };
+    const publicGame = this._game ? toPublicGame(this._game) : null;
+    const round = this._game?.currentRound;
+    const card = round ? toPublicCard(round.track, this._isRevealed(round)) : null;
+
+    for (const participant of this._participants.values()) {
+      if (!participant.socket || participant.role === 'display') continue;
+
+      const state = { type: 'state', room, buzzes: this._buzzes };
+      if (participant.role === 'host') {
+        state.snapshot = this._game ? this._game.toJSON() : null;
+      } else {
+        state.playerId = participant.playerId;
+        state.game = publicGame;
+        state.card = card;
+      }
+
+      this._send(participant, state);
+    }
+  }
+
+  /**
+   * Start a new game with every joined player plus any players the host adds
+   * for people without a phone
+   * @private
+   */
+  _startGame({ targetCards, extraPlayers = [] }) {
+    const phones = [...this._participants.values()].filter(p => p.role === 'player');
+    const names = [
+      ...phones.map(p => p.name),
+      ...extraPlayers.map(name => String(name).trim().slice(0, MAX_NAME_LENGTH)).filter(Boolean)
+    ];
+
+    const game = new HitsterGame({ players: names, targetCards });
+
+    // HitsterGame assigns IDs in name order, phones first
+    phones.forEach((participant, index) => {
+      participant.playerId = game.players[index].id;
+    });
+
+    this._game = game;
+    this._buzzes = [];
+    return { gameId: game.id };
+  }
+
+  /**
+   * Judge the round with the year of the track the host started it with
+   * @private
+   */
+  _resolveRound() {
+    const game = this._requireGame();
+    const round = game.currentRound;
+    return game.resolveRound(round?.track.year ?? null);
+  }
+
+  /**
+   * Record a player buzzing in to name the song
+   * @private
+   */
+  _buzz(participant) {
+    const game = this._requireGame();
+    if (!participant.playerId) {
+      throw new Error('Only players in the game can buzz');
+    }
+    if (!game.hasPendingRound) {
+      throw new Error('There is no song to name right now');
+    }
+    if (game.currentRound.locked) {
+      throw new Error("Time's up - no more buzzing");
+    }
+    if (this._buzzes.some(b => b.playerId === participant.playerId)) {
+      throw new Error('You already buzzed this round');
+    }
+
+    const buzz = { playerId: participant.playerId, at: Date.now() };
+    this._buzzes.push(buzz);
+    this._broadcast({ type: 'event', event: { type: 'buzz', ...buzz, order: this._buzzes.length } });
+    return buzz;
+  }
+
+  /**
+   * Forward display state from the host to every TV display in the room
+   * @private
+   */
+  _relayDisplayState(payload) {
+    this._lastDisplayState = payload;
+
+    for (const participant of this._participants.values()) {
+      if (participant.role === 'display' && participant.socket) {
+        this._send(participant, { type: 'display', payload });
+      }
+    }
+  }
+
+  /**
+   * A round is revealed once it has been judged (skipped songs stay hidden)
+   * @private
+   */
+  _isRevealed(round) {
+    return round.resolved && round.outcome !== 'skipped';
+  }
+
+  /**
+   * Link a phone joining mid-game to the game player with the same name
+   * @private
+   */
+  _claimGamePlayer(name) {
+    if (!this._game) return null;
+
+    const taken = new Set([...this._participants.values()].map(p => p.playerId).filter(Boolean));
+    const match = this._game.players.find(p =>
+      !taken.has(p.id) && p.name.toLowerCase() === name.toLowerCase()
+    );
+    return match?.id || null;
+  }
+
+  /**
+   * The host acts for any player; players only act for themselves
+   * @private
+   */
+  _actingPlayerId(participant, playerId) {
+    if (participant.role === 'host') {
+      return playerId;
+    }
+    this._requireRole(participant, 'player');
+    if (!participant.playerId) {
+      throw new Error('You are not playing in this game');
+    }
+    return participant.playerId;
+  }
+
+  /**
+   * @private
+   */
+  _requireGame() {
+    if (!this._game) {
+      throw new Error('The host has not started a game yet');
+    }
+    return this._game;
+  }
+
+  /**
+   * @private
+   */
+  _requireRole(participant, role) {
+    if (participant.role !== role) {
+      throw new Error(`Only the ${role} can do that`);
+    }
+  }
+
+  /**
+   * Round actions are for the host or the player whose turn it is
+   * @private
+   */
+  _requireRoundPlayer(participant) {
+    if (participant.role === 'host') return;
+
+    const round = this._requireGame().currentRound;
+    if (!round || participant.playerId !== round.playerId) {
+      throw new Error("It's not your turn");
+    }
+  }
+
+  /**
+   * @private
+   */
+  _findHost() {
+    return [...this._participants.values()].find(p => p.role === 'host') || null;
+  }
+
+  /**
+   * @private
+   */
+  _sendToHost(message) {
+    const host = this._findHost();
+    if (host) {
+      this._send(host, message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _broadcast(message) {
+    for (const participant of this._participants.values()) {
+      this._send(participant, message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _send(participant, message) {
+    if (participant.socket?.readyState === 1) {
+      participant.socket.send(JSON.stringify(message));
+    }
+  }
+}
@@ -0,0 +1,336 @@
+/**
+ * Active Deck Module
+ *
+ * The deck being played: its titles, artists and years are the answers on
+ * reveal, its songs are prefetched into the track cache, and in digital draw
+ * games the app deals its songs instead of scanning cards. Decks come from
+ * the deck builder, the library, a deck file or a share link/QR code, and
+ * the choice is remembered across reloads.
+ */
+
+import { openDeckBuilder } from './deck-builder.js';
+import { openDeckLibrary } from './deck-library.js';
+import { openPrintDialog } from './print-dialog.js';
+import { DrawPile } from './draw-pile.js';
+import { parseDeckShare, decodeDeck, DeckShareCollector } from './deck-share.js';
+import { createDeck, combineDecks, songTrackUri, findDeckSong, parseDeckFile } from './deck.js';
+import { saveDeck, getDeck } from './deck-store.js';
+import { showToast, renderActiveDeck, renderDrawButton } from './ui.js';
+
+const ACTIVE_DECK_KEY = 'hitster_active_deck';
+const DIGITAL_DRAW_KEY = 'hitster_digital_draw';
+
+const deckShareCollector = new DeckShareCollector();
+
+let spotifyApi = null;
+let trackCache = null;
+
+/** Deck being played, if any */
+let activeDeck = null;
+
+/** Spotify URIs of the deck being played, if known - prefetched when a game starts */
+let deckTrackUris = [];
+
+/** Shuffled songs dealt by the app in digital draw games, instead of scanning cards */
+let drawPile = null;
+let digitalDraw = localStorage.getItem(DIGITAL_DRAW_KEY) === 'true';
+
+/**
+ * Give the module the app's Spotify clients
+ * @param {Object} options
+ * @param {import('./spotify-api.js').SpotifyApiClient} options.api - For the deck builder and library
+ * @param {import('./track-cache.js').TrackCache} options.trackCache - Warmed with the deck's songs
+ */
+export function setupActiveDeck({ api, trackCache: cache }) {
+  spotifyApi = api;
+  trackCache = cache;
+}
+
+/**
+ * Wire up the deck buttons of the game setup overlay
+ */
+export function setupDeckHandlers() {
+  const buildDeckBtn = document.getElementById('build-deck-btn');
+  const deckFileInput = document.getElementById('deck-file-input');
+  const printDeckBtn = document.getElementById('print-deck-btn');
+  const libraryBtn = document.getElementById('library-btn');
+  const digitalDrawBtn = document.getElementById('digital-draw-btn');
+  const clearDeckBtn = document.getElementById('clear-deck-btn');
+
+  if (buildDeckBtn) {
+    const newBuildDeckBtn = buildDeckBtn.cloneNode(true);
+    buildDeckBtn.parentNode.replaceChild(newBuildDeckBtn, buildDeckBtn);
+    newBuildDeckBtn.addEventListener('click', () => openDeckBuilder({
+      api: spotifyApi,
+      onSaved: setActiveDeck
+    }));
+  }
+
+  if (deckFileInput) {
+    const newDeckFileInput = deckFileInput.cloneNode(true);
+    deckFileInput.parentNode.replaceChild(newDeckFileInput, deckFileInput);
+    newDeckFileInput.addEventListener('change', (e) => {
+      handleDeckFile(e.target.files[0]);
+      // Allow loading the same file again after editing it
+      e.target.value = '';
+    });
+  }
+
+  if (libraryBtn) {
+    const newLibraryBtn = libraryBtn.cloneNode(true);
+    libraryBtn.parentNode.replaceChild(newLibraryBtn, libraryBtn);
+    newLibraryBtn.addEventListener('click', () => openDeckLibrary({
+      api: spotifyApi,
+      selectedIds: activeDeck ? activeDeck.id.split('+') : [],
+      onPlay: (decks) => setActiveDeck(combineDecks(decks)),
+      // Renamed or deleted decks: reload what's being played
+      onChange: restoreActiveDeck
+    }));
+  }
+
+  if (digitalDrawBtn) {
+    const newDigitalDrawBtn = digitalDrawBtn.cloneNode(true);
+    digitalDrawBtn.parentNode.replaceChild(newDigitalDrawBtn, digitalDrawBtn);
+    newDigitalDrawBtn.addEventListener('click', () => {
+      digitalDraw = !digitalDraw;
+      localStorage.setItem(DIGITAL_DRAW_KEY, String(digitalDraw));
+      renderDeckPanel();
+    });
+  }
+
+  if (printDeckBtn) {
+    const newPrintDeckBtn = printDeckBtn.cloneNode(true);
+    printDeckBtn.parentNode.replaceChild(newPrintDeckBtn, printDeckBtn);
+    newPrintDeckBtn.addEventListener('click', () => {
+      if (activeDeck) openPrintDialog(activeDeck);
+    });
+  }
+
+  if (clearDeckBtn) {
+    const newClearDeckBtn = clearDeckBtn.cloneNode(true);
+    clearDeckBtn.parentNode.replaceChild(newClearDeckBtn, clearDeckBtn);
+    newClearDeckBtn.addEventListener('click', clearActiveDeck);
+  }
+}
+
+/**
+ * @returns {import('./deck.js').Deck|null}
+ */
+export function getActiveDeck() {
+  return activeDeck;
+}
+
+/**
+ * Spotify URIs of the deck being played, card 1 first
+ * @returns {string[]}
+ */
+export function getDeckTrackUris() {
+  return deckTrackUris;
+}
+
+/**
+ * Play card numbers from a list of songs without a deck (for debugging)
+ * @param {string[]} trackUris - Spotify track URIs
+ */
+export function setDeckTrackUris(trackUris) {
+  deckTrackUris = trackUris;
+}
+
+/**
+ * The draw pile of a digital draw game, if one is being dealt
+ * @returns {DrawPile|null}
+ */
+export function getDrawPile() {
+  return drawPile;
+}
+
+/**
+ * Render the deck section of the game setup overlay
+ */
+export function renderDeckPanel() {
+  renderActiveDeck(activeDeck, { digitalDraw });
+}
+
+/**
+ * Shuffle the active deck for a digital draw game, or go back to scanning cards
+ */
+export function startDrawPile() {
+  drawPile = digitalDraw && activeDeck && deckTrackUris.length > 0
+    ? DrawPile.start(activeDeck.id.split('+'), deckTrackUris)
+    : null;
+
+  if (!drawPile) {
+    DrawPile.clear();
+  }
+  renderDrawButton(drawPile);
+}
+
+/**
+ * Warm the track cache with a deck so scans and reveals don't wait on the network
+ * @param {string[]} trackUris - Spotify track URIs
+ */
+export function prefetchDeck(trackUris) {
+  const trackIds = trackUris.map(uri => uri.split(':')[2]).filter(Boolean);
+  if (trackIds.length === 0) return;
+
+  trackCache.prefetchTracks(trackIds)
+    .then(({ cached, fetched, missing, failed }) => {
+      console.log(`Deck prefetched: ${fetched} fetched, ${cached} already cached, ${missing} missing, ${failed} failed`);
+    })
+    .catch((error) => {
+      console.warn('Deck prefetch failed:', error.message);
+    });
+}
+
+/**
+ * Play cards from a deck (remembered across reloads)
+ * @param {import('./deck.js').Deck} deck
+ */
+function setActiveDeck(deck) {
+  activeDeck = deck;
+  deckTrackUris = deck.songs.map(songTrackUri).filter(Boolean);
+  localStorage.setItem(ACTIVE_DECK_KEY, deck.id);
+  renderDeckPanel();
+  // A pile dealt from other decks no longer applies
+  if (drawPile && drawPile.deckIds.join('+') !== deck.id) {
+    drawPile = null;
+    DrawPile.clear();
+    renderDrawButton(null);
+  }
+  prefetchDeck(deckTrackUris);
+  showToast(`Playing from "${deck.name}"`, 'info', 2000);
+}
+
+/**
+ * Stop playing from a deck; any card plays with Spotify's details
+ */
+function clearActiveDeck() {
+  activeDeck = null;
+  deckTrackUris = [];
+  localStorage.removeItem(ACTIVE_DECK_KEY);
+  renderDeckPanel();
+  drawPile = null;
+  DrawPile.clear();
+  renderDrawButton(null);
+}
+
+/**
+ * Load the decks that were being played before a reload, and the draw pile
+ * dealt from them
+ */
+export async function restoreActiveDeck() {
+  const deckId = localStorage.getItem(ACTIVE_DECK_KEY);
+  if (!deckId) return;
+
+  try {
+    // Decks played together are saved as "id+id"
+    const decks = (await Promise.all(deckId.split('+').map(getDeck))).filter(Boolean);
+    if (decks.length === 0) {
+      clearActiveDeck();
+      return;
+    }
+    activeDeck = combineDecks(decks);
+    deckTrackUris = activeDeck.songs.map(songTrackUri).filter(Boolean);
+    localStorage.setItem(ACTIVE_DECK_KEY, activeDeck.id);
+    renderDeckPanel();
+
+    drawPile = DrawPile.restore(activeDeck.id.split('+'), deckTrackUris);
+    renderDrawButton(drawPile);
+  } catch (error) {
+    console.warn('Could not restore the active deck:', error);
+  }
+}
+
+/**
+ * Import a deck file (songs.csv format or JSON) and play from it
+ * @param {File} file
+ */
+async function handleDeckFile(file) {
+  if (!file) return;
+
+  try {
+    const { name, songs, yearOverrides } = parseDeckFile(await file.text(), file.name);
+    const deck = await saveDeck(createDeck({ name, songs, yearOverrides }));
+    setActiveDeck(deck);
+  } catch (error) {
+    console.error('Deck import failed:', error);
+    showToast(`Couldn't load the deck: ${error.message}`, 'error', 5000);
+  }
+}
+
+/**
+ * Collect the QR codes of a shared deck; import it once all parts are in
+ * @param {import('./deck-share.js').DeckSharePart} part
+ */
+export function addDeckSharePart(part) {
+  const { received, total, complete } = deckShareCollector.add(part);
+
+  if (!complete) {
+    showToast(`Deck: ${received} of ${total} parts - keep scanning`, 'info', 1500);
+    return;
+  }
+
+  const encoded = deckShareCollector.encoded;
+  deckShareCollector.reset();
+  importSharedDeck(encoded);
+}
+
+/**
+ * Import a deck opened from a share link (/#deck=...)
+ */
+export function importDeckFromUrl() {
+  const part = parseDeckShare(window.location.hash);
+  if (!part) return;
+
+  // Don't import it again on reload
+  history.replaceState(null, '', window.location.pathname + window.location.search);
+
+  if (part.total > 1) {
+    showToast(`That was part ${part.index} of ${part.total} of a deck - scan all its QR codes with the player`, 'warning', 6000);
+    return;
+  }
+  importSharedDeck(part.data);
+}
+
+/**
+ * Save a shared deck and play from it
+ * @param {string} encoded - From the link or the joined QR codes
+ */
+async function importSharedDeck(encoded) {
+  try {
+    const { name, songs, yearOverrides } = await decodeDeck(encoded);
+    if (!confirm(`Add the deck "${name}" (${songs.length} songs) and play from it?`)) {
+      return;
+    }
+    const deck = await saveDeck(createDeck({ name, songs, yearOverrides }));
+    setActiveDeck(deck);
+  } catch (error) {
+    console.error('Shared deck import failed:', error);
+    showToast(`Couldn't import the deck: ${error.message}`, 'error', 5000);
+  }
+}
+
+/**
+ * Use the active deck's title, artist and year - what's printed on the card -
+ * with Spotify's details only filling gaps
+ * @param {import('./playback-engine.js').TrackInfo} track
+ * @param {string} scannedUri - URI from the card (Spotify may relink it to another track)
+ * @returns {import('./playback-engine.js').TrackInfo & {inDeck?: boolean}} inDeck is set when a deck is active
+ */
+export function applyDeckMetadata(track, scannedUri) {
+  if (!activeDeck) return track;
+
+  const song = findDeckSong(activeDeck, scannedUri) || findDeckSong(activeDeck, track.uri);
+  if (!song) {
+    return { ...track, inDeck: false };
+  }
+
+  return {
+    ...track,
+    name: song.title || track.name,
+    artists: song.artist ? [song.artist] : track.artists,
+    artistString: song.artist || track.artistString,
+    year: song.year ?? track.year,
+    inDeck: true
+  };
+}
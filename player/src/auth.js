@@ -2,6 +2,8 @@
  * Spotify OAuth Authentication Module
  * 
  * Handles the OAuth 2.0 Authorization Code with PKCE flow for Spotify Web API.
+ * Access tokens are renewed silently with the refresh token before they expire,
+ * so a session lasts as long as the refresh token stays valid.
  * 
  * SETUP:
  * 1. Go to https://developer.spotify.com/dashboard
@@ -23,14 +25,24 @@ const SCOPES = [
   'user-read-currently-playing', // Get currently playing track
   'streaming',                   // Web Playback SDK
   'user-read-email',             // Required by Web Playback SDK
-  'user-read-private'            // Required by Web Playback SDK
+  'user-read-private',           // Required by Web Playback SDK
+  'playlist-read-private',       // Deck builder: import your private playlists
+  'playlist-read-collaborative'  // Deck builder: import collaborative playlists
 ].join(' ');
 
 // Token storage keys
 const TOKEN_KEY = 'hitster_spotify_token';
 const TOKEN_EXPIRY_KEY = 'hitster_spotify_token_expiry';
+const REFRESH_TOKEN_KEY = 'hitster_spotify_refresh_token';
 const CODE_VERIFIER_KEY = 'hitster_code_verifier';
 
+// Refresh this long before the access token actually expires
+const REFRESH_BUFFER_MS = 5 * 60 * 1000; // 5 minutes
+
+// Refresh state - only one refresh request may be in flight at a time
+let refreshPromise = null;
+let refreshTimer = null;
+
 /**
  * Generate a random string for PKCE code verifier
  */
@@ -166,13 +178,7 @@ export async function handleCallback() {
     }
     
     const data = await response.json();
-    
-    // Calculate expiry time
-    const expiryTime = Date.now() + (data.expires_in * 1000);
-    
-    // Store token
-    localStorage.setItem(TOKEN_KEY, data.access_token);
-    localStorage.setItem(TOKEN_EXPIRY_KEY, expiryTime.toString());
+    storeTokenResponse(data);
     
     // Clear URL parameters
     window.history.replaceState({}, document.title, window.location.pathname);
@@ -188,6 +194,96 @@ export async function handleCallback() {
   }
 }
 
+/**
+ * Store the tokens from a token endpoint response and schedule the next refresh
+ * @param {Object} data - Token response ({ access_token, expires_in, refresh_token? })
+ */
+function storeTokenResponse(data) {
+  const expiryTime = Date.now() + (data.expires_in * 1000);
+
+  localStorage.setItem(TOKEN_KEY, data.access_token);
+  localStorage.setItem(TOKEN_EXPIRY_KEY, expiryTime.toString());
+
+  // Spotify may rotate the refresh token; keep the old one if it doesn't
+  if (data.refresh_token) {
+    localStorage.setItem(REFRESH_TOKEN_KEY, data.refresh_token);
+  }
+
+  scheduleTokenRefresh();
+}
+
+/**
+ * Schedule a silent refresh shortly before the access token expires
+ */
+function scheduleTokenRefresh() {
+  if (refreshTimer) {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+  }
+
+  if (!localStorage.getItem(REFRESH_TOKEN_KEY)) return;
+
+  const delay = Math.max(0, getTokenTimeRemaining() - REFRESH_BUFFER_MS);
+  refreshTimer = setTimeout(() => {
+    refreshTimer = null;
+    refreshAccessToken().catch((err) => {
+      console.warn('Scheduled token refresh failed:', err);
+    });
+  }, delay);
+}
+
+/**
+ * Exchange the stored refresh token for a new access token.
+ * Concurrent callers share the same in-flight request.
+ * @returns {Promise<string|null>} New access token, or null if the session can't be refreshed
+ */
+export function refreshAccessToken() {
+  if (refreshPromise) {
+    return refreshPromise;
+  }
+
+  refreshPromise = (async () => {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+    if (!refreshToken) {
+      return null;
+    }
+
+    const response = await fetch('https://accounts.spotify.com/api/token', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({
+        client_id: CLIENT_ID,
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken
+      })
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      console.error('Token refresh failed:', errorData);
+
+      // Refresh token revoked or expired - the session is over
+      if (response.status === 400 || response.status === 401) {
+        clearToken();
+        return null;
+      }
+      throw new Error(errorData.error || 'token_refresh_failed');
+    }
+
+    const data = await response.json();
+    storeTokenResponse(data);
+    console.log('Access token refreshed');
+
+    return data.access_token;
+  })().finally(() => {
+    refreshPromise = null;
+  });
+
+  return refreshPromise;
+}
+
 /**
  * Get stored access token if valid
  * @returns {string|null} Access token or null if expired/not found
@@ -202,31 +298,60 @@ export function getStoredToken() {
   
   // Check if token is expired (with 5 minute buffer)
   const expiryTime = parseInt(expiry, 10);
-  const bufferMs = 5 * 60 * 1000; // 5 minutes
   
-  if (Date.now() > expiryTime - bufferMs) {
-    // Token expired or about to expire
-    clearToken();
+  if (Date.now() > expiryTime - REFRESH_BUFFER_MS) {
+    // Token expired or about to expire - keep the refresh token so
+    // getValidToken() can still renew the session
+    if (!localStorage.getItem(REFRESH_TOKEN_KEY)) {
+      clearToken();
+    }
     return null;
   }
   
   return token;
 }
 
+/**
+ * Get a valid access token, refreshing it first if it is about to expire.
+ * This is the token provider handed to the playback engines.
+ * @returns {Promise<string|null>} Access token or null if the user must log in again
+ */
+export async function getValidToken() {
+  const token = getStoredToken();
+  if (token) {
+    if (!refreshTimer) {
+      scheduleTokenRefresh();
+    }
+    return token;
+  }
+
+  try {
+    return await refreshAccessToken();
+  } catch (err) {
+    console.warn('Failed to refresh token:', err);
+    return null;
+  }
+}
+
 /**
  * Clear stored token (logout)
  */
 export function clearToken() {
+  if (refreshTimer) {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+  }
   localStorage.removeItem(TOKEN_KEY);
   localStorage.removeItem(TOKEN_EXPIRY_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
 }
 
 /**
- * Check if user is authenticated
+ * Check if user is authenticated (holds a valid or refreshable token)
  * @returns {boolean}
  */
 export function isAuthenticated() {
-  return getStoredToken() !== null;
+  return getStoredToken() !== null || localStorage.getItem(REFRESH_TOKEN_KEY) !== null;
 }
 
 /**
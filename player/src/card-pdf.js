@@ -0,0 +1,433 @@
+/**
+ * Card PDF Module
+ *
+ * Printable double-sided cards for a deck, generated in the browser - the
+ * same design as the Python card generator (src/pdf_generator.py):
+ * - Fronts: the track's QR code inside concentric broken circles, white on
+ *   black (inverted) or black on white
+ * - Backs: year, title and artist in a starburst frame coloured by decade
+ * - Every front page is followed by its back page, mirrored so each back
+ *   lands behind its front when printed double-sided: columns for a printer
+ *   set to flip on the long edge, rows for the short edge
+ * - Cut lines are marked around the card grid
+ *
+ * jsPDF is loaded on first use, so it doesn't weigh down the player.
+ */
+
+import QRCode from 'qrcode';
+import { songTrackUri } from './deck.js';
+import { createRandom, randomInt } from './random.js';
+
+const POINTS_PER_INCH = 72;
+
+// Square cards, 2.5 in
+const CARD_SIZE = 2.5 * POINTS_PER_INCH;
+
+// Minimum page margin
+const MARGIN = 0.5 * POINTS_PER_INCH;
+
+// Length of the cut marks around the grid
+const CROP_MARK_LENGTH = 14;
+
+// QR code width as a share of the card (quiet zone included)
+const QR_SCALE = 0.5;
+
+// Quiet zone around the QR code, in modules
+const QR_BORDER = 2;
+
+/** Page sizes in points (portrait) */
+export const PAGE_SIZES = {
+  a4: { label: 'A4', width: 595.28, height: 841.89 },
+  letter: { label: 'Letter', width: 612, height: 792 }
+};
+
+/** Decade colour themes, newest first - colours evoke each era */
+const DECADE_THEMES = [
+  { from: 2020, primary: '#6366f1', lightAccent: '#818cf8' }, // Indigo (modern tech/social media)
+  { from: 2010, primary: '#ec4899', lightAccent: '#f472b6' }, // Pink (EDM/pop era)
+  { from: 2000, primary: '#10b981', lightAccent: '#34d399' }, // Emerald (Y2K, iPod era)
+  { from: 1990, primary: '#14b8a6', lightAccent: '#2dd4bf' }, // Teal (grunge, alternative)
+  { from: 1980, primary: '#f43f5e', lightAccent: '#fb7185' }, // Hot pink (synthwave, MTV)
+  { from: 1970, primary: '#f97316', lightAccent: '#fb923c' }, // Orange (disco, funk)
+  { from: 1960, primary: '#a855f7', lightAccent: '#c084fc' }, // Purple (psychedelic)
+  { from: 1950, primary: '#ef4444', lightAccent: '#f87171' }, // Red (rock & roll)
+  { from: -Infinity, primary: '#78716c', lightAccent: '#a8a29e' } // Warm grey (pre-1950s, unknown)
+];
+
+// Colours of the broken circles around the QR code
+const CIRCLE_COLORS = ['#00e5ff', '#ff00ff', '#ffea00', '#ff1493', '#00ff7f'];
+
+// Circle layers from the QR code outwards: ring spacing and line width grow
+const CIRCLE_LAYERS = [
+  { spacing: 8, lineWidth: 0.8 },
+  { spacing: 7, lineWidth: 1.0 },
+  { spacing: 6, lineWidth: 1.2 }
+];
+
+// Characters outside the PDF standard fonts' character set, and what to print instead
+const TEXT_REPLACEMENTS = {
+  '‘': "'", '’': "'", '“': '"', '”': '"',
+  '–': '-', '—': '-', '…': '...'
+};
+
+/**
+ * @typedef {Object} CardPdfOptions
+ * @property {'a4'|'letter'} [pageSize='a4']
+ * @property {'inverted'|'normal'} [qrStyle='inverted'] - White QR on black, or black on white
+ * @property {'long'|'short'} [duplex='long'] - Edge the printer flips the sheet on
+ * @property {function(number, number): void} [onProgress] - Called with (sheets done, total sheets)
+ */
+
+/**
+ * Cards per row and column on a page
+ * @param {'a4'|'letter'} pageSize
+ * @returns {{cols: number, rows: number}}
+ */
+export function getCardGrid(pageSize) {
+  const page = PAGE_SIZES[pageSize];
+  return {
+    cols: Math.floor((page.width - 2 * MARGIN) / CARD_SIZE),
+    rows: Math.floor((page.height - 2 * MARGIN) / CARD_SIZE)
+  };
+}
+
+/**
+ * Generate the card PDF for a deck
+ * @param {import('./deck.js').Deck} deck
+ * @param {CardPdfOptions} [options]
+ * @returns {Promise<Blob>}
+ */
+export async function generateCardsPdf(deck, { pageSize = 'a4', qrStyle = 'inverted', duplex = 'long', onProgress = null } = {}) {
+  const songs = deck.songs.filter(song => songTrackUri(song));
+  if (songs.length === 0) {
+    throw new Error('This deck has no songs with Spotify links');
+  }
+
+  const { jsPDF } = await import('jspdf');
+  const page = PAGE_SIZES[pageSize];
+  const { cols, rows } = getCardGrid(pageSize);
+  const perSheet = cols * rows;
+  const sheets = Math.ceil(songs.length / perSheet);
+
+  const doc = new jsPDF({ unit: 'pt', format: [page.width, page.height], compress: true });
+  doc.setProperties({ title: `${deck.name} - cards` });
+
+  const grid = {
+    cols,
+    rows,
+    left: (page.width - cols * CARD_SIZE) / 2,
+    top: (page.height - rows * CARD_SIZE) / 2
+  };
+
+  for (let sheet = 0; sheet < sheets; sheet++) {
+    const batch = songs.slice(sheet * perSheet, (sheet + 1) * perSheet);
+
+    // Front page
+    if (sheet > 0) doc.addPage();
+    batch.forEach((song, i) => {
+      const x = grid.left + (i % cols) * CARD_SIZE;
+      const y = grid.top + Math.floor(i / cols) * CARD_SIZE;
+      drawFront(doc, x, y, song, sheet * perSheet + i + 1, qrStyle);
+    });
+    drawCropMarks(doc, grid);
+
+    // Back page, mirrored along the flip
+    doc.addPage();
+    batch.forEach((song, i) => {
+      const col = duplex === 'short' ? i % cols : cols - 1 - (i % cols);
+      const row = duplex === 'short' ? rows - 1 - Math.floor(i / cols) : Math.floor(i / cols);
+      const x = grid.left + col * CARD_SIZE;
+      const y = grid.top + row * CARD_SIZE;
+      drawBack(doc, x, y, song, sheet * perSheet + i + 1);
+    });
+    drawCropMarks(doc, grid);
+
+    onProgress?.(sheet + 1, sheets);
+    // Let the page repaint between sheets
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  return doc.output('blob');
+}
+
+/**
+ * Theme for a song's decade
+ * @param {number|null} year
+ * @returns {{primary: string, lightAccent: string}}
+ */
+function getDecadeTheme(year) {
+  return DECADE_THEMES.find(theme => (year ?? -Infinity) >= theme.from) || DECADE_THEMES[DECADE_THEMES.length - 1];
+}
+
+/**
+ * Cut marks along the grid lines, in the page margin
+ * @param {import('jspdf').jsPDF} doc
+ * @param {{cols: number, rows: number, left: number, top: number}} grid
+ */
+function drawCropMarks(doc, grid) {
+  const right = grid.left + grid.cols * CARD_SIZE;
+  const bottom = grid.top + grid.rows * CARD_SIZE;
+  const gap = 2;
+
+  doc.setDrawColor('#9ca3af');
+  doc.setLineWidth(0.3);
+
+  for (let col = 0; col <= grid.cols; col++) {
+    const x = grid.left + col * CARD_SIZE;
+    doc.line(x, grid.top - gap, x, grid.top - gap - CROP_MARK_LENGTH);
+    doc.line(x, bottom + gap, x, bottom + gap + CROP_MARK_LENGTH);
+  }
+
+  for (let row = 0; row <= grid.rows; row++) {
+    const y = grid.top + row * CARD_SIZE;
+    doc.line(grid.left - gap, y, grid.left - gap - CROP_MARK_LENGTH, y);
+    doc.line(right + gap, y, right + gap + CROP_MARK_LENGTH, y);
+  }
+}
+
+/**
+ * QR code side
+ * @param {import('jspdf').jsPDF} doc
+ * @param {number} x - Card's left edge
+ * @param {number} y - Card's top edge
+ * @param {import('./deck.js').DeckSong} song
+ * @param {number} cardNumber - Position in the deck, printed small so it can be typed in
+ * @param {'inverted'|'normal'} qrStyle
+ */
+function drawFront(doc, x, y, song, cardNumber, qrStyle) {
+  const inverted = qrStyle === 'inverted';
+  const foreground = inverted ? '#ffffff' : '#000000';
+  const background = inverted ? '#000000' : '#f8f8f8';
+  const cx = x + CARD_SIZE / 2;
+  const cy = y + CARD_SIZE / 2;
+  const qrSize = CARD_SIZE * QR_SCALE;
+
+  doc.setFillColor(background);
+  doc.rect(x, y, CARD_SIZE, CARD_SIZE, 'F');
+
+  drawBrokenCircles(doc, cx, cy, qrSize / 2 + 8, CARD_SIZE / 2 - 5, cardNumber);
+
+  // Clear the circles from behind the code so it scans cleanly
+  doc.setFillColor(inverted ? background : '#ffffff');
+  doc.rect(cx - qrSize / 2, cy - qrSize / 2, qrSize, qrSize, 'F');
+  drawQrCode(doc, songTrackUri(song), cx - qrSize / 2, cy - qrSize / 2, qrSize, foreground);
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(6);
+  doc.setTextColor(inverted ? '#6b7280' : '#9ca3af');
+  doc.text(`#${cardNumber}`, x + CARD_SIZE - 6, y + CARD_SIZE - 5, { align: 'right' });
+}
+
+/**
+ * Year, title and artist side
+ * @param {import('jspdf').jsPDF} doc
+ * @param {number} x - Card's left edge
+ * @param {number} y - Card's top edge
+ * @param {import('./deck.js').DeckSong} song
+ * @param {number} cardNumber
+ */
+function drawBack(doc, x, y, song, cardNumber) {
+  const theme = getDecadeTheme(song.year);
+  const cx = x + CARD_SIZE / 2;
+  const cy = y + CARD_SIZE / 2;
+  const contentRadius = 55;
+
+  // Starburst (outlines only, to save ink)
+  doc.setDrawColor(theme.lightAccent);
+  doc.setLineWidth(0.6);
+  const lines = 48;
+  for (let i = 0; i < lines; i++) {
+    const angle = (i / lines) * 2 * Math.PI;
+    const inner = 45;
+    const outer = CARD_SIZE / 2 - 15;
+    doc.line(
+      cx + inner * Math.cos(angle), cy + inner * Math.sin(angle),
+      cx + outer * Math.cos(angle), cy + outer * Math.sin(angle)
+    );
+  }
+
+  // Inner border and corner rosettes
+  doc.setLineWidth(1.2);
+  doc.rect(x + 8, y + 8, CARD_SIZE - 16, CARD_SIZE - 16, 'S');
+  const offset = 18;
+  [[offset, offset], [CARD_SIZE - offset, offset], [offset, CARD_SIZE - offset], [CARD_SIZE - offset, CARD_SIZE - offset]]
+    .forEach(([dx, dy]) => drawRosette(doc, x + dx, y + dy, 6, theme.lightAccent));
+
+  // White centre with a ring in the decade colour
+  doc.setFillColor('#ffffff');
+  doc.setDrawColor(theme.primary);
+  doc.setLineWidth(2);
+  doc.circle(cx, cy, contentRadius, 'FD');
+
+  doc.setTextColor(theme.primary);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(32);
+  doc.text(song.year ? String(song.year) : '?', cx, cy - 8, { align: 'center' });
+
+  doc.setFontSize(8);
+  doc.text(fitText(doc, song.title, 2 * contentRadius - 16), cx, cy + 14, { align: 'center' });
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(7);
+  doc.setTextColor('#666666');
+  doc.text(fitText(doc, song.artist, 2 * contentRadius - 20), cx, cy + 26, { align: 'center' });
+
+  doc.setFontSize(6);
+  doc.setTextColor('#9ca3af');
+  doc.text(`#${cardNumber}`, cx, y + CARD_SIZE - 12, { align: 'center' });
+
+  // Outer border
+  doc.setDrawColor(theme.primary);
+  doc.setLineWidth(1.5);
+  doc.rect(x, y, CARD_SIZE, CARD_SIZE, 'S');
+}
+
+/**
+ * Concentric rings of coloured arcs with gaps, in three layers
+ * @param {import('jspdf').jsPDF} doc
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} minRadius
+ * @param {number} maxRadius
+ * @param {number} seed - Same seed, same pattern
+ */
+function drawBrokenCircles(doc, cx, cy, minRadius, maxRadius, seed) {
+  const random = createRandom(seed);
+  const layerSize = (maxRadius - minRadius) / CIRCLE_LAYERS.length;
+
+  CIRCLE_LAYERS.forEach((layer, layerIndex) => {
+    const start = minRadius + layerIndex * layerSize;
+    const ringCount = Math.floor(layerSize / layer.spacing);
+
+    for (let ring = 0; ring < ringCount; ring++) {
+      const radius = start + ring * layer.spacing + 3;
+      const segments = randomInt(random, 3, 6);
+      const totalDegrees = randomInt(random, 240, 320);
+      const gapDegrees = (360 - totalDegrees) / segments;
+      let angle = randomInt(random, 0, 360);
+
+      doc.setLineWidth(layer.lineWidth + (ring % 2) * 0.15);
+
+      for (let segment = 0; segment < segments; segment++) {
+        const extent = Math.max(20, Math.min(120, totalDegrees / segments + randomInt(random, -20, 20)));
+        doc.setDrawColor(CIRCLE_COLORS[(layerIndex + ring + segment) % CIRCLE_COLORS.length]);
+        drawArc(doc, cx, cy, radius, angle, extent);
+        angle += extent + gapDegrees + randomInt(random, -10, 10);
+      }
+    }
+  });
+}
+
+/**
+ * Stroke a circular arc as Bezier curves
+ * @param {import('jspdf').jsPDF} doc
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} radius
+ * @param {number} startDegrees
+ * @param {number} extentDegrees
+ */
+function drawArc(doc, cx, cy, radius, startDegrees, extentDegrees) {
+  const pieces = Math.ceil(extentDegrees / 90);
+  const step = (extentDegrees / pieces) * Math.PI / 180;
+  const k = (4 / 3) * Math.tan(step / 4) * radius;
+  let a0 = startDegrees * Math.PI / 180;
+
+  const curves = [];
+  for (let i = 0; i < pieces; i++) {
+    const a1 = a0 + step;
+    // Control points relative to this piece's start point
+    const sx = radius * Math.cos(a0);
+    const sy = radius * Math.sin(a0);
+    const ex = radius * Math.cos(a1);
+    const ey = radius * Math.sin(a1);
+    curves.push([
+      -k * Math.sin(a0), k * Math.cos(a0),
+      ex - sx + k * Math.sin(a1), ey - sy - k * Math.cos(a1),
+      ex - sx, ey - sy
+    ]);
+    a0 = a1;
+  }
+
+  const start = startDegrees * Math.PI / 180;
+  doc.lines(curves, cx + radius * Math.cos(start), cy + radius * Math.sin(start), [1, 1], 'S', false);
+}
+
+/**
+ * Small flower of circles for the back's corners
+ * @param {import('jspdf').jsPDF} doc
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} radius
+ * @param {string} color
+ */
+function drawRosette(doc, cx, cy, radius, color) {
+  doc.setDrawColor(color);
+  doc.setLineWidth(0.8);
+  doc.circle(cx, cy, radius, 'S');
+
+  for (let i = 0; i < 6; i++) {
+    const angle = (i / 6) * 2 * Math.PI;
+    doc.circle(cx + radius * 0.4 * Math.cos(angle), cy + radius * 0.4 * Math.sin(angle), radius * 0.2, 'S');
+  }
+  doc.circle(cx, cy, radius * 0.15, 'S');
+}
+
+/**
+ * Draw a QR code as vector squares (sharp at any print size)
+ * @param {import('jspdf').jsPDF} doc
+ * @param {string} text
+ * @param {number} x - Left edge, quiet zone included
+ * @param {number} y - Top edge, quiet zone included
+ * @param {number} size - Width and height, quiet zone included
+ * @param {string} color
+ */
+function drawQrCode(doc, text, x, y, size, color) {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+  const count = modules.size;
+  const moduleSize = size / (count + 2 * QR_BORDER);
+  const originX = x + QR_BORDER * moduleSize;
+  const originY = y + QR_BORDER * moduleSize;
+
+  doc.setFillColor(color);
+  for (let row = 0; row < count; row++) {
+    // One rectangle per run of dark modules
+    let runStart = null;
+    for (let col = 0; col <= count; col++) {
+      const dark = col < count && modules.get(row, col);
+      if (dark && runStart === null) {
+        runStart = col;
+      } else if (!dark && runStart !== null) {
+        // Overlap slightly so no hairline gaps show between rows
+        doc.rect(originX + runStart * moduleSize, originY + row * moduleSize,
+          (col - runStart) * moduleSize, moduleSize + 0.05, 'F');
+        runStart = null;
+      }
+    }
+  }
+}
+
+/**
+ * Make text printable with the PDF standard fonts and short enough to fit
+ * @param {import('jspdf').jsPDF} doc - With the font already set
+ * @param {string} text
+ * @param {number} maxWidth
+ * @returns {string}
+ */
+function fitText(doc, text, maxWidth) {
+  let printable = Array.from(String(text || '').normalize('NFC'), (char) => {
+    if (TEXT_REPLACEMENTS[char]) return TEXT_REPLACEMENTS[char];
+    if (char.charCodeAt(0) <= 0xff) return char;
+    // Drop accents the fonts don't have (e.g. "ő" -> "o")
+    const base = char.normalize('NFD')[0];
+    return base.charCodeAt(0) <= 0xff ? base : '?';
+  }).join('');
+
+  if (doc.getTextWidth(printable) <= maxWidth) {
+    return printable;
+  }
+  while (printable.length > 1 && doc.getTextWidth(`${printable}...`) > maxWidth) {
+    printable = printable.slice(0, -1);
+  }
+  return `${printable.trimEnd()}...`;
+}
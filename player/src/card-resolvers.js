@@ -0,0 +1,283 @@
+/**
+ * Card Resolvers
+ *
+ * Turns the text of a scanned QR code into a Spotify track URI. Each card
+ * format has a resolver; the chain asks them in order and the first one
+ * that recognises the text wins. Add formats with CardResolverChain.use().
+ *
+ * Built-in formats:
+ * - spotify:track:<id>
+ * - open.spotify.com/track/<id>, including /intl-xx/ and /embed/ paths
+ * - spotify.link / spoti.fi short links (expanded by the room server)
+ * - Official Hitster cards (hitstergame.com/<edition>/<card>), looked up in
+ *   the bundled hitster-cards.json mapping
+ *
+ * The same chain handles links pasted and card numbers typed by hand
+ * (see createDeckCardResolver). A resolver may also turn a code into
+ * something other than a track - shared decks resolve to a payload object
+ * (see deck-share.js), which the scanner hands to its onPayload callback.
+ */
+
+/**
+ * @typedef {Object} CardResolver
+ * @property {string} name - For logging
+ * @property {function(string): boolean} canResolve - Whether the text is in this resolver's format
+ * @property {function(string): Promise<string|{type: string}>} resolve - Track URI (or a payload with a type); throws UnsupportedCardError
+ */
+
+// Where short links are expanded (browsers can't follow them because of CORS)
+const LINK_RESOLVER_URL = import.meta.env.VITE_LINK_RESOLVER_URL || '/api/resolve-link';
+
+// Hitster card ID -> Spotify track mapping. Served as a static file so it can
+// be updated without rebuilding the app.
+const HITSTER_CARDS_URL = import.meta.env.VITE_HITSTER_CARDS_URL || '/hitster-cards.json';
+
+/**
+ * A QR code that isn't a card we can play
+ */
+export class UnsupportedCardError extends Error {
+  /**
+   * @param {string} message - Shown to the user
+   * @param {string} [code] - Machine-readable reason
+   */
+  constructor(message, code = 'unsupported_card') {
+    super(message);
+    this.name = 'UnsupportedCardError';
+    this.code = code;
+  }
+}
+
+/**
+ * Validate a Spotify track ID
+ * @param {string} trackId
+ * @returns {boolean}
+ */
+export function isValidTrackId(trackId) {
+  return Boolean(trackId) && /^[a-zA-Z0-9]{15,25}$/.test(trackId);
+}
+
+/**
+ * Convert a track ID, spotify: URI or open.spotify.com link to a track URI
+ * @param {string} value
+ * @returns {string|null}
+ */
+export function toTrackUri(value) {
+  const text = String(value || '').trim();
+  const id = text.startsWith('spotify:track:')
+    ? text.split(':')[2]
+    : text.match(/open\.spotify\.com\/(?:intl-[a-z-]+\/)?(?:embed\/)?track\/([a-zA-Z0-9]+)/i)?.[1] || text;
+
+  return isValidTrackId(id) ? `spotify:track:${id}` : null;
+}
+
+/** spotify:track:<id> */
+export const spotifyUriResolver = {
+  name: 'spotify-uri',
+  canResolve: (text) => text.startsWith('spotify:'),
+  async resolve(text) {
+    const uri = toTrackUri(text);
+    if (!uri) {
+      throw new UnsupportedCardError('That Spotify code is not a song.', 'not_a_track');
+    }
+    return uri;
+  }
+};
+
+/** open.spotify.com links, with or without a locale (/intl-de/) */
+export const spotifyUrlResolver = {
+  name: 'spotify-url',
+  canResolve: (text) => /^(https?:\/\/)?open\.spotify\.com\//i.test(text),
+  async resolve(text) {
+    const uri = toTrackUri(text);
+    if (!uri) {
+      throw new UnsupportedCardError('That Spotify link is not a song (playlist or album?).', 'not_a_track');
+    }
+    return uri;
+  }
+};
+
+/** spotify.link / spoti.fi short links */
+export const shortLinkResolver = {
+  name: 'short-link',
+  canResolve: (text) => /^(https?:\/\/)?(spotify\.link|spoti\.fi|link\.tospotify\.com)\//i.test(text),
+  async resolve(text) {
+    const url = /^https?:\/\//i.test(text) ? text : `https://${text}`;
+    let data;
+
+    try {
+      const response = await fetch(`${LINK_RESOLVER_URL}?url=${encodeURIComponent(url)}`);
+      data = await response.json();
+    } catch (error) {
+      throw new UnsupportedCardError("Couldn't open this Spotify short link - check your connection.", 'link_unreachable');
+    }
+
+    const uri = data?.url ? toTrackUri(data.url) : null;
+    if (!uri) {
+      throw new UnsupportedCardError(data?.error || 'This short link is not a Spotify song.', 'not_a_track');
+    }
+    return uri;
+  }
+};
+
+let hitsterCardsPromise = null;
+
+/**
+ * Load the Hitster card mapping (once per session; retried after a failure)
+ * @returns {Promise<{version: number, editions: Object<string, {name: string, cards: Object<string, string>}>}>}
+ */
+function loadHitsterCards() {
+  if (!hitsterCardsPromise) {
+    hitsterCardsPromise = fetch(HITSTER_CARDS_URL, { cache: 'no-cache' })
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+      })
+      .catch((error) => {
+        hitsterCardsPromise = null;
+        throw error;
+      });
+  }
+  return hitsterCardsPromise;
+}
+
+/**
+ * Parse a Hitster card URL: hitstergame.com/<lang>[/<edition>]/<card number>
+ * @param {string} text
+ * @returns {{edition: string, card: string}|null}
+ */
+export function parseHitsterCard(text) {
+  const match = text.match(/hitstergame\.com\/([^?#\s]+)/i);
+  if (!match) return null;
+
+  const segments = match[1].split('/').filter(Boolean).map(s => s.toLowerCase());
+  const card = segments.pop();
+  if (!card || !/^\d+$/.test(card) || segments.length === 0) return null;
+
+  return { edition: segments.join('/'), card };
+}
+
+/** Official Hitster cards */
+export const hitsterCardResolver = {
+  name: 'hitster',
+  canResolve: (text) => /hitstergame\.com\//i.test(text),
+  async resolve(text) {
+    const parsed = parseHitsterCard(text);
+    if (!parsed) {
+      throw new UnsupportedCardError('Unrecognised Hitster card.', 'unsupported_card');
+    }
+
+    let mapping;
+    try {
+      mapping = await loadHitsterCards();
+    } catch (error) {
+      throw new UnsupportedCardError("Couldn't load the Hitster card list - check your connection.", 'mapping_unavailable');
+    }
+
+    const edition = mapping.editions?.[parsed.edition];
+    if (!edition) {
+      throw new UnsupportedCardError(
+        `This Hitster edition (${parsed.edition}) isn't supported yet.`,
+        'unsupported_edition'
+      );
+    }
+
+    // Card numbers may be listed with or without leading zeros
+    const track = edition.cards[parsed.card] ?? edition.cards[String(parseInt(parsed.card, 10))];
+    const uri = track ? toTrackUri(track) : null;
+    if (!uri) {
+      throw new UnsupportedCardError(`Card ${parsed.card} isn't in the ${edition.name} list yet.`, 'unknown_card');
+    }
+    return uri;
+  }
+};
+
+/**
+ * Fetch the Hitster card list before scanning starts, so the first cards
+ * don't have to wait for it. If it fails, it's fetched again on the next
+ * Hitster card.
+ * @returns {Promise<void>}
+ */
+export async function preloadHitsterCards() {
+  try {
+    await loadHitsterCards();
+  } catch (error) {
+    console.warn('Hitster card list unavailable:', error.message);
+  }
+}
+
+/**
+ * Card numbers typed by hand ("12" or "#12"), looked up in the deck being played
+ * @param {function(): string[]} getTrackUris - Track URIs of the deck, card 1 first
+ * @returns {CardResolver}
+ */
+export function createDeckCardResolver(getTrackUris) {
+  return {
+    name: 'deck-card',
+    canResolve: (text) => /^#?\d{1,4}$/.test(text),
+    async resolve(text) {
+      const trackUris = getTrackUris() || [];
+      if (trackUris.length === 0) {
+        throw new UnsupportedCardError('No deck loaded - card numbers only work with a deck.', 'no_deck');
+      }
+
+      const number = parseInt(text.replace('#', ''), 10);
+      const uri = toTrackUri(trackUris[number - 1]);
+      if (!uri) {
+        throw new UnsupportedCardError(`There's no card ${number} in this deck (1-${trackUris.length}).`, 'unknown_card');
+      }
+      return uri;
+    }
+  };
+}
+
+/** Resolvers used by the scanner, in order */
+export const DEFAULT_RESOLVERS = [
+  spotifyUriResolver,
+  spotifyUrlResolver,
+  shortLinkResolver,
+  hitsterCardResolver
+];
+
+export class CardResolverChain {
+  /**
+   * @param {CardResolver[]} [resolvers]
+   */
+  constructor(resolvers = DEFAULT_RESOLVERS) {
+    this._resolvers = [...resolvers];
+  }
+
+  /**
+   * Add a resolver
+   * @param {CardResolver} resolver
+   * @param {Object} [options]
+   * @param {boolean} [options.first=false] - Ask it before the others
+   * @returns {CardResolverChain} this, for chaining
+   */
+  use(resolver, { first = false } = {}) {
+    if (first) {
+      this._resolvers.unshift(resolver);
+    } else {
+      this._resolvers.push(resolver);
+    }
+    return this;
+  }
+
+  /**
+   * Resolve scanned text to a track URI
+   * @param {string} text - QR code content
+   * @returns {Promise<string|{type: string}>} Spotify track URI, or a payload such as a shared deck
+   * @throws {UnsupportedCardError} When no resolver recognises the text, or the card can't be played
+   */
+  async resolve(text) {
+    const trimmed = String(text || '').trim();
+    const resolver = this._resolvers.find(r => r.canResolve(trimmed));
+
+    if (!resolver) {
+      throw new UnsupportedCardError("Unsupported card - this QR code isn't a song we can play.");
+    }
+
+    return resolver.resolve(trimmed);
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * CSV Module
+ *
+ * Minimal CSV reading and writing (RFC 4180 quoting) for decks and exports.
+ */
+
+/**
+ * Quote a CSV field if it needs it
+ * @param {string|number|null|undefined} value
+ * @returns {string}
+ */
+export function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text
+ * @returns {string[][]} Rows, including the header; blank lines are skipped
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Keep a spreadsheet from running a text field as a formula: fields
+ * starting with =, +, - or @ get a leading apostrophe
+ * @param {string|number|null|undefined} value
+ * @returns {string|number|null|undefined}
+ */
+function escapeFormula(value) {
+  return typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : value;
+}
+
+/**
+ * Format rows as CSV
+ * @param {Array<Array<string|number|null>>} rows - Header row first
+ * @param {Object} [options]
+ * @param {boolean} [options.escapeFormulas=false] - For files meant to be opened in a
+ *   spreadsheet rather than imported again (see escapeFormula)
+ * @returns {string}
+ */
+export function formatCsv(rows, { escapeFormulas = false } = {}) {
+  const format = escapeFormulas ? (value) => csvField(escapeFormula(value)) : csvField;
+  return rows.map(row => row.map(format).join(',')).join('\n') + '\n';
+}
@@ -0,0 +1,134 @@
+/**
+ * IndexedDB Module
+ *
+ * Opens the app's IndexedDB database and wraps requests in promises.
+ * Schema changes are added as migrations; the database version is the
+ * number of migrations, so existing data is upgraded in place.
+ */
+
+const DB_NAME = 'hitster_player';
+
+/** Object store names */
+export const STORES = {
+  games: 'games',
+  tracks: 'tracks',
+  albumArt: 'albumArt',
+  decks: 'decks'
+};
+
+/**
+ * Schema migrations, applied in order during upgrade
+ * @type {Array<function(IDBDatabase, IDBTransaction): void>}
+ */
+const MIGRATIONS = [
+  // 1: saved games
+  (db) => {
+    const games = db.createObjectStore(STORES.games, { keyPath: 'id' });
+    games.createIndex('status', 'status');
+    games.createIndex('updatedAt', 'updatedAt');
+  },
+
+  // 2: track metadata and album art cache
+  (db) => {
+    const tracks = db.createObjectStore(STORES.tracks, { keyPath: 'id' });
+    tracks.createIndex('lastUsedAt', 'lastUsedAt');
+    const albumArt = db.createObjectStore(STORES.albumArt, { keyPath: 'url' });
+    albumArt.createIndex('lastUsedAt', 'lastUsedAt');
+  },
+
+  // 3: decks built in the app
+  (db) => {
+    const decks = db.createObjectStore(STORES.decks, { keyPath: 'id' });
+    decks.createIndex('updatedAt', 'updatedAt');
+  }
+];
+
+let dbPromise = null;
+
+/**
+ * Open (and upgrade if needed) the database. The connection is shared.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  if (!('indexedDB' in window)) {
+    return Promise.reject(new Error('IndexedDB is not supported in this browser'));
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, MIGRATIONS.length);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      for (let version = event.oldVersion; version < MIGRATIONS.length; version++) {
+        MIGRATIONS[version](db, request.transaction);
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Another tab upgraded the schema - drop our connection so it can proceed
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+
+    request.onblocked = () => {
+      console.warn('Database upgrade blocked by another open tab');
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+export function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run a callback against an object store inside a transaction.
+ * Resolves with the callback's result once the transaction completes.
+ * @param {string} storeName - Object store name
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {function(IDBObjectStore): (Promise<any>|any)} callback
+ * @returns {Promise<any>}
+ */
+export async function withStore(storeName, mode, callback) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    let result;
+
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+
+    Promise.resolve(callback(tx.objectStore(storeName)))
+      .then((value) => {
+        result = value;
+      })
+      .catch((error) => {
+        tx.abort();
+        reject(error);
+      });
+  });
+}
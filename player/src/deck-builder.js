@@ -0,0 +1,325 @@
+/**
+ * Deck Builder Module
+ *
+ * Overlay for turning a Spotify playlist into a deck: fetch every track with
+ * the user's token, review the songs (duplicates and missing years are
+ * highlighted), check for compilation/remaster years, then save the deck in
+ * the browser or download it as CSV.
+ */
+
+import { fetchPlaylist } from './playlist-import.js';
+import { createDeck, analyzeSongs, removeDuplicates, songsToCsv, overrideYear, songTrackUri, deckFileName } from './deck.js';
+import { checkYears, YEAR_FLAG_LABELS } from './year-check.js';
+import { saveDeck } from './deck-store.js';
+import { AuthError } from './spotify-api.js';
+import { showOverlay, showToast, escapeHtml, downloadFile, setLoading } from './ui.js';
+
+let api = null;
+let onSaved = null;
+let handlersReady = false;
+let loadAbort = null;
+
+// Playlist being reviewed
+let playlist = null;
+let songs = [];
+let yearOverrides = {};
+let yearChecks = [];
+
+/**
+ * Open the deck builder
+ * @param {Object} options
+ * @param {import('./spotify-api.js').SpotifyApiClient} options.api
+ * @param {function(import('./deck.js').Deck): void} [options.onSaved] - Called after a deck is saved
+ */
+export function openDeckBuilder(options) {
+  api = options.api;
+  onSaved = options.onSaved || null;
+
+  if (!handlersReady) {
+    setupHandlers();
+    handlersReady = true;
+  }
+
+  showOverlay('deck-builder-overlay', true);
+  document.getElementById('playlist-url-input').focus();
+}
+
+/**
+ * Close the deck builder, stopping any import in progress
+ */
+function closeDeckBuilder() {
+  loadAbort?.abort();
+  showOverlay('deck-builder-overlay', false);
+}
+
+function setupHandlers() {
+  document.getElementById('playlist-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    loadPlaylist(document.getElementById('playlist-url-input').value);
+  });
+
+  document.getElementById('remove-duplicates-btn').addEventListener('click', () => {
+    const before = songs.length;
+    songs = removeDuplicates(songs);
+    // Songs moved up: point the pending year checks at their new rows
+    yearChecks = yearChecks
+      .map(check => ({ ...check, index: songs.findIndex(song => songTrackUri(song) === check.uri) }))
+      .filter(check => check.index !== -1);
+    renderReview();
+    showToast(`Removed ${before - songs.length} duplicates`, 'info', 2000);
+  });
+
+  document.getElementById('download-deck-btn').addEventListener('click', () => {
+    downloadFile(`${deckFileName(getDeckName())}.csv`, songsToCsv(songs), 'text/csv');
+  });
+
+  document.getElementById('check-years-btn').addEventListener('click', runYearCheck);
+
+  const yearChecksList = document.getElementById('year-checks');
+  yearChecksList.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action]');
+    if (button) {
+      handleYearDecision(parseInt(button.dataset.index, 10), button.dataset.action);
+    }
+  });
+  yearChecksList.addEventListener('submit', (e) => {
+    e.preventDefault();
+    handleYearDecision(parseInt(e.target.dataset.index, 10), 'override');
+  });
+
+  document.getElementById('save-deck-btn').addEventListener('click', handleSave);
+  document.getElementById('close-deck-builder-btn').addEventListener('click', closeDeckBuilder);
+}
+
+/**
+ * Fetch a playlist and show its songs for review
+ * @param {string} url - Playlist link
+ */
+async function loadPlaylist(url) {
+  if (!url.trim()) return;
+
+  loadAbort?.abort();
+  const abort = new AbortController();
+  loadAbort = abort;
+
+  const loadBtn = document.getElementById('load-playlist-btn');
+  const status = document.getElementById('deck-builder-status');
+  setLoading(loadBtn, true);
+  status.textContent = 'Loading playlist...';
+  document.getElementById('deck-builder-review').hidden = true;
+
+  try {
+    const result = await fetchPlaylist(api, url, {
+      signal: abort.signal,
+      onProgress: (fetched, total) => {
+        status.textContent = `Loading songs... ${fetched} / ${total}`;
+      }
+    });
+
+    playlist = { id: result.id, name: result.name, url: url.trim() };
+    songs = result.songs;
+    yearOverrides = {};
+    yearChecks = [];
+
+    status.textContent = result.skipped > 0
+      ? `Skipped ${result.skipped} local files or podcast episodes.`
+      : '';
+    document.getElementById('deck-name-input').value = result.name;
+    renderReview();
+    document.getElementById('deck-builder-review').hidden = false;
+
+  } catch (error) {
+    if (error.name === 'AbortError') return;
+
+    console.error('Playlist import failed:', error);
+    status.textContent = error instanceof AuthError
+      ? 'Your Spotify session expired - log in again to import playlists.'
+      : error.message;
+  } finally {
+    if (loadAbort === abort) {
+      loadAbort = null;
+      setLoading(loadBtn, false);
+    }
+  }
+}
+
+/**
+ * Render the song table and summary
+ */
+function renderReview() {
+  const issues = analyzeSongs(songs);
+  const duplicates = issues.filter(issue => issue.duplicateOf !== null).length;
+  const missingYears = issues.filter(issue => issue.missingYear).length;
+
+  const summary = [`${songs.length} songs`];
+  if (duplicates > 0) summary.push(`<span class="deck-flag duplicate">${duplicates} duplicates</span>`);
+  if (missingYears > 0) summary.push(`<span class="deck-flag missing-year">${missingYears} missing years</span>`);
+  document.getElementById('deck-summary').innerHTML = summary.join(' &middot; ');
+  document.getElementById('remove-duplicates-btn').hidden = duplicates === 0;
+  renderYearChecks();
+
+  document.getElementById('deck-table').innerHTML = `
+    <thead>
+      <tr><th>#</th><th>Title</th><th>Artist</th><th>Year</th></tr>
+    </thead>
+    <tbody>
+      ${songs.map((song, index) => {
+        const { duplicateOf, missingYear } = issues[index];
+        const override = yearOverrides[songTrackUri(song)];
+        const classes = [
+          duplicateOf !== null && 'duplicate',
+          missingYear && 'missing-year',
+          override && 'year-corrected'
+        ].filter(Boolean);
+        const note = duplicateOf !== null ? ` title="Same song as #${duplicateOf + 1}"` : '';
+        const yearNote = override ? ` title="Was ${override.originalYear ?? 'unknown'}"` : '';
+
+        return `
+          <tr class="${classes.join(' ')}"${note}>
+            <td>${index + 1}</td>
+            <td>${escapeHtml(song.title)}</td>
+            <td>${escapeHtml(song.artist)}</td>
+            <td${yearNote}>${song.year ?? '—'}</td>
+          </tr>
+        `;
+      }).join('')}
+    </tbody>
+  `;
+}
+
+/**
+ * Look for songs dated by a compilation or remaster
+ */
+async function runYearCheck() {
+  loadAbort?.abort();
+  const abort = new AbortController();
+  loadAbort = abort;
+
+  const checkBtn = document.getElementById('check-years-btn');
+  const status = document.getElementById('deck-builder-status');
+  const steps = { tracks: 'Reading tracks', artists: 'Checking artists', releases: 'Finding original releases' };
+  setLoading(checkBtn, true);
+
+  try {
+    yearChecks = await checkYears(api, songs, {
+      signal: abort.signal,
+      onProgress: (step, done, total) => {
+        status.textContent = `${steps[step]}... ${done} / ${total}`;
+      }
+    });
+
+    status.textContent = yearChecks.length > 0
+      ? `${yearChecks.length} songs may have the wrong year - review them below.`
+      : 'All years look right.';
+    renderYearChecks();
+
+  } catch (error) {
+    if (error.name === 'AbortError') return;
+
+    console.error('Year check failed:', error);
+    status.textContent = error instanceof AuthError
+      ? 'Your Spotify session expired - log in again to check years.'
+      : `Year check failed: ${error.message}`;
+  } finally {
+    if (loadAbort === abort) {
+      loadAbort = null;
+      setLoading(checkBtn, false);
+    }
+  }
+}
+
+/**
+ * Accept, override or dismiss a suggested year
+ * @param {number} index - Song index
+ * @param {'accept'|'override'|'keep'} action
+ */
+function handleYearDecision(index, action) {
+  const check = yearChecks.find(c => c.index === index);
+  if (!check) return;
+
+  if (action === 'accept') {
+    overrideYear(songs, yearOverrides, index, check.suggestedYear, 'earliest_release');
+  } else if (action === 'override') {
+    const input = document.querySelector(`.year-check-form[data-index="${index}"] input`);
+    const year = parseInt(input?.value, 10);
+    if (!(year >= 1900 && year <= new Date().getFullYear())) {
+      showToast('Enter a year like 1969', 'warning', 2000);
+      return;
+    }
+    overrideYear(songs, yearOverrides, index, year, 'manual');
+  }
+
+  yearChecks = yearChecks.filter(c => c !== check);
+  renderReview();
+}
+
+/**
+ * Render the songs waiting for a year decision
+ */
+function renderYearChecks() {
+  const list = document.getElementById('year-checks');
+  list.hidden = yearChecks.length === 0;
+
+  list.innerHTML = yearChecks.map(check => {
+    const song = songs[check.index];
+    const reasons = check.flags.map(flag => YEAR_FLAG_LABELS[flag]).join(', ');
+    const accept = check.suggestedYear
+      ? `<button type="button" class="btn-chip active" data-action="accept" data-index="${check.index}">Use ${check.suggestedYear}</button>`
+      : '<span class="year-check-none">No earlier release found</span>';
+
+    return `
+      <div class="year-check">
+        <div class="year-check-info">
+          <span class="history-winner">${escapeHtml(song.title)}</span>
+          <span class="history-scores">${escapeHtml(song.artist)} &middot; ${song.year ?? '—'} &middot; ${escapeHtml(reasons)}</span>
+        </div>
+        <div class="year-check-actions">
+          ${accept}
+          <form class="year-check-form" data-index="${check.index}">
+            <input type="number" min="1900" max="2100" placeholder="Year" aria-label="Year">
+            <button type="submit" class="btn-chip">Set</button>
+          </form>
+          <button type="button" class="btn-chip" data-action="keep" data-index="${check.index}">Keep ${song.year ?? ''}</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Save the reviewed songs as a deck
+ */
+async function handleSave() {
+  if (songs.length === 0) {
+    showToast('This playlist has no songs to save', 'warning');
+    return;
+  }
+
+  const saveBtn = document.getElementById('save-deck-btn');
+  setLoading(saveBtn, true);
+
+  try {
+    const deck = await saveDeck(createDeck({
+      name: getDeckName(),
+      songs,
+      source: { type: 'playlist', id: playlist.id, url: playlist.url },
+      yearOverrides
+    }));
+
+    showToast(`Saved "${deck.name}" (${deck.songs.length} songs)`, 'success');
+    closeDeckBuilder();
+    onSaved?.(deck);
+  } catch (error) {
+    console.error('Failed to save deck:', error);
+    showToast('Could not save the deck', 'error');
+  } finally {
+    setLoading(saveBtn, false);
+  }
+}
+
+/**
+ * @returns {string}
+ */
+function getDeckName() {
+  return document.getElementById('deck-name-input').value.trim() || playlist?.name || 'My deck';
+}
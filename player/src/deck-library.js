@@ -0,0 +1,302 @@
+/**
+ * Deck Library Module
+ *
+ * Overlay listing the decks saved in the browser: import CSV/JSON files,
+ * rename, tag, delete, print, share or download a deck, see its stats (size,
+ * decades, repeated artists), check its songs play in the user's country,
+ * and pick one or more decks to play from.
+ */
+
+import { createDeck, deckStats, parseDeckFile, parseTags, songsToCsv, deckFileName } from './deck.js';
+import { saveDeck, getDeck, listDecks, deleteDeck } from './deck-store.js';
+import { openPrintDialog } from './print-dialog.js';
+import { openShareDialog } from './share-dialog.js';
+import { openValidateDialog } from './validate-dialog.js';
+import { showOverlay, showToast, escapeHtml, downloadFile } from './ui.js';
+
+let api = null;
+let onPlay = null;
+let onChange = null;
+let handlersReady = false;
+
+let decks = [];
+let selectedIds = new Set();
+let statsDeckId = null;
+
+/**
+ * Open the deck library
+ * @param {Object} options
+ * @param {import('./spotify-api.js').SpotifyApiClient} options.api
+ * @param {string[]} [options.selectedIds] - Decks being played, ticked when the library opens
+ * @param {function(import('./deck.js').Deck[]): void} [options.onPlay] - Called with the ticked decks
+ * @param {function(): void} [options.onChange] - Called after a deck is renamed, tagged, patched or deleted
+ */
+export async function openDeckLibrary(options) {
+  api = options.api;
+  onPlay = options.onPlay || null;
+  onChange = options.onChange || null;
+  selectedIds = new Set(options.selectedIds || []);
+  statsDeckId = null;
+
+  if (!handlersReady) {
+    setupHandlers();
+    handlersReady = true;
+  }
+
+  document.getElementById('deck-filter-input').value = '';
+  showOverlay('deck-library-overlay', true);
+  await refreshDecks();
+}
+
+function setupHandlers() {
+  document.getElementById('deck-filter-input').addEventListener('input', renderLibrary);
+
+  document.getElementById('library-file-input').addEventListener('change', (e) => {
+    importFiles([...e.target.files]);
+    // Allow importing the same file again after editing it
+    e.target.value = '';
+  });
+
+  const list = document.getElementById('deck-library-list');
+  list.addEventListener('change', (e) => {
+    if (!e.target.matches('.deck-select')) return;
+    if (e.target.checked) {
+      selectedIds.add(e.target.dataset.deckId);
+    } else {
+      selectedIds.delete(e.target.dataset.deckId);
+    }
+    renderPlayButton();
+  });
+  list.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action]');
+    if (button) {
+      handleDeckAction(button.dataset.deckId, button.dataset.action);
+    }
+  });
+
+  document.getElementById('play-decks-btn').addEventListener('click', handlePlay);
+  document.getElementById('close-library-btn').addEventListener('click', () => showOverlay('deck-library-overlay', false));
+}
+
+/**
+ * Reload the decks from storage and render them
+ */
+async function refreshDecks() {
+  try {
+    decks = await listDecks();
+  } catch (error) {
+    console.error('Failed to load decks:', error);
+    decks = [];
+    showToast('Could not load saved decks', 'error');
+  }
+
+  // Forget ticks for decks that are gone
+  selectedIds = new Set([...selectedIds].filter(id => decks.some(deck => deck.id === id)));
+  renderLibrary();
+}
+
+/**
+ * Import deck files (songs.csv format or JSON) into the library
+ * @param {File[]} files
+ */
+async function importFiles(files) {
+  let imported = 0;
+
+  for (const file of files) {
+    try {
+      const { name, songs, yearOverrides } = parseDeckFile(await file.text(), file.name);
+      await saveDeck(createDeck({ name, songs, yearOverrides }));
+      imported++;
+    } catch (error) {
+      console.error('Deck import failed:', error);
+      showToast(`${file.name}: ${error.message}`, 'error', 5000);
+    }
+  }
+
+  if (imported > 0) {
+    showToast(`Imported ${imported} ${imported === 1 ? 'deck' : 'decks'}`, 'success', 2000);
+    await refreshDecks();
+  }
+}
+
+/**
+ * @param {string} deckId
+ * @param {'stats'|'rename'|'tags'|'validate'|'print'|'share'|'download'|'delete'} action
+ */
+async function handleDeckAction(deckId, action) {
+  const deck = decks.find(d => d.id === deckId);
+  if (!deck) return;
+
+  if (action === 'stats') {
+    statsDeckId = statsDeckId === deckId ? null : deckId;
+    renderLibrary();
+    return;
+  }
+
+  if (action === 'print') {
+    openPrintDialog(deck);
+    return;
+  }
+
+  if (action === 'validate') {
+    openValidateDialog(deck, {
+      api,
+      onPatched: async () => {
+        await refreshDecks();
+        onChange?.();
+      }
+    });
+    return;
+  }
+
+  if (action === 'share') {
+    openShareDialog(deck);
+    return;
+  }
+
+  if (action === 'download') {
+    downloadFile(`${deckFileName(deck.name)}.csv`, songsToCsv(deck.songs), 'text/csv');
+    return;
+  }
+
+  try {
+    if (action === 'rename') {
+      const name = prompt('Deck name', deck.name)?.trim();
+      if (!name || name === deck.name) return;
+      await updateDeck(deckId, { name });
+    } else if (action === 'tags') {
+      const text = prompt('Tags, separated by commas (e.g. 80s, party)', (deck.tags || []).join(', '));
+      if (text === null) return;
+      await updateDeck(deckId, { tags: parseTags(text) });
+    } else if (action === 'delete') {
+      if (!confirm(`Delete "${deck.name}" (${deck.songs.length} songs)?`)) return;
+      await deleteDeck(deckId);
+      selectedIds.delete(deckId);
+    }
+  } catch (error) {
+    console.error(`Deck ${action} failed:`, error);
+    showToast('Could not update the deck', 'error');
+    return;
+  }
+
+  await refreshDecks();
+  onChange?.();
+}
+
+/**
+ * Change a saved deck's details
+ * @param {string} deckId
+ * @param {Partial<import('./deck.js').Deck>} changes
+ */
+async function updateDeck(deckId, changes) {
+  // Re-read so changes made elsewhere (e.g. the deck builder) aren't lost
+  const deck = await getDeck(deckId);
+  if (!deck) {
+    throw new Error('Deck not found');
+  }
+  await saveDeck({ ...deck, ...changes });
+}
+
+/**
+ * Play the ticked decks
+ */
+function handlePlay() {
+  const chosen = decks.filter(deck => selectedIds.has(deck.id));
+  if (chosen.length === 0) return;
+
+  showOverlay('deck-library-overlay', false);
+  onPlay?.(chosen);
+}
+
+/**
+ * Render the decks matching the filter
+ */
+function renderLibrary() {
+  const list = document.getElementById('deck-library-list');
+  const filter = document.getElementById('deck-filter-input').value.trim().toLowerCase();
+  renderPlayButton();
+
+  if (decks.length === 0) {
+    list.innerHTML = '<p class="history-empty">No decks yet - import a CSV or build one from a playlist</p>';
+    return;
+  }
+
+  const shown = decks.filter(deck => !filter ||
+    deck.name.toLowerCase().includes(filter) ||
+    (deck.tags || []).some(tag => tag.includes(filter)));
+
+  if (shown.length === 0) {
+    list.innerHTML = '<p class="history-empty">No decks match</p>';
+    return;
+  }
+
+  list.innerHTML = shown.map((deck) => {
+    const id = escapeHtml(deck.id);
+    const tags = (deck.tags || []).map(tag => `<span class="deck-tag">${escapeHtml(tag)}</span>`).join('');
+    const updated = new Date(deck.updatedAt).toLocaleDateString(undefined, { dateStyle: 'medium' });
+
+    return `
+      <div class="history-item deck-item">
+        <input type="checkbox" class="deck-select" data-deck-id="${id}" aria-label="Play ${escapeHtml(deck.name)}"
+               ${selectedIds.has(deck.id) ? 'checked' : ''}>
+        <div class="history-info">
+          <span class="history-winner">${escapeHtml(deck.name)}</span>
+          <span class="history-date">${deck.songs.length} songs &middot; ${updated}</span>
+          ${tags ? `<span class="deck-tags">${tags}</span>` : ''}
+        </div>
+        <div class="deck-item-actions">
+          <button type="button" class="btn-chip${statsDeckId === deck.id ? ' active' : ''}" data-action="stats" data-deck-id="${id}">Stats</button>
+          <button type="button" class="btn-chip" data-action="rename" data-deck-id="${id}">Rename</button>
+          <button type="button" class="btn-chip" data-action="tags" data-deck-id="${id}">Tags</button>
+          <button type="button" class="btn-chip" data-action="validate" data-deck-id="${id}" title="Check the songs play in your country">✅</button>
+          <button type="button" class="btn-chip" data-action="print" data-deck-id="${id}" title="Print cards">🖨️</button>
+          <button type="button" class="btn-chip" data-action="share" data-deck-id="${id}" title="Share as a link or QR codes">🔗</button>
+          <button type="button" class="btn-chip" data-action="download" data-deck-id="${id}" title="Download CSV">⬇️</button>
+          <button type="button" class="btn-chip" data-action="delete" data-deck-id="${id}" title="Delete deck">🗑️</button>
+        </div>
+        ${statsDeckId === deck.id ? renderStats(deck) : ''}
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * @param {import('./deck.js').Deck} deck
+ * @returns {string} HTML
+ */
+function renderStats(deck) {
+  const stats = deckStats(deck);
+  const largest = Math.max(1, ...stats.decades.map(d => d.count));
+
+  const bars = stats.decades.map(({ decade, count }) => `
+    <div class="decade-bar">
+      <span class="decade-label">${decade}s</span>
+      <span class="decade-track"><span class="decade-fill" style="width: ${Math.round((count / largest) * 100)}%"></span></span>
+      <span class="decade-count">${count}</span>
+    </div>
+  `).join('');
+
+  const repeated = stats.repeatedArtists.slice(0, 8)
+    .map(({ artist, count }) => `${escapeHtml(artist)} (${count})`)
+    .join(', ');
+
+  return `
+    <div class="deck-stats">
+      <p class="history-scores">
+        ${stats.songCount} songs &middot; ${stats.artistCount} artists${stats.missingYears > 0 ? ` &middot; ${stats.missingYears} without a year` : ''}
+      </p>
+      ${bars}
+      <p class="history-scores">${repeated ? `Most repeated: ${repeated}` : 'No artist appears twice'}</p>
+    </div>
+  `;
+}
+
+/**
+ * Update the play button for the ticked decks
+ */
+function renderPlayButton() {
+  const button = document.getElementById('play-decks-btn');
+  const count = decks.filter(deck => selectedIds.has(deck.id)).length;
+  button.disabled = count === 0;
+  button.textContent = count > 1 ? `Play ${count} decks together` : 'Play selected deck';
+}
@@ -0,0 +1,433 @@
+/**
+ * Deck Share Module
+ *
+ * Sends a deck to another device as a link or QR codes instead of a CSV file.
+ * The deck is packed into a compact binary format, compressed and
+ * base64url-encoded:
+ * - Short decks fit in one link: https://<host>/#deck=<data>
+ * - Longer decks are split into numbered parts, one QR code each:
+ *   https://<host>/#deckpart=<set>.<part>.<parts>.<data>
+ *
+ * The scanner recognises both (deckShareResolver) and DeckShareCollector
+ * puts the parts back together in any order.
+ *
+ * Binary format (version 1), numbers as unsigned LEB128 varints and strings
+ * as a varint byte length followed by UTF-8:
+ *   "N4" version:u8 name:string songCount:varint
+ *   per song:
+ *     flags:u8      bit 0: track ID packed into 16 bytes (else a string)
+ *                   bit 1: the year was corrected (override follows)
+ *     trackId:16 bytes | string
+ *     year:varint   0 = unknown
+ *     title:string  artist:string
+ *     [originalYear:varint (0 = unknown), source:u8 (0 earliest release, 1 manual)]
+ */
+
+import { UnsupportedCardError } from './card-resolvers.js';
+import { songTrackUri } from './deck.js';
+
+const FORMAT_VERSION = 1;
+const MAGIC = [0x4e, 0x34]; // "N4"
+
+const FLAG_PACKED_ID = 1;
+const FLAG_YEAR_OVERRIDE = 2;
+
+const OVERRIDE_SOURCES = ['earliest_release', 'manual'];
+
+// Spotify IDs are 128-bit numbers written in base 62
+const BASE62 = '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const TRACK_ID_LENGTH = 22;
+
+/** Characters of encoded deck per QR code - dense enough to fit, sparse enough to scan from a phone screen */
+export const QR_PART_SIZE = 900;
+
+const SHARE_LINK_PATTERN = /#deck=([A-Za-z0-9_-]+)$/;
+const SHARE_PART_PATTERN = /#deckpart=([a-z0-9]+)\.(\d+)\.(\d+)\.([A-Za-z0-9_-]+)$/;
+
+/**
+ * @typedef {Object} DeckSharePart
+ * @property {'deck-share'} type - Tells deck payloads apart from track URIs
+ * @property {string} setId - Same for every part of one deck
+ * @property {number} index - Part number (1-based)
+ * @property {number} total - Number of parts
+ * @property {string} data - base64url slice of the encoded deck
+ */
+
+/**
+ * @typedef {Object} SharedDeck
+ * @property {string} name
+ * @property {import('./deck.js').DeckSong[]} songs
+ * @property {Object<string, import('./deck.js').YearOverride>} yearOverrides
+ */
+
+/**
+ * Encode a deck for sharing
+ * @param {import('./deck.js').Deck} deck
+ * @returns {Promise<string>} base64url text
+ */
+export async function encodeDeck(deck) {
+  const writer = new ByteWriter();
+  writer.bytes(MAGIC);
+  writer.byte(FORMAT_VERSION);
+  writer.string(deck.name);
+
+  const songs = deck.songs.filter(song => songTrackUri(song));
+  writer.varint(songs.length);
+
+  songs.forEach((song) => {
+    const uri = songTrackUri(song);
+    const id = uri.split(':')[2];
+    const packedId = packTrackId(id);
+    const override = deck.yearOverrides?.[uri];
+
+    writer.byte((packedId ? FLAG_PACKED_ID : 0) | (override ? FLAG_YEAR_OVERRIDE : 0));
+    if (packedId) {
+      writer.bytes(packedId);
+    } else {
+      writer.string(id);
+    }
+    writer.varint(song.year || 0);
+    writer.string(song.title);
+    writer.string(song.artist);
+
+    if (override) {
+      writer.varint(override.originalYear || 0);
+      writer.byte(Math.max(0, OVERRIDE_SOURCES.indexOf(override.source)));
+    }
+  });
+
+  return toBase64Url(await compress(writer.toBytes()));
+}
+
+/**
+ * Decode a shared deck
+ * @param {string} text - base64url text from encodeDeck()
+ * @returns {Promise<SharedDeck>}
+ * @throws {Error} If the text isn't a deck or is damaged
+ */
+export async function decodeDeck(text) {
+  let reader;
+  try {
+    reader = new ByteReader(await decompress(fromBase64Url(text)));
+  } catch (error) {
+    throw new Error('This deck link is damaged or incomplete');
+  }
+
+  if (reader.byte() !== MAGIC[0] || reader.byte() !== MAGIC[1]) {
+    throw new Error("This isn't a shared deck");
+  }
+  const version = reader.byte();
+  if (version !== FORMAT_VERSION) {
+    throw new Error('This deck was shared from a newer version of the player - update and try again');
+  }
+
+  const name = reader.string();
+  const count = reader.varint();
+  const songs = [];
+  const yearOverrides = {};
+
+  for (let i = 0; i < count; i++) {
+    const flags = reader.byte();
+    const id = flags & FLAG_PACKED_ID ? unpackTrackId(reader.bytes(16)) : reader.string();
+    const year = reader.varint() || null;
+    const title = reader.string();
+    const artist = reader.string();
+
+    if (flags & FLAG_YEAR_OVERRIDE) {
+      yearOverrides[`spotify:track:${id}`] = {
+        year,
+        originalYear: reader.varint() || null,
+        source: OVERRIDE_SOURCES[reader.byte()] || 'manual'
+      };
+    }
+    songs.push({ title, artist, year, spotify_url: `https://open.spotify.com/track/${id}` });
+  }
+
+  return { name, songs, yearOverrides };
+}
+
+/**
+ * Link that imports the deck when opened in the player
+ * @param {string} encoded - From encodeDeck()
+ * @returns {string}
+ */
+export function getDeckShareUrl(encoded) {
+  return `${window.location.origin}/#deck=${encoded}`;
+}
+
+/**
+ * Split an encoded deck into QR code texts
+ * @param {string} encoded - From encodeDeck()
+ * @returns {string[]} One link per QR code; a single full link when it fits
+ */
+export function getDeckShareQrTexts(encoded) {
+  if (encoded.length <= QR_PART_SIZE) {
+    return [getDeckShareUrl(encoded)];
+  }
+
+  const setId = hashText(encoded);
+  const total = Math.ceil(encoded.length / QR_PART_SIZE);
+  return Array.from({ length: total }, (_, i) =>
+    `${window.location.origin}/#deckpart=${setId}.${i + 1}.${total}.${encoded.slice(i * QR_PART_SIZE, (i + 1) * QR_PART_SIZE)}`
+  );
+}
+
+/**
+ * Read a deck link or deck QR code
+ * @param {string} text
+ * @returns {DeckSharePart|null} null if the text isn't a deck share
+ */
+export function parseDeckShare(text) {
+  const link = text.match(SHARE_LINK_PATTERN);
+  if (link) {
+    return { type: 'deck-share', setId: hashText(link[1]), index: 1, total: 1, data: link[1] };
+  }
+
+  const part = text.match(SHARE_PART_PATTERN);
+  if (part) {
+    const index = parseInt(part[2], 10);
+    const total = parseInt(part[3], 10);
+    if (index < 1 || index > total) return null;
+    return { type: 'deck-share', setId: part[1], index, total, data: part[4] };
+  }
+
+  return null;
+}
+
+/**
+ * Deck links and QR codes, for the scanner's resolver chain.
+ * Resolves to a DeckSharePart instead of a track URI.
+ * @type {import('./card-resolvers.js').CardResolver}
+ */
+export const deckShareResolver = {
+  name: 'deck-share',
+  canResolve: (text) => /#deck(?:part)?=/.test(text),
+  async resolve(text) {
+    const part = parseDeckShare(text);
+    if (!part) {
+      throw new UnsupportedCardError('This deck QR code is damaged - try scanning it again.', 'damaged_deck');
+    }
+    return part;
+  }
+};
+
+/**
+ * Collects the parts of a shared deck as they're scanned
+ */
+export class DeckShareCollector {
+  constructor() {
+    this._setId = null;
+    this._parts = [];
+  }
+
+  /**
+   * Add a scanned part. A part from a different deck starts over.
+   * @param {DeckSharePart} part
+   * @returns {{received: number, total: number, complete: boolean}}
+   */
+  add(part) {
+    if (part.setId !== this._setId || part.total !== this._parts.length) {
+      this._setId = part.setId;
+      this._parts = new Array(part.total).fill(null);
+    }
+    this._parts[part.index - 1] = part.data;
+
+    const received = this._parts.filter(Boolean).length;
+    return { received, total: part.total, complete: received === part.total };
+  }
+
+  /**
+   * Parts not scanned yet (1-based)
+   * @returns {number[]}
+   */
+  get missing() {
+    return this._parts.map((data, i) => (data ? null : i + 1)).filter(Boolean);
+  }
+
+  /**
+   * The encoded deck, once every part is in
+   * @returns {string|null}
+   */
+  get encoded() {
+    return this._parts.length > 0 && this._parts.every(Boolean) ? this._parts.join('') : null;
+  }
+
+  /**
+   * Forget the parts scanned so far
+   */
+  reset() {
+    this._setId = null;
+    this._parts = [];
+  }
+}
+
+/**
+ * Pack a 22-character track ID into 16 bytes
+ * @param {string} id
+ * @returns {Uint8Array|null} null if the ID doesn't survive the round trip
+ */
+function packTrackId(id) {
+  if (id.length !== TRACK_ID_LENGTH) return null;
+
+  let value = 0n;
+  for (const char of id) {
+    value = value * 62n + BigInt(BASE62.indexOf(char));
+  }
+  if (value >= 1n << 128n) return null;
+
+  const bytes = new Uint8Array(16);
+  for (let i = 15; i >= 0; i--) {
+    bytes[i] = Number(value & 0xffn);
+    value >>= 8n;
+  }
+  return unpackTrackId(bytes) === id ? bytes : null;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function unpackTrackId(bytes) {
+  let value = 0n;
+  bytes.forEach((byte) => {
+    value = (value << 8n) | BigInt(byte);
+  });
+
+  let id = '';
+  while (value > 0n) {
+    id = BASE62[Number(value % 62n)] + id;
+    value /= 62n;
+  }
+  return id.padStart(TRACK_ID_LENGTH, '0');
+}
+
+/**
+ * Short, stable ID for a text (FNV-1a)
+ * @param {string} text
+ * @returns {string}
+ */
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function compress(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function decompress(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+  let binary = '';
+  // In slices: String.fromCharCode can't take a whole large deck at once
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+class ByteWriter {
+  constructor() {
+    this._bytes = [];
+    this._encoder = new TextEncoder();
+  }
+
+  byte(value) {
+    this._bytes.push(value & 0xff);
+  }
+
+  bytes(values) {
+    values.forEach(value => this._bytes.push(value));
+  }
+
+  varint(value) {
+    let rest = value;
+    while (rest >= 0x80) {
+      this._bytes.push((rest & 0x7f) | 0x80);
+      rest = Math.floor(rest / 128);
+    }
+    this._bytes.push(rest);
+  }
+
+  string(text) {
+    const bytes = this._encoder.encode(String(text ?? ''));
+    this.varint(bytes.length);
+    this.bytes(bytes);
+  }
+
+  toBytes() {
+    return Uint8Array.from(this._bytes);
+  }
+}
+
+class ByteReader {
+  /**
+   * @param {Uint8Array} bytes
+   */
+  constructor(bytes) {
+    this._bytes = bytes;
+    this._offset = 0;
+    this._decoder = new TextDecoder();
+  }
+
+  byte() {
+    if (this._offset >= this._bytes.length) {
+      throw new Error('This deck link is damaged or incomplete');
+    }
+    return this._bytes[this._offset++];
+  }
+
+  bytes(length) {
+    if (this._offset + length > this._bytes.length) {
+      throw new Error('This deck link is damaged or incomplete');
+    }
+    const slice = this._bytes.subarray(this._offset, this._offset + length);
+    this._offset += length;
+    return slice;
+  }
+
+  varint() {
+    let value = 0;
+    let scale = 1;
+    let byte;
+    do {
+      byte = this.byte();
+      value += (byte & 0x7f) * scale;
+      scale *= 128;
+    } while (byte & 0x80);
+    return value;
+  }
+
+  string() {
+    return this._decoder.decode(this.bytes(this.varint()));
+  }
+}
@@ -0,0 +1,50 @@
+/**
+ * Deck Store Module
+ *
+ * Keeps decks built in the app in IndexedDB.
+ */
+
+import { STORES, withStore, promisifyRequest } from './db.js';
+
+/**
+ * Save a deck (new or updated)
+ * @param {import('./deck.js').Deck} deck
+ * @returns {Promise<import('./deck.js').Deck>}
+ */
+export async function saveDeck(deck) {
+  const record = { ...deck, updatedAt: Date.now() };
+  await withStore(STORES.decks, 'readwrite', (store) => promisifyRequest(store.put(record)));
+  return record;
+}
+
+/**
+ * Get a deck
+ * @param {string} deckId
+ * @returns {Promise<import('./deck.js').Deck|null>}
+ */
+export async function getDeck(deckId) {
+  const record = await withStore(STORES.decks, 'readonly', (store) =>
+    promisifyRequest(store.get(deckId))
+  );
+  return record || null;
+}
+
+/**
+ * List saved decks, most recently changed first
+ * @returns {Promise<import('./deck.js').Deck[]>}
+ */
+export async function listDecks() {
+  const all = await withStore(STORES.decks, 'readonly', (store) =>
+    promisifyRequest(store.getAll())
+  );
+  return all.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Delete a deck
+ * @param {string} deckId
+ * @returns {Promise<void>}
+ */
+export async function deleteDeck(deckId) {
+  await withStore(STORES.decks, 'readwrite', (store) => promisifyRequest(store.delete(deckId)));
+}
@@ -0,0 +1,173 @@
+/**
+ * Deck Validator Module
+ *
+ * Checks that every song in a deck can be played in the logged-in user's
+ * country before the cards hit the table. Tracks are looked up with
+ * market=from_token, which tells us:
+ * - Removed tracks (Spotify doesn't know the ID any more)
+ * - Tracks that can't be played here (is_playable: false, e.g. region locks)
+ * - Relinked tracks (linked_from: Spotify plays a different copy of the song)
+ *
+ * Removed and unplayable songs get replacement suggestions from a search for
+ * the same title and artist.
+ */
+
+import { TRACKS_BATCH_SIZE, extractYear } from './spotify-api.js';
+import { songTrackUri } from './deck.js';
+import { cleanTitle } from './year-check.js';
+
+// Replacement suggestions per song
+const MAX_REPLACEMENTS = 3;
+
+/**
+ * @typedef {'removed'|'unplayable'|'relinked'} TrackProblem
+ */
+
+/**
+ * @typedef {Object} Replacement
+ * @property {string} uri - Track URI that plays here
+ * @property {string} title
+ * @property {string} artist
+ * @property {string} album
+ * @property {number|null} year - Release year of this copy
+ */
+
+/**
+ * @typedef {Object} TrackIssue
+ * @property {number} index - Song index in the deck
+ * @property {string} uri - Track URI in the deck
+ * @property {TrackProblem} problem
+ * @property {string|null} reason - Spotify's restriction reason ('market', 'product', 'explicit'), if given
+ * @property {Replacement[]} replacements - Best first; for relinked tracks, the copy Spotify plays
+ */
+
+/** Labels for TrackProblem values */
+export const TRACK_PROBLEM_LABELS = {
+  removed: 'removed from Spotify',
+  unplayable: "can't be played in your country",
+  relinked: 'replaced by another copy'
+};
+
+/**
+ * Find deck songs that won't play for the logged-in user
+ * @param {import('./spotify-api.js').SpotifyApiClient} api
+ * @param {import('./deck.js').DeckSong[]} songs
+ * @param {Object} [options]
+ * @param {function(string, number, number): void} [options.onProgress] - Called with (step, done, total)
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<TrackIssue[]>}
+ */
+export async function validateDeck(api, songs, { onProgress = null, signal } = {}) {
+  const entries = songs
+    .map((song, index) => ({ song, index, uri: songTrackUri(song) }))
+    .filter(entry => entry.uri);
+
+  // 1. Look up every track as the user's market sees it
+  const issues = [];
+  for (let i = 0; i < entries.length; i += TRACKS_BATCH_SIZE) {
+    const batch = entries.slice(i, i + TRACKS_BATCH_SIZE);
+    const data = await api.get('/tracks', {
+      query: { ids: batch.map(entry => entry.uri.split(':')[2]).join(','), market: 'from_token' },
+      signal
+    });
+
+    // Tracks come back in the order asked for, null for unknown IDs
+    batch.forEach((entry, j) => {
+      const issue = checkTrack(entry, data?.tracks?.[j] || null);
+      if (issue) issues.push(issue);
+    });
+    onProgress?.('tracks', Math.min(i + TRACKS_BATCH_SIZE, entries.length), entries.length);
+  }
+
+  // 2. Replacements for songs that can't be played at all
+  const broken = issues.filter(issue => issue.problem !== 'relinked');
+  for (const [done, issue] of broken.entries()) {
+    issue.replacements = await findReplacements(api, songs[issue.index], issue.uri, signal);
+    onProgress?.('replacements', done + 1, broken.length);
+  }
+
+  return issues;
+}
+
+/**
+ * @param {{song: import('./deck.js').DeckSong, index: number, uri: string}} entry
+ * @param {Object|null} track - Track from the Web API
+ * @returns {TrackIssue|null}
+ */
+function checkTrack(entry, track) {
+  const issue = { index: entry.index, uri: entry.uri, reason: null, replacements: [] };
+
+  if (!track) {
+    return { ...issue, problem: 'removed' };
+  }
+  if (track.is_playable === false) {
+    return { ...issue, problem: 'unplayable', reason: track.restrictions?.reason || null };
+  }
+  if (track.linked_from && track.uri !== entry.uri) {
+    return { ...issue, problem: 'relinked', replacements: [toReplacement(track)] };
+  }
+  return null;
+}
+
+/**
+ * Search for playable copies of the same song by the same artist
+ * @param {import('./spotify-api.js').SpotifyApiClient} api
+ * @param {import('./deck.js').DeckSong} song
+ * @param {string} uri - The broken track
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Replacement[]>}
+ */
+async function findReplacements(api, song, uri, signal) {
+  const title = cleanTitle(song.title);
+  const artist = song.artist.split(',')[0].trim();
+  const data = await api.get('/search', {
+    query: { q: `track:${title} artist:${artist}`, type: 'track', market: 'from_token', limit: 20 },
+    signal
+  });
+
+  const titleKey = normalize(title);
+  const artistKey = normalize(artist);
+
+  return (data?.tracks?.items || [])
+    .filter(item =>
+      item.uri !== uri &&
+      item.is_playable !== false &&
+      normalize(cleanTitle(item.name)) === titleKey &&
+      item.artists.some(a => normalize(a.name) === artistKey))
+    // Closest to the deck's year first: the original release rather than a later best-of
+    .sort((a, b) => yearDistance(a, song.year) - yearDistance(b, song.year))
+    .slice(0, MAX_REPLACEMENTS)
+    .map(toReplacement);
+}
+
+/**
+ * @param {Object} track - Track from the Web API
+ * @returns {Replacement}
+ */
+function toReplacement(track) {
+  return {
+    uri: track.uri,
+    title: track.name,
+    artist: track.artists.map(a => a.name).join(', '),
+    album: track.album?.name || '',
+    year: extractYear(track.album?.release_date)
+  };
+}
+
+/**
+ * @param {Object} track - Track from the Web API
+ * @param {number|null} year
+ * @returns {number}
+ */
+function yearDistance(track, year) {
+  const trackYear = extractYear(track.album?.release_date);
+  return year && trackYear ? Math.abs(trackYear - year) : 0;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
@@ -0,0 +1,389 @@
+/**
+ * Deck Module
+ *
+ * A deck is a list of songs in the same shape as the card generator's
+ * songs.csv (title, artist, year, spotify_url), so decks built in the app
+ * can be printed and CSVs made for printing can be played.
+ */
+
+import { formatCsv, parseCsv } from './csv.js';
+import { toTrackUri } from './card-resolvers.js';
+
+/** Columns of a deck CSV, in order */
+export const DECK_COLUMNS = ['title', 'artist', 'year', 'spotify_url'];
+
+/**
+ * @typedef {Object} DeckSong
+ * @property {string} title
+ * @property {string} artist
+ * @property {number|null} year - Release year, null when unknown
+ * @property {string} spotify_url - open.spotify.com track link
+ */
+
+/**
+ * @typedef {Object} Deck
+ * @property {string} id
+ * @property {string} name
+ * @property {DeckSong[]} songs
+ * @property {{type: 'playlist', id: string, url: string}|null} source - Where the songs came from
+ * @property {Object<string, YearOverride>} yearOverrides - Corrected years by track URI
+ * @property {Object<string, string>} [trackReplacements] - Track URI on printed cards -> track played instead (see replaceTrack)
+ * @property {string[]} tags - Labels for finding decks in the library ("80s", "party")
+ * @property {number} createdAt - ms since epoch
+ * @property {number} updatedAt - ms since epoch
+ */
+
+/**
+ * @typedef {Object} YearOverride
+ * @property {number} year - Year used for the card (also written to the song)
+ * @property {number|null} originalYear - Year before it was corrected
+ * @property {'earliest_release'|'manual'} source - Suggested by the year check or typed by the host
+ */
+
+/**
+ * @typedef {Object} SongIssues
+ * @property {number|null} duplicateOf - Index of the earlier copy of this song
+ * @property {boolean} missingYear
+ */
+
+/**
+ * @typedef {Object} DeckStats
+ * @property {number} songCount
+ * @property {number} missingYears - Songs without a year
+ * @property {{decade: number, count: number}[]} decades - Songs per decade, oldest first
+ * @property {number} artistCount - Different artists
+ * @property {{artist: string, count: number}[]} repeatedArtists - Artists on more than one song, most first
+ */
+
+/**
+ * Create a new deck
+ * @param {Object} options
+ * @param {string} options.name
+ * @param {DeckSong[]} options.songs
+ * @param {Deck['source']} [options.source]
+ * @param {Object<string, YearOverride>} [options.yearOverrides]
+ * @param {Object<string, string>} [options.trackReplacements]
+ * @param {string[]} [options.tags]
+ * @returns {Deck}
+ */
+export function createDeck({ name, songs, source = null, yearOverrides = {}, trackReplacements = {}, tags = [] }) {
+  const now = Date.now();
+  return {
+    id: `deck-${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    songs,
+    source,
+    yearOverrides,
+    trackReplacements,
+    tags,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Track URI of a deck song
+ * @param {DeckSong} song
+ * @returns {string|null}
+ */
+export function songTrackUri(song) {
+  return toTrackUri(song.spotify_url);
+}
+
+/**
+ * Correct a song's year, remembering the year it had before
+ * @param {DeckSong[]} songs - Updated in place
+ * @param {Object<string, YearOverride>} yearOverrides - Updated in place
+ * @param {number} index - Song to correct
+ * @param {number} year
+ * @param {YearOverride['source']} source
+ */
+export function overrideYear(songs, yearOverrides, index, year, source) {
+  const song = songs[index];
+  const uri = songTrackUri(song);
+  if (!uri) return;
+
+  yearOverrides[uri] = {
+    year,
+    originalYear: yearOverrides[uri]?.originalYear ?? song.year,
+    source
+  };
+  songs[index] = { ...song, year };
+}
+
+/**
+ * Swap a song's track for one that plays (e.g. after it was region-locked).
+ * Cards already printed keep working: their track is mapped to the new one.
+ * @param {DeckSong[]} songs - Updated in place
+ * @param {Object<string, string>} trackReplacements - Updated in place
+ * @param {Object<string, YearOverride>} yearOverrides - Updated in place (corrections move to the new track)
+ * @param {number} index - Song to change
+ * @param {string} uri - New track URI
+ */
+export function replaceTrack(songs, trackReplacements, yearOverrides, index, uri) {
+  const song = songs[index];
+  const oldUri = songTrackUri(song);
+  if (!oldUri || oldUri === uri) return;
+
+  // Cards printed for earlier replacements follow along
+  Object.keys(trackReplacements).forEach((printedUri) => {
+    if (trackReplacements[printedUri] === oldUri) trackReplacements[printedUri] = uri;
+  });
+  trackReplacements[oldUri] = uri;
+  delete trackReplacements[uri];
+
+  if (yearOverrides[oldUri]) {
+    yearOverrides[uri] = yearOverrides[oldUri];
+    delete yearOverrides[oldUri];
+  }
+  songs[index] = { ...song, spotify_url: `https://open.spotify.com/track/${uri.split(':')[2]}` };
+}
+
+// Track URI -> song, built once per deck
+const songIndexes = new WeakMap();
+
+/**
+ * Find the song for a track in a deck
+ * @param {Deck|null} deck
+ * @param {string} uri - Track URI
+ * @returns {DeckSong|null}
+ */
+export function findDeckSong(deck, uri) {
+  if (!deck) return null;
+
+  let index = songIndexes.get(deck);
+  if (!index) {
+    index = new Map();
+    deck.songs.forEach((song) => {
+      const songUri = songTrackUri(song);
+      if (songUri && !index.has(songUri)) index.set(songUri, song);
+    });
+    // Printed cards of replaced tracks
+    Object.entries(deck.trackReplacements || {}).forEach(([printedUri, songUri]) => {
+      if (!index.has(printedUri) && index.has(songUri)) index.set(printedUri, index.get(songUri));
+    });
+    songIndexes.set(deck, index);
+  }
+  return index.get(uri) || null;
+}
+
+/**
+ * Key that identifies the same recording across different track IDs
+ * (playlists often contain a song twice from different albums)
+ * @param {DeckSong} song
+ * @returns {string}
+ */
+function songKey(song) {
+  const normalize = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  return `${normalize(song.title)}|${normalize(song.artist)}`;
+}
+
+/**
+ * Find duplicates and songs without a year
+ * @param {DeckSong[]} songs
+ * @returns {SongIssues[]} One entry per song
+ */
+export function analyzeSongs(songs) {
+  const firstByUri = new Map();
+  const firstByKey = new Map();
+
+  return songs.map((song, index) => {
+    const uri = songTrackUri(song);
+    const key = songKey(song);
+    const duplicateOf = firstByUri.get(uri) ?? firstByKey.get(key) ?? null;
+
+    if (uri && !firstByUri.has(uri)) firstByUri.set(uri, index);
+    if (!firstByKey.has(key)) firstByKey.set(key, index);
+
+    return {
+      duplicateOf,
+      missingYear: !song.year
+    };
+  });
+}
+
+/**
+ * Drop later copies of songs that appear more than once
+ * @param {DeckSong[]} songs
+ * @returns {DeckSong[]}
+ */
+export function removeDuplicates(songs) {
+  const issues = analyzeSongs(songs);
+  return songs.filter((song, index) => issues[index].duplicateOf === null);
+}
+
+/**
+ * Play several decks as one. Songs in more than one deck are kept once.
+ * The result isn't saved; its ID is made from the deck IDs.
+ * @param {Deck[]} decks
+ * @returns {Deck}
+ */
+export function combineDecks(decks) {
+  if (decks.length === 1) {
+    return decks[0];
+  }
+
+  return {
+    id: decks.map(deck => deck.id).join('+'),
+    name: decks.map(deck => deck.name).join(' + '),
+    songs: removeDuplicates(decks.flatMap(deck => deck.songs)),
+    source: null,
+    yearOverrides: Object.assign({}, ...decks.map(deck => deck.yearOverrides)),
+    trackReplacements: Object.assign({}, ...decks.map(deck => deck.trackReplacements || {})),
+    tags: [...new Set(decks.flatMap(deck => deck.tags || []))],
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
+}
+
+/**
+ * Size, decade spread and artist repetition of a deck
+ * @param {Deck} deck
+ * @returns {DeckStats}
+ */
+export function deckStats(deck) {
+  const decades = new Map();
+  const artists = new Map();
+  let missingYears = 0;
+
+  deck.songs.forEach((song) => {
+    if (song.year) {
+      const decade = Math.floor(song.year / 10) * 10;
+      decades.set(decade, (decades.get(decade) || 0) + 1);
+    } else {
+      missingYears++;
+    }
+
+    // "Artist A, Artist B" counts for both
+    String(song.artist || '').split(',').map(name => name.trim()).filter(Boolean).forEach((name) => {
+      const key = name.toLowerCase();
+      const entry = artists.get(key) || { artist: name, count: 0 };
+      entry.count++;
+      artists.set(key, entry);
+    });
+  });
+
+  return {
+    songCount: deck.songs.length,
+    missingYears,
+    decades: [...decades].map(([decade, count]) => ({ decade, count })).sort((a, b) => a.decade - b.decade),
+    artistCount: artists.size,
+    repeatedArtists: [...artists.values()].filter(entry => entry.count > 1).sort((a, b) => b.count - a.count)
+  };
+}
+
+/**
+ * Read tags typed as a comma-separated list
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseTags(text) {
+  const tags = String(text || '').split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+  return [...new Set(tags)];
+}
+
+/**
+ * Check and tidy a song read from a file
+ * @param {Object} raw
+ * @param {string} where - Position for error messages ("Row 4", "Song 3")
+ * @returns {DeckSong}
+ */
+function readSong(raw, where) {
+  const title = String(raw.title ?? '').trim();
+  const artist = String(raw.artist ?? '').trim();
+  const yearText = String(raw.year ?? '').trim();
+  const url = String(raw.spotify_url ?? '').trim();
+
+  if (!title || !artist) {
+    throw new Error(`${where}: title and artist can't be empty`);
+  }
+
+  const year = /^\d{4}$/.test(yearText) ? parseInt(yearText, 10) : null;
+  if (yearText && !(year >= 1900 && year <= 2100)) {
+    throw new Error(`${where}: "${yearText}" isn't a year`);
+  }
+
+  const uri = toTrackUri(url);
+  if (!uri) {
+    throw new Error(`${where}: "${url}" isn't a Spotify track link`);
+  }
+
+  return {
+    title,
+    artist,
+    year,
+    spotify_url: `https://open.spotify.com/track/${uri.split(':')[2]}`
+  };
+}
+
+/**
+ * Read a deck from a songs.csv-style CSV or a JSON export
+ * (a list of songs, or a deck with name, songs and yearOverrides)
+ * @param {string} text - File contents
+ * @param {string} fileName - Used to tell the formats apart and as the default name
+ * @returns {{name: string, songs: DeckSong[], yearOverrides: Object<string, YearOverride>}}
+ * @throws {Error} With the row or song at fault
+ */
+export function parseDeckFile(text, fileName) {
+  const baseName = fileName.replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ').trim() || 'Imported deck';
+  const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text);
+
+  if (isJson) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('The file is not valid JSON');
+    }
+
+    const list = Array.isArray(data) ? data : data?.songs;
+    if (!Array.isArray(list) || list.length === 0) {
+      throw new Error('The file has no songs');
+    }
+
+    return {
+      name: (!Array.isArray(data) && data.name) || baseName,
+      songs: list.map((song, i) => readSong(song, `Song ${i + 1}`)),
+      yearOverrides: (!Array.isArray(data) && data.yearOverrides) || {}
+    };
+  }
+
+  const [header, ...rows] = parseCsv(text);
+  const columns = (header || []).map(column => column.trim().toLowerCase());
+  const missing = DECK_COLUMNS.filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`The CSV is missing columns: ${missing.join(', ')}`);
+  }
+  if (rows.length === 0) {
+    throw new Error('The file has no songs');
+  }
+
+  const songs = rows.map((row, i) => {
+    const raw = Object.fromEntries(columns.map((column, c) => [column, row[c]]));
+    // Row numbers as a spreadsheet shows them (the header is row 1)
+    return readSong(raw, `Row ${i + 2}`);
+  });
+
+  return { name: baseName, songs, yearOverrides: {} };
+}
+
+/**
+ * Make a deck name safe to use as a file name
+ * @param {string} name
+ * @returns {string}
+ */
+export function deckFileName(name) {
+  return name.replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-').toLowerCase() || 'deck';
+}
+
+/**
+ * Export songs as a songs.csv-compatible CSV
+ * @param {DeckSong[]} songs
+ * @returns {string}
+ */
+export function songsToCsv(songs) {
+  return formatCsv([
+    DECK_COLUMNS,
+    ...songs.map(song => [song.title, song.artist, song.year ?? '', song.spotify_url])
+  ]);
+}
@@ -0,0 +1,134 @@
+/**
+ * Display Channel Module
+ *
+ * Carries game and playback state from the host device to second-screen
+ * displays (the /display route). The host publishes sanitized snapshots:
+ * the current track's title, artist, year and album art are only included
+ * once the host has revealed the card.
+ *
+ * Transports are pluggable. 'broadcast' (BroadcastChannel) works between
+ * tabs of the same browser; other transports can be registered for
+ * cross-device setups and selected with /display?transport=<name>.
+ */
+
+import { toPublicGame, toPublicCard } from './game-view.js';
+
+const DEFAULT_CHANNEL = 'hitster-display';
+
+/**
+ * @typedef {Object} DisplayTransport
+ * @property {function(Object): void} send - Send a message to the other side
+ * @property {function(function(Object): void): function(): void} subscribe - Listen for messages; returns unsubscribe
+ * @property {function(): void} close - Release the transport
+ */
+
+/**
+ * Registered transport factories by name
+ * @type {Object<string, function(Object): DisplayTransport>}
+ */
+const transports = {
+  broadcast: createBroadcastTransport
+};
+
+/**
+ * Create a transport over BroadcastChannel (same browser, any tab or window)
+ * @param {Object} [options]
+ * @param {string} [options.channel='hitster-display'] - Channel name
+ * @returns {DisplayTransport}
+ */
+export function createBroadcastTransport({ channel = DEFAULT_CHANNEL } = {}) {
+  if (!('BroadcastChannel' in window)) {
+    throw new Error('BroadcastChannel is not supported in this browser');
+  }
+
+  const bc = new BroadcastChannel(channel);
+  const listeners = new Set();
+
+  bc.onmessage = (event) => {
+    listeners.forEach(listener => listener(event.data));
+  };
+
+  return {
+    send: (message) => bc.postMessage(message),
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    close: () => {
+      listeners.clear();
+      bc.close();
+    }
+  };
+}
+
+/**
+ * Register a transport factory for cross-device displays
+ * @param {string} name - Name used in ?transport=<name>
+ * @param {function(Object): DisplayTransport} factory - Receives transport options
+ */
+export function registerDisplayTransport(name, factory) {
+  transports[name] = factory;
+}
+
+/**
+ * Create a registered transport by name
+ * @param {string} [name='broadcast']
+ * @param {Object} [options] - Passed to the factory
+ * @returns {DisplayTransport}
+ */
+export function createDisplayTransport(name = 'broadcast', options = {}) {
+  const factory = transports[name];
+  if (!factory) {
+    throw new Error(`Unknown display transport: ${name}`);
+  }
+  return factory(options);
+}
+
+/**
+ * Host side: publishes sanitized state to any listening displays
+ */
+export class DisplayPublisher {
+  /**
+   * @param {DisplayTransport} transport
+   */
+  constructor(transport) {
+    this._transport = transport;
+    this._lastState = null;
+
+    // Late-joining displays ask for the current state
+    this._unsubscribe = transport.subscribe((message) => {
+      if (message?.type === 'hello' && this._lastState) {
+        this._transport.send(this._lastState);
+      }
+    });
+  }
+
+  /**
+   * Publish the current game and playback state
+   * @param {Object} state
+   * @param {import('./game.js').HitsterGame|null} state.game - Running game, if any
+   * @param {import('./playback-engine.js').TrackInfo|null} state.track - Current track
+   * @param {boolean} state.revealed - Whether the host has revealed the card
+   * @param {boolean} state.isPlaying - Whether music is playing
+   * @param {import('./round-timer.js').RoundTimerState|null} [state.countdown] - Round timer, if one is running
+   */
+  publish({ game, track, revealed, isPlaying, countdown = null }) {
+    this._lastState = {
+      type: 'state',
+      sentAt: Date.now(),
+      game: game ? toPublicGame(game) : null,
+      card: track ? toPublicCard(track, revealed) : null,
+      isPlaying,
+      countdown
+    };
+    this._transport.send(this._lastState);
+  }
+
+  /**
+   * Release the transport
+   */
+  close() {
+    this._unsubscribe();
+    this._transport.close();
+  }
+}
@@ -0,0 +1,225 @@
+/**
+ * TV Display Module
+ *
+ * Second-screen view served at /display. Shows scores, the current
+ * player's timeline, a countdown and the revealed card, driven entirely by
+ * state published from the host device through a display transport.
+ */
+
+import { createDisplayTransport } from './display-channel.js';
+import { showScreen, escapeHtml } from './ui.js';
+
+// How often the countdown is redrawn
+const COUNTDOWN_TICK_MS = 250;
+
+let transport = null;
+let lastState = null;
+let countdownReceivedAt = 0;
+let countdownInterval = null;
+
+/**
+ * Check if the app was opened on the display route
+ * @returns {boolean}
+ */
+export function isDisplayRoute() {
+  return window.location.pathname.replace(/\/+$/, '') === '/display';
+}
+
+/**
+ * Start the display view.
+ * The transport is picked with ?transport=<name>; other query parameters
+ * are passed to the transport factory as options.
+ */
+export function startDisplay() {
+  const params = new URLSearchParams(window.location.search);
+  const transportName = params.get('transport') || 'broadcast';
+
+  showScreen('display-screen');
+
+  try {
+    transport = createDisplayTransport(transportName, Object.fromEntries(params));
+  } catch (error) {
+    console.error('Failed to connect display:', error);
+    setCaption(`Can't connect: ${error.message}`);
+    return;
+  }
+
+  transport.subscribe(handleMessage);
+
+  // Ask the host for the current state in case we joined mid-game
+  transport.send({ type: 'hello' });
+
+  countdownInterval = setInterval(renderCountdown, COUNTDOWN_TICK_MS);
+}
+
+/**
+ * Handle a message from the host
+ * @param {Object} message
+ */
+function handleMessage(message) {
+  if (message?.type !== 'state') return;
+
+  lastState = message;
+  countdownReceivedAt = Date.now();
+  render(message);
+}
+
+/**
+ * Render a full state snapshot
+ * @param {Object} state
+ */
+function render(state) {
+  renderScoreboard(state.game);
+  renderCard(state);
+  renderTimeline(state.game);
+  renderCountdown();
+}
+
+/**
+ * Render the big-screen scoreboard
+ * @param {Object|null} game
+ */
+function renderScoreboard(game) {
+  const scoreboard = document.getElementById('display-scoreboard');
+  if (!scoreboard) return;
+
+  if (!game) {
+    scoreboard.innerHTML = '';
+    return;
+  }
+
+  scoreboard.innerHTML = game.players.map(p => {
+    const classes = [
+      'display-score',
+      !game.winnerId && p.id === game.currentPlayerId ? 'turn' : '',
+      p.id === game.winnerId ? 'winner' : ''
+    ].join(' ');
+
+    return `
+      <div class="${classes}">
+        <span class="display-score-name">${escapeHtml(p.name)}</span>
+        <span class="display-score-count">${p.timeline.length}<small>/${game.targetCards}</small></span>
+        <span class="score-tokens">🪙${p.tokens}</span>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Render the current card (mystery until revealed)
+ * @param {Object} state
+ */
+function renderCard(state) {
+  const cardEl = document.getElementById('display-card');
+  if (!cardEl) return;
+
+  const { game, card, isPlaying } = state;
+  const roundPlayer = game?.round ? game.players.find(p => p.id === game.round.playerId) : null;
+  const winner = game?.winnerId ? game.players.find(p => p.id === game.winnerId) : null;
+
+  if (!card) {
+    cardEl.className = 'display-card empty';
+    cardEl.innerHTML = '<span class="display-card-mystery">♪</span>';
+  } else if (!card.revealed) {
+    cardEl.className = `display-card mystery ${isPlaying ? 'playing' : ''}`;
+    cardEl.innerHTML = '<span class="display-card-mystery">?</span>';
+  } else {
+    cardEl.className = 'display-card revealed';
+    cardEl.innerHTML = `
+      ${card.albumArt ? `<img class="display-card-art" src="${escapeHtml(card.albumArt)}" alt="">` : ''}
+      <div class="display-card-info">
+        <span class="display-card-year">${card.year ?? '????'}</span>
+        <span class="display-card-title">${escapeHtml(card.name)}</span>
+        <span class="display-card-artist">${escapeHtml(card.artistString)}</span>
+      </div>
+    `;
+  }
+
+  if (winner) {
+    setCaption(`🏆 ${winner.name} wins!`);
+  } else if (roundPlayer && card && !card.revealed) {
+    setCaption(`Round ${game.round.number} · ${roundPlayer.name} is guessing`);
+  } else if (game) {
+    const next = game.players.find(p => p.id === game.currentPlayerId);
+    setCaption(`${next.name}'s turn next`);
+  } else {
+    setCaption(card ? 'Now playing' : 'Waiting for the host…');
+  }
+}
+
+/**
+ * Render the round player's timeline with the pending placement
+ * @param {Object|null} game
+ */
+function renderTimeline(game) {
+  const timelineEl = document.getElementById('display-timeline');
+  if (!timelineEl) return;
+
+  if (!game) {
+    timelineEl.innerHTML = '';
+    return;
+  }
+
+  const round = game.round;
+  const ownerId = round ? round.playerId : game.currentPlayerId;
+  const owner = game.players.find(p => p.id === ownerId);
+  const pending = round && !round.resolved;
+
+  const slot = (position) => {
+    if (!pending) return '';
+
+    const challenger = round.challenges.find(c => c.position === position);
+    if (round.position === position) {
+      return '<div class="display-timeline-card placed">?</div>';
+    }
+    if (challenger) {
+      const name = game.players.find(p => p.id === challenger.playerId)?.name || '';
+      return `<div class="display-timeline-card challenged">⚔️ ${escapeHtml(name)}</div>`;
+    }
+    return '';
+  };
+
+  timelineEl.innerHTML = owner.timeline.map((card, index) => `
+    ${slot(index)}
+    <div class="display-timeline-card">
+      <span class="timeline-card-year">${card.year}</span>
+      <span class="timeline-card-title">${escapeHtml(card.name)}</span>
+    </div>
+  `).join('') + slot(owner.timeline.length);
+}
+
+/**
+ * Redraw the countdown from the last received remaining time
+ */
+function renderCountdown() {
+  const countdownEl = document.getElementById('display-countdown');
+  if (!countdownEl) return;
+
+  const countdown = lastState?.countdown;
+  if (!countdown) {
+    countdownEl.hidden = true;
+    return;
+  }
+
+  // Computed from timestamps so a throttled tab still shows the right time
+  const elapsed = countdown.running ? Date.now() - countdownReceivedAt : 0;
+  const remainingMs = Math.max(0, countdown.remainingMs - elapsed);
+  const seconds = Math.ceil(remainingMs / 1000);
+
+  countdownEl.hidden = false;
+  countdownEl.textContent = seconds;
+  countdownEl.classList.toggle('paused', !countdown.running && remainingMs > 0);
+  countdownEl.classList.toggle('urgent', seconds <= 5);
+  countdownEl.classList.toggle('expired', remainingMs === 0);
+}
+
+/**
+ * Set the caption under the card
+ * @param {string} text
+ */
+function setCaption(text) {
+  const captionEl = document.getElementById('display-caption');
+  if (captionEl) {
+    captionEl.textContent = text;
+  }
+}
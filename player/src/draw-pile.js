@@ -0,0 +1,140 @@
+/**
+ * Draw Pile Module
+ *
+ * Digital draw: the app deals the next song from a shuffled deck instead of
+ * a card being scanned. The order comes from a seed, so the same decks and
+ * seed deal the same songs - after a reload the pile carries on where it
+ * left off, and no song is dealt twice.
+ */
+
+import { createRandom, createSeed, shuffle } from './random.js';
+
+const DRAW_PILE_KEY = 'hitster_draw_pile';
+
+/**
+ * @typedef {Object} DrawPileState
+ * @property {string[]} deckIds - Decks the songs come from
+ * @property {number} seed
+ * @property {number} position - Songs dealt so far
+ */
+
+export class DrawPile {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.deckIds - Decks the songs come from
+   * @param {string[]} options.trackUris - Songs to deal, in deck order
+   * @param {number} [options.seed] - Random if not given
+   * @param {number} [options.position=0] - Songs already dealt
+   */
+  constructor({ deckIds, trackUris, seed = createSeed(), position = 0 }) {
+    this._deckIds = [...deckIds];
+    this._seed = seed;
+    this._order = shuffle([...new Set(trackUris)], createRandom(seed));
+    this._position = Math.min(Math.max(0, position), this._order.length);
+  }
+
+  /**
+   * Decks the songs come from
+   * @returns {string[]}
+   */
+  get deckIds() {
+    return [...this._deckIds];
+  }
+
+  /**
+   * @returns {number}
+   */
+  get seed() {
+    return this._seed;
+  }
+
+  /**
+   * Songs in the pile
+   * @returns {number}
+   */
+  get total() {
+    return this._order.length;
+  }
+
+  /**
+   * Songs not dealt yet
+   * @returns {number}
+   */
+  get remaining() {
+    return this._order.length - this._position;
+  }
+
+  /**
+   * Deal the next song
+   * @param {function(string): boolean} [skip] - Passes over songs it returns true for (e.g. already played)
+   * @returns {string|null} Track URI, null when the pile is empty
+   */
+  draw(skip = null) {
+    while (this._position < this._order.length) {
+      const uri = this._order[this._position++];
+      if (!skip?.(uri)) {
+        this._save();
+        return uri;
+      }
+    }
+    this._save();
+    return null;
+  }
+
+  /**
+   * @returns {DrawPileState}
+   */
+  toJSON() {
+    return {
+      deckIds: this._deckIds,
+      seed: this._seed,
+      position: this._position
+    };
+  }
+
+  /**
+   * Shuffle a new pile (replacing the saved one)
+   * @param {string[]} deckIds
+   * @param {string[]} trackUris - Songs of those decks, in deck order
+   * @returns {DrawPile}
+   */
+  static start(deckIds, trackUris) {
+    const pile = new DrawPile({ deckIds, trackUris });
+    pile._save();
+    return pile;
+  }
+
+  /**
+   * Pile saved before a reload, if it was for these decks
+   * @param {string[]} deckIds
+   * @param {string[]} trackUris - Songs of those decks, in deck order
+   * @returns {DrawPile|null}
+   */
+  static restore(deckIds, trackUris) {
+    let state;
+    try {
+      state = JSON.parse(localStorage.getItem(DRAW_PILE_KEY));
+    } catch {
+      return null;
+    }
+
+    if (!state || state.deckIds?.join('+') !== deckIds.join('+')) {
+      return null;
+    }
+    return new DrawPile({ deckIds, trackUris, seed: state.seed, position: state.position });
+  }
+
+  /**
+   * Forget the saved pile
+   */
+  static clear() {
+    localStorage.removeItem(DRAW_PILE_KEY);
+  }
+
+  /**
+   * @private
+   */
+  _save() {
+    localStorage.setItem(DRAW_PILE_KEY, JSON.stringify(this.toJSON()));
+  }
+}
@@ -3,18 +3,44 @@
  *
  * Controls playback on external Spotify Connect devices (phones, speakers, etc.).
  * Requires Spotify Premium.
+ *
+ * Connect devices don't push events, so the player polls the playback state
+ * to notice pauses, resumes, seeks and track changes made on the device
+ * itself. Polling speeds up near the end of a track (to stop autoplay rolling
+ * into the next song) and backs off while nothing is playing.
  */
 
 import { PlaybackEngine } from './playback-engine.js';
+import { RateLimitError } from './spotify-api.js';
+
+// Poll intervals: while playing, fastest near the end of a track, and the idle backoff range
+const POLL_PLAYING_MS = 3000;
+const POLL_MIN_MS = 500;
+const POLL_IDLE_MS = 5000;
+const POLL_MAX_MS = 30000;
+
+// Spotify takes a moment to reflect our own commands; the first poll waits this long
+const COMMAND_SETTLE_MS = 2000;
+
+// A progress jump bigger than this (beyond elapsed time) is a seek
+const SEEK_TOLERANCE_MS = 2500;
 
-const SPOTIFY_API_BASE = 'https://api.spotify.com/v1';
+// A track change this close to the end of our track is autoplay, not a person
+const TRACK_END_WINDOW_MS = 5000;
 
 export class ExternalDevicePlayer extends PlaybackEngine {
   constructor() {
     super();
-    this._token = null;
     this._deviceId = null;
     this._deviceName = null;
+
+    // Playback state polling
+    this._pollTimer = null;
+    this._pollGeneration = 0;
+    this._idleDelay = POLL_IDLE_MS;
+    this._lastPoll = null;
+    this._seenTrack = false;
+    this._trackEnded = false;
   }
 
   get requiresAuth() {
@@ -43,62 +69,27 @@ export class ExternalDevicePlayer extends PlaybackEngine {
    * Initialize the external device player
    * @param {Object} options
    * @param {string} options.token - Spotify access token
+   * @param {Function} [options.getToken] - Callback returning a valid token before each request
    */
   async initialize(options = {}) {
-    const { token } = options;
+    const { token, getToken } = options;
 
     if (!token) {
       throw new Error('Access token required for external device player');
     }
 
     this._token = token;
+    this._getTokenCallback = getToken || null;
     console.log('ExternalDevicePlayer initialized');
   }
 
-  /**
-   * Make an authenticated API request
-   * @private
-   */
-  async _apiRequest(endpoint, options = {}) {
-    const url = endpoint.startsWith('http') ? endpoint : `${SPOTIFY_API_BASE}${endpoint}`;
-
-    const response = await fetch(url, {
-      ...options,
-      headers: {
-        'Authorization': `Bearer ${this._token}`,
-        'Content-Type': 'application/json',
-        ...options.headers
-      }
-    });
-
-    if (response.status === 401) {
-      throw new Error('Token expired. Please log in again.');
-    }
-
-    if (response.status === 403) {
-      throw new Error('Premium required for playback control.');
-    }
-
-    if (response.status === 404) {
-      throw new Error('No active device found. Open Spotify on a device first.');
-    }
-
-    return response;
-  }
-
   /**
    * Get available playback devices
    * @returns {Promise<Array>} List of available devices
    */
   async getDevices() {
-    const response = await this._apiRequest('/me/player/devices');
-
-    if (!response.ok) {
-      throw new Error('Failed to get devices');
-    }
-
-    const data = await response.json();
-    return data.devices || [];
+    const data = await this._api.get('/me/player/devices');
+    return data?.devices || [];
   }
 
   /**
@@ -117,18 +108,11 @@ export class ExternalDevicePlayer extends PlaybackEngine {
    * @param {boolean} play - Whether to start playing immediately
    */
   async transferPlayback(deviceId, play = false) {
-    const response = await this._apiRequest('/me/player', {
-      method: 'PUT',
-      body: JSON.stringify({
-        device_ids: [deviceId],
-        play
-      })
+    await this._api.put('/me/player', {
+      device_ids: [deviceId],
+      play
     });
 
-    if (!response.ok && response.status !== 204) {
-      throw new Error('Failed to transfer playback');
-    }
-
     this._deviceId = deviceId;
   }
 
@@ -136,158 +120,217 @@ export class ExternalDevicePlayer extends PlaybackEngine {
    * Play a track
    * @param {string} trackUri - Spotify track URI
    * @param {Object} [trackInfo] - Optional track info (not used, we fetch fresh)
+   * @param {import('./playback-engine.js').PlayOptions} [options] - Start offset and snippet length
    */
-  async play(trackUri, trackInfo = null) {
-    let endpoint = '/me/player/play';
-    if (this._deviceId) {
-      endpoint += `?device_id=${this._deviceId}`;
-    }
+  async play(trackUri, trackInfo = null, options = {}) {
+    const { startPositionMs = null, maxDurationMs = null } = options;
+    const trackId = trackUri.split(':')[2];
 
-    const response = await this._apiRequest(endpoint, {
-      method: 'PUT',
-      body: JSON.stringify({
-        uris: [trackUri]
-      })
-    });
+    const signal = this._beginPlayRequest();
 
-    if (!response.ok && response.status !== 204) {
-      const errorText = await response.text();
-      console.error('Play error:', response.status, errorText);
+    // A random start needs the track length before playback starts
+    let info = startPositionMs === 'random' ? await this._lookupTrack(trackId, signal) : null;
+    const positionMs = this._resolveStartPosition(startPositionMs, info?.durationMs, maxDurationMs);
 
-      if (response.status === 404) {
-        throw new Error('No active device. Open Spotify on your device first.');
-      }
-      throw new Error('Failed to start playback');
-    }
+    await this._api.put('/me/player/play', {
+      uris: [trackUri],
+      position_ms: positionMs
+    }, { query: { device_id: this._deviceId }, signal });
 
     this._isPlaying = true;
+    this._trackEnded = false;
+    this._seenTrack = false;
+    this._lastPoll = null;
+    this._startSnippet(maxDurationMs);
 
     // Fetch track info
-    const trackId = trackUri.split(':')[2];
-    const info = await this._fetchTrackInfo(trackId);
+    info = info || await this._lookupTrack(trackId, signal);
     this._currentTrack = info;
+    this._pollSoon();
 
     return info;
   }
 
-  /**
-   * Fetch track info from Spotify API
-   * @private
-   */
-  async _fetchTrackInfo(trackId) {
-    const response = await this._apiRequest(`/tracks/${trackId}`);
-
-    if (!response.ok) {
-      throw new Error('Failed to get track info');
-    }
-
-    const track = await response.json();
-
-    return {
-      id: track.id,
-      uri: track.uri,
-      name: track.name,
-      artists: track.artists.map(a => a.name),
-      artistString: track.artists.map(a => a.name).join(', '),
-      album: track.album.name,
-      albumArt: track.album.images[0]?.url || null,
-      albumArtSmall: track.album.images[2]?.url || track.album.images[0]?.url || null,
-      year: this._extractYear(track.album.release_date),
-      durationMs: track.duration_ms,
-      previewUrl: track.preview_url
-    };
-  }
-
-  /**
-   * Extract year from release date
-   * @private
-   */
-  _extractYear(releaseDate) {
-    if (!releaseDate) return null;
-    const year = parseInt(releaseDate.substring(0, 4), 10);
-    return isNaN(year) ? null : year;
-  }
-
   async pause() {
-    let endpoint = '/me/player/pause';
-    if (this._deviceId) {
-      endpoint += `?device_id=${this._deviceId}`;
-    }
-
-    const response = await this._apiRequest(endpoint, { method: 'PUT' });
-
-    if (!response.ok && response.status !== 204) {
-      throw new Error('Failed to pause playback');
-    }
+    await this._api.put('/me/player/pause', undefined, { query: { device_id: this._deviceId } });
 
     this._isPlaying = false;
     this._emitStateChange();
+    this._pollSoon();
   }
 
   async resume() {
-    let endpoint = '/me/player/play';
-    if (this._deviceId) {
-      endpoint += `?device_id=${this._deviceId}`;
-    }
-
-    const response = await this._apiRequest(endpoint, { method: 'PUT' });
-
-    if (!response.ok && response.status !== 204) {
-      throw new Error('Failed to resume playback');
-    }
+    await this._api.put('/me/player/play', undefined, { query: { device_id: this._deviceId } });
 
     this._isPlaying = true;
     this._emitStateChange();
+    this._pollSoon();
   }
 
   async setVolume(percent) {
     const volume = Math.max(0, Math.min(100, Math.round(percent)));
 
-    let endpoint = `/me/player/volume?volume_percent=${volume}`;
-    if (this._deviceId) {
-      endpoint += `&device_id=${this._deviceId}`;
-    }
-
-    const response = await this._apiRequest(endpoint, { method: 'PUT' });
-
-    if (!response.ok && response.status !== 204) {
-      throw new Error('Failed to set volume');
-    }
+    await this._api.put('/me/player/volume', undefined, {
+      query: { volume_percent: volume, device_id: this._deviceId }
+    });
   }
 
   /**
    * Get current playback state
+   * @param {Object} [options] - Request options (see SpotifyApiClient.request)
    * @returns {Promise<Object|null>} Current playback state or null if nothing playing
    */
-  async getPlaybackState() {
-    const response = await this._apiRequest('/me/player');
+  async getPlaybackState(options = {}) {
+    return this._api.get('/me/player', options);
+  }
 
-    if (response.status === 204) {
-      return null;
-    }
+  /**
+   * Get the current user's profile
+   * @returns {Promise<Object>} User profile
+   */
+  async getUserProfile() {
+    return this._api.get('/me');
+  }
+
+  /**
+   * Check the device again shortly after one of our own commands
+   * @private
+   */
+  _pollSoon() {
+    this._pollGeneration++;
+    this._idleDelay = POLL_IDLE_MS;
+    this._schedulePoll(COMMAND_SETTLE_MS);
+  }
+
+  /**
+   * @private
+   */
+  _schedulePoll(delay) {
+    clearTimeout(this._pollTimer);
+    this._pollTimer = this._currentTrack ? setTimeout(() => this._poll(), delay) : null;
+  }
 
-    if (!response.ok) {
-      throw new Error('Failed to get playback state');
+  /**
+   * Fetch the playback state, react to changes and schedule the next poll
+   * @private
+   */
+  async _poll() {
+    this._pollTimer = null;
+    const generation = this._pollGeneration;
+    let state;
+
+    try {
+      // No retries: the next poll is the retry
+      state = await this.getPlaybackState({ retries: 0 });
+    } catch (error) {
+      console.warn('Playback state poll failed:', error.message);
+      if (generation === this._pollGeneration) {
+        const delay = this._nextIdleDelay();
+        this._schedulePoll(error instanceof RateLimitError ? Math.max(delay, error.retryAfterMs) : delay);
+      }
+      return;
     }
 
-    return response.json();
+    // One of our own commands ran meanwhile and scheduled a fresh poll
+    if (generation !== this._pollGeneration || !this._currentTrack) return;
+
+    this._schedulePoll(this._applyPlaybackState(state));
   }
 
   /**
-   * Get the current user's profile
-   * @returns {Promise<Object>} User profile
+   * Compare the device's state with ours and emit events for changes made elsewhere
+   * @private
+   * @param {Object|null} state - /me/player response
+   * @returns {number} Delay before the next poll
    */
-  async getUserProfile() {
-    const response = await this._apiRequest('/me');
+  _applyPlaybackState(state) {
+    const now = Date.now();
+    const last = this._lastPoll;
+    const item = state?.item || null;
+    const onOurDevice = !this._deviceId || !state?.device || state.device.id === this._deviceId;
+    const isPlaying = Boolean(state?.is_playing && onOurDevice);
+    const progressMs = state?.progress_ms ?? 0;
+    const ourUri = this._currentTrack.uri;
+
+    // Where our track would be now if it kept playing since the last poll
+    const lastWasOursNearEnd = Boolean(
+      last && last.uri === ourUri && last.isPlaying &&
+      last.durationMs - (last.progressMs + (now - last.at)) < TRACK_END_WINDOW_MS
+    );
+
+    // Until the device reports our track, its state is from before play()
+    if (item?.uri === ourUri) {
+      this._seenTrack = true;
+    }
+    if (!this._seenTrack) {
+      return this._nextIdleDelay();
+    }
+
+    this._lastPoll = {
+      uri: item?.uri || null,
+      durationMs: item?.duration_ms || 0,
+      progressMs,
+      isPlaying,
+      at: now
+    };
+
+    if (!this._trackEnded && onOurDevice && item) {
+      if (item.uri !== ourUri) {
+        this._trackEnded = true;
+
+        if (lastWasOursNearEnd && isPlaying) {
+          // Autoplay rolled into the next song - stop it
+          console.log('Track ended, pausing autoplay');
+          this.pause().catch((error) => this._emitError(error));
+          this._emitTrackEnd();
+          return this._nextIdleDelay();
+        }
+
+        // Someone picked another song on the device
+        this._emitTrackEnd();
+      } else if (!isPlaying && lastWasOursNearEnd) {
+        // Our track played to the end and the device stopped
+        this._trackEnded = true;
+        this._emitTrackEnd();
+      }
+    }
+
+    if (isPlaying !== this._isPlaying) {
+      // Paused or resumed on the device itself
+      this._isPlaying = isPlaying;
+      this._emitStateChange({ positionMs: progressMs });
+    } else if (last && item?.uri === last.uri) {
+      const expectedMs = last.progressMs + (last.isPlaying && isPlaying ? now - last.at : 0);
+      if (Math.abs(progressMs - expectedMs) > SEEK_TOLERANCE_MS) {
+        this._emitStateChange({ positionMs: progressMs, seeked: true });
+      }
+    }
 
-    if (!response.ok) {
-      throw new Error('Failed to get user profile');
+    if (!isPlaying || this._trackEnded) {
+      return this._nextIdleDelay();
     }
 
-    return response.json();
+    // Playing: poll just after the track should end so autoplay is caught quickly
+    this._idleDelay = POLL_IDLE_MS;
+    const remainingMs = (item?.duration_ms || 0) - progressMs;
+    return Math.max(POLL_MIN_MS, Math.min(POLL_PLAYING_MS, remainingMs + POLL_MIN_MS));
+  }
+
+  /**
+   * Back off while idle or failing
+   * @private
+   */
+  _nextIdleDelay() {
+    const delay = this._idleDelay;
+    this._idleDelay = Math.min(POLL_MAX_MS, this._idleDelay * 2);
+    return delay;
   }
 
   destroy() {
+    clearTimeout(this._pollTimer);
+    this._pollTimer = null;
+    this._pollGeneration++;
+    this._lastPoll = null;
     this._deviceId = null;
     this._deviceName = null;
     super.destroy();
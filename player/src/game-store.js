@@ -0,0 +1,114 @@
+/**
+ * Game Store Module
+ *
+ * Persists games to IndexedDB so a locked phone or an accidental reload
+ * doesn't lose the game. The running game is saved after every action;
+ * finished and abandoned games stay in the store as browsable history.
+ */
+
+import { STORES, withStore, promisifyRequest } from './db.js';
+import { HitsterGame } from './game.js';
+
+/**
+ * @typedef {Object} SavedGame
+ * @property {string} id - Game ID
+ * @property {'active'|'finished'|'abandoned'} status
+ * @property {number} createdAt - Game start (ms since epoch)
+ * @property {number} updatedAt - Last save (ms since epoch)
+ * @property {Array<{name: string, cards: number, tokens: number}>} scores - Summary for listings
+ * @property {string|null} winner - Winner's name
+ * @property {number} roundsPlayed - Number of rounds
+ * @property {string[]} playedTracks - URIs of every track scanned in the game
+ * @property {Object} state - HitsterGame.toJSON() snapshot
+ * @property {Object} session - App state around the game (e.g. isYearRevealed)
+ */
+
+/**
+ * Save a snapshot of a game
+ * @param {HitsterGame} game
+ * @param {Object} [session] - Extra app state to restore with the game
+ * @param {'active'|'finished'|'abandoned'} [status] - Defaults to finished/active from the game
+ * @returns {Promise<SavedGame>}
+ */
+export async function saveGame(game, session = {}, status = null) {
+  const record = {
+    id: game.id,
+    status: status || (game.isOver ? 'finished' : 'active'),
+    createdAt: game.createdAt,
+    updatedAt: Date.now(),
+    scores: game.players.map(p => ({ name: p.name, cards: p.timeline.length, tokens: p.tokens })),
+    winner: game.winner?.name || null,
+    roundsPlayed: game.rounds.length,
+    playedTracks: game.rounds.map(round => round.track.uri),
+    state: game.toJSON(),
+    session
+  };
+
+  await withStore(STORES.games, 'readwrite', (store) => promisifyRequest(store.put(record)));
+  return record;
+}
+
+/**
+ * Get the most recently saved game that is still in progress
+ * @returns {Promise<SavedGame|null>}
+ */
+export async function loadActiveGame() {
+  const active = await withStore(STORES.games, 'readonly', (store) =>
+    promisifyRequest(store.index('status').getAll('active'))
+  );
+
+  if (active.length === 0) {
+    return null;
+  }
+
+  return active.sort((a, b) => b.updatedAt - a.updatedAt)[0];
+}
+
+/**
+ * Restore a HitsterGame from a saved record
+ * @param {SavedGame} record
+ * @returns {HitsterGame}
+ */
+export function restoreGame(record) {
+  return HitsterGame.fromJSON(record.state);
+}
+
+/**
+ * Mark a saved game as no longer in progress
+ * @param {string} gameId
+ * @param {'finished'|'abandoned'} [status='abandoned']
+ * @returns {Promise<void>}
+ */
+export async function endGame(gameId, status = 'abandoned') {
+  await withStore(STORES.games, 'readwrite', async (store) => {
+    const record = await promisifyRequest(store.get(gameId));
+    if (record) {
+      record.status = status;
+      record.updatedAt = Date.now();
+      await promisifyRequest(store.put(record));
+    }
+  });
+}
+
+/**
+ * List finished and abandoned games, newest first
+ * @returns {Promise<SavedGame[]>}
+ */
+export async function listGameHistory() {
+  const all = await withStore(STORES.games, 'readonly', (store) =>
+    promisifyRequest(store.getAll())
+  );
+
+  return all
+    .filter(record => record.status !== 'active')
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Delete a saved game
+ * @param {string} gameId
+ * @returns {Promise<void>}
+ */
+export async function deleteGame(gameId) {
+  await withStore(STORES.games, 'readwrite', (store) => promisifyRequest(store.delete(gameId)));
+}
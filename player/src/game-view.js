@@ -0,0 +1,64 @@
+/**
+ * Game View Module
+ *
+ * Builds the public view of a game for screens that must not see the hidden
+ * card: TV displays and player phones. Shared by the browser and the room
+ * server, so it has no DOM dependencies.
+ */
+
+/**
+ * Public game state: scores, timelines and round progress, never the hidden track
+ * @param {import('./game.js').HitsterGame} game
+ * @returns {Object}
+ */
+export function toPublicGame(game) {
+  const round = game.currentRound;
+
+  return {
+    id: game.id,
+    targetCards: game.targetCards,
+    currentPlayerId: game.currentPlayer.id,
+    winnerId: game.winner?.id || null,
+    players: game.players.map(p => ({
+      id: p.id,
+      name: p.name,
+      tokens: p.tokens,
+      timeline: p.timeline.map(card => ({
+        name: card.name,
+        artistString: card.artistString,
+        year: card.year
+      }))
+    })),
+    round: round ? {
+      number: round.number,
+      playerId: round.playerId,
+      position: round.position,
+      challenges: round.challenges.map(c => ({ playerId: c.playerId, position: c.position })),
+      namedBy: [...round.namedBy],
+      locked: Boolean(round.locked),
+      resolved: round.resolved,
+      correct: round.correct,
+      outcome: round.outcome
+    } : null
+  };
+}
+
+/**
+ * Public card state: only the fact that a card is in play until it is revealed
+ * @param {import('./playback-engine.js').TrackInfo} track
+ * @param {boolean} revealed
+ * @returns {Object}
+ */
+export function toPublicCard(track, revealed) {
+  if (!revealed) {
+    return { revealed: false };
+  }
+
+  return {
+    revealed: true,
+    name: track.name,
+    artistString: track.artistString,
+    year: track.year,
+    albumArt: track.albumArt
+  };
+}
@@ -0,0 +1,644 @@
+/**
+ * HitsterGame - Game state engine
+ *
+ * Tracks players, whose turn it is and each player's timeline of won cards.
+ * A round is one scanned song: the current player picks the gap in their
+ * timeline where the song belongs, then the reveal decides if they keep it.
+ * The first player whose timeline reaches the target size wins.
+ *
+ * Tokens follow the official Hitster rules: name the title and artist before
+ * the reveal to earn one, spend them to skip a song, buy a card, or challenge
+ * another player's placement and steal the card if they got it wrong.
+ * Every action is recorded in a per-round event log.
+ */
+
+/** Default number of cards needed to win */
+export const DEFAULT_TARGET_CARDS = 10;
+
+/** Tokens each player starts with */
+export const STARTING_TOKENS = 2;
+
+/** Most tokens a player can hold */
+export const MAX_TOKENS = 5;
+
+/** Version of the toJSON() format */
+const SAVE_VERSION = 1;
+
+/** Token prices for each action */
+export const TOKEN_COSTS = {
+  skip: 1,
+  buy: 3,
+  challenge: 1
+};
+
+/**
+ * @typedef {Object} TimelineCard
+ * @property {string} uri - Spotify track URI
+ * @property {string} name - Track name
+ * @property {string} artistString - Comma-separated artist names
+ * @property {number} year - Release year
+ * @property {string|null} albumArtSmall - Album art URL (small)
+ */
+
+/**
+ * @typedef {Object} GamePlayer
+ * @property {string} id - Player ID
+ * @property {string} name - Display name
+ * @property {TimelineCard[]} timeline - Won cards, sorted by year
+ * @property {number} tokens - Tokens held
+ */
+
+/**
+ * @typedef {Object} GameEvent
+ * @property {string} type - Event type (e.g. 'card_placed', 'token_spent')
+ * @property {number} round - Round number the event belongs to
+ * @property {number} at - Timestamp (ms since epoch)
+ * @property {string} [playerId] - Player the event concerns
+ */
+
+/**
+ * @typedef {Object} Challenge
+ * @property {string} playerId - Challenging player
+ * @property {number} position - Gap in the round player's timeline they chose
+ */
+
+/**
+ * @typedef {Object} GameRound
+ * @property {number} number - Round number (1-based)
+ * @property {string} playerId - Player whose turn it is
+ * @property {import('./playback-engine.js').TrackInfo} track - Track being guessed
+ * @property {number|null} position - Chosen timeline gap (0 = before the first card)
+ * @property {Challenge[]} challenges - Challenges made against the placement
+ * @property {string[]} namedBy - Players who named the song this round
+ * @property {boolean} locked - Whether time ran out: no more placing, challenging, skipping or buying
+ * @property {boolean} resolved - Whether the round is over
+ * @property {boolean|null} correct - Placement result (null if not judged)
+ * @property {string|null} outcome - 'won', 'stolen', 'discarded', 'bought' or 'skipped'
+ * @property {GameEvent[]} events - Everything that happened this round
+ */
+
+export class HitsterGame {
+  /**
+   * Create a new game
+   * @param {Object} options
+   * @param {string[]} options.players - Player names in turn order
+   * @param {number} [options.targetCards=10] - Cards needed to win
+   * @param {number} [options.startingTokens=2] - Tokens each player starts with
+   */
+  constructor({ players = [], targetCards = DEFAULT_TARGET_CARDS, startingTokens = STARTING_TOKENS } = {}) {
+    const names = players.map(name => name.trim()).filter(Boolean);
+
+    if (names.length === 0) {
+      throw new Error('A game needs at least one player');
+    }
+
+    this._id = `game-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    this._createdAt = Date.now();
+    this._players = names.map((name, index) => ({
+      id: `p${index + 1}`,
+      name,
+      timeline: [],
+      tokens: Math.min(MAX_TOKENS, startingTokens)
+    }));
+    this._targetCards = Math.max(1, Math.floor(targetCards));
+    this._currentIndex = 0;
+    this._roundCount = 0;
+    this._round = null;
+    this._rounds = [];
+    this._winnerId = null;
+    this._onChange = null;
+  }
+
+  /**
+   * Unique game ID
+   * @returns {string}
+   */
+  get id() {
+    return this._id;
+  }
+
+  /**
+   * When the game was created (ms since epoch)
+   * @returns {number}
+   */
+  get createdAt() {
+    return this._createdAt;
+  }
+
+  /**
+   * All players in turn order
+   * @returns {GamePlayer[]}
+   */
+  get players() {
+    return this._players;
+  }
+
+  /**
+   * Player whose turn it is
+   * @returns {GamePlayer}
+   */
+  get currentPlayer() {
+    return this._players[this._currentIndex];
+  }
+
+  /**
+   * The current (or just finished) round
+   * @returns {GameRound|null}
+   */
+  get currentRound() {
+    return this._round;
+  }
+
+  /**
+   * Whether a round is waiting for placement or reveal
+   * @returns {boolean}
+   */
+  get hasPendingRound() {
+    return this._round !== null && !this._round.resolved;
+  }
+
+  /**
+   * Cards needed to win
+   * @returns {number}
+   */
+  get targetCards() {
+    return this._targetCards;
+  }
+
+  /**
+   * Winning player, once the game is over
+   * @returns {GamePlayer|null}
+   */
+  get winner() {
+    return this.getPlayer(this._winnerId);
+  }
+
+  /**
+   * Whether someone has won
+   * @returns {boolean}
+   */
+  get isOver() {
+    return this._winnerId !== null;
+  }
+
+  /**
+   * Every round played so far, oldest first
+   * @returns {GameRound[]}
+   */
+  get rounds() {
+    return this._rounds;
+  }
+
+  /**
+   * Flat event log across all rounds, oldest first
+   * @returns {GameEvent[]}
+   */
+  get log() {
+    return this._rounds.flatMap(round => round.events);
+  }
+
+  /**
+   * Set callback for any game state change
+   * @param {Function} callback - Receives the game instance
+   */
+  set onChange(callback) {
+    this._onChange = callback;
+  }
+
+  /**
+   * Look up a player by ID
+   * @param {string} playerId
+   * @returns {GamePlayer|null}
+   */
+  getPlayer(playerId) {
+    return this._players.find(p => p.id === playerId) || null;
+  }
+
+  /**
+   * Players who could challenge the current placement right now
+   * @returns {GamePlayer[]}
+   */
+  getEligibleChallengers() {
+    if (!this.hasPendingRound || this._round.position === null || this._round.locked) {
+      return [];
+    }
+
+    const round = this._round;
+    return this._players.filter(p =>
+      p.id !== round.playerId &&
+      p.tokens >= TOKEN_COSTS.challenge &&
+      !round.challenges.some(c => c.playerId === p.id)
+    );
+  }
+
+  /**
+   * Start a round for the current player with a freshly scanned track.
+   * Scanning again before the reveal replaces the track in the same turn:
+   * challenges are called off and their tokens given back (never past
+   * MAX_TOKENS), and the new song can be named again.
+   * @param {import('./playback-engine.js').TrackInfo} track
+   * @returns {GameRound}
+   */
+  startRound(track) {
+    if (this.isOver) {
+      throw new Error('The game is over');
+    }
+
+    if (this.hasPendingRound) {
+      // Rescan: keep the round but start over with the new track
+      for (const challenge of this._round.challenges) {
+        const challenger = this.getPlayer(challenge.playerId);
+        const refund = Math.min(MAX_TOKENS, challenger.tokens + TOKEN_COSTS.challenge) - challenger.tokens;
+        challenger.tokens += refund;
+        this._logEvent('token_refunded', { playerId: challenger.id, reason: 'challenge', cost: refund });
+      }
+
+      Object.assign(this._round, {
+        track,
+        position: null,
+        challenges: [],
+        namedBy: [],
+        locked: false
+      });
+    } else {
+      this._roundCount++;
+      this._round = {
+        number: this._roundCount,
+        playerId: this.currentPlayer.id,
+        track,
+        position: null,
+        challenges: [],
+        namedBy: [],
+        locked: false,
+        resolved: false,
+        correct: null,
+        outcome: null,
+        events: []
+      };
+      this._rounds.push(this._round);
+    }
+
+    this._logEvent('round_started', { playerId: this._round.playerId, uri: track.uri });
+    this._emitChange();
+    return this._round;
+  }
+
+  /**
+   * Choose where the current track goes in the current player's timeline
+   * @param {number} position - Gap index (0 to timeline length)
+   */
+  placeCard(position) {
+    const round = this._requireOpenRound();
+    this._validatePosition(round, position);
+
+    if (round.challenges.some(c => c.position === position)) {
+      throw new Error('A challenger already picked that spot');
+    }
+
+    round.position = position;
+    this._logEvent('card_placed', { playerId: round.playerId, position });
+    this._emitChange();
+  }
+
+  /**
+   * Award a token for naming the title and artist before the reveal.
+   * Each player can earn at most one naming token per round.
+   * @param {string} [playerId] - Player who named the song (defaults to the round player)
+   * @returns {boolean} Whether a token was actually added (false if already at the maximum)
+   */
+  awardNamingToken(playerId = null) {
+    const round = this._requirePendingRound();
+    const player = this._requirePlayer(playerId || round.playerId);
+
+    if (round.namedBy.includes(player.id)) {
+      throw new Error(`${player.name} already named this song`);
+    }
+
+    round.namedBy.push(player.id);
+    const awarded = player.tokens < MAX_TOKENS;
+    if (awarded) {
+      player.tokens++;
+    }
+
+    this._logEvent('song_named', { playerId: player.id, tokenAwarded: awarded });
+    this._emitChange();
+    return awarded;
+  }
+
+  /**
+   * Spend a token to skip the current song. The turn stays with the same player.
+   */
+  skipSong() {
+    const round = this._requireOpenRound();
+    const player = this.getPlayer(round.playerId);
+
+    this._spendTokens(player, TOKEN_COSTS.skip, 'skip');
+
+    round.resolved = true;
+    round.outcome = 'skipped';
+    this._logEvent('round_skipped', { playerId: player.id });
+    this._emitChange();
+  }
+
+  /**
+   * Spend tokens to take the current card straight into the timeline, no guess needed
+   * @returns {{player: GamePlayer, winner: GamePlayer|null}}
+   */
+  buyCard() {
+    const round = this._requireOpenRound();
+    const player = this.getPlayer(round.playerId);
+    const year = round.track.year;
+
+    if (year === null || year === undefined) {
+      throw new Error('This track has no release year to place');
+    }
+
+    this._spendTokens(player, TOKEN_COSTS.buy, 'buy');
+
+    round.resolved = true;
+    round.outcome = 'bought';
+    this._giveCard(player, round.track, year);
+    this._logEvent('card_bought', { playerId: player.id, year });
+    this._finishRound();
+
+    return { player, winner: this.winner };
+  }
+
+  /**
+   * Spend a token to challenge the current placement by picking a different gap
+   * in the round player's timeline
+   * @param {string} playerId - Challenging player
+   * @param {number} position - Gap the challenger thinks is right
+   */
+  challenge(playerId, position) {
+    const round = this._requireOpenRound();
+    const challenger = this._requirePlayer(playerId);
+
+    if (round.position === null) {
+      throw new Error('Wait for the card to be placed before challenging');
+    }
+    if (challenger.id === round.playerId) {
+      throw new Error("You can't challenge your own placement");
+    }
+    if (round.challenges.some(c => c.playerId === challenger.id)) {
+      throw new Error(`${challenger.name} already challenged this round`);
+    }
+
+    this._validatePosition(round, position);
+
+    if (position === round.position || round.challenges.some(c => c.position === position)) {
+      throw new Error('That spot is already taken - pick a different one');
+    }
+
+    this._spendTokens(challenger, TOKEN_COSTS.challenge, 'challenge');
+    round.challenges.push({ playerId: challenger.id, position });
+    this._logEvent('challenge', { playerId: challenger.id, position });
+    this._emitChange();
+  }
+
+  /**
+   * Time's up: freeze the placement as it is until the reveal.
+   * Players who named the song in time can still be given their token.
+   */
+  lockRound() {
+    const round = this._requirePendingRound();
+    if (round.locked) return;
+
+    round.locked = true;
+    this._logEvent('round_locked', { playerId: round.playerId, position: round.position });
+    this._emitChange();
+  }
+
+  /**
+   * Judge the placement and any challenges once the year is revealed, then pass the turn.
+   * If the round player is wrong, the first challenger who picked a correct spot
+   * steals the card. A track without a known year can't be judged and is discarded,
+   * and so is a card that wasn't placed before time ran out.
+   * @param {number|null} year - Revealed release year
+   * @returns {{correct: boolean|null, player: GamePlayer, stolenBy: GamePlayer|null, winner: GamePlayer|null, timedOut: boolean}}
+   */
+  resolveRound(year) {
+    const round = this._requirePendingRound();
+    const player = this.getPlayer(round.playerId);
+    let stolenBy = null;
+
+    const timedOut = round.position === null && Boolean(round.locked);
+    if (round.position === null && !timedOut) {
+      throw new Error('Place the card on the timeline before revealing');
+    }
+
+    round.resolved = true;
+
+    if (timedOut) {
+      round.correct = null;
+      round.outcome = 'discarded';
+      this._logEvent('card_discarded', { playerId: player.id, reason: 'timeout' });
+    } else if (year === null || year === undefined) {
+      round.correct = null;
+      round.outcome = 'discarded';
+      this._logEvent('card_discarded', { playerId: player.id, reason: 'unknown_year' });
+    } else {
+      round.correct = HitsterGame.isPlacementCorrect(player.timeline, round.position, year);
+
+      if (round.correct) {
+        round.outcome = 'won';
+        this._giveCard(player, round.track, year);
+        this._logEvent('card_won', { playerId: player.id, year });
+      } else {
+        const winningChallenge = round.challenges.find(c =>
+          HitsterGame.isPlacementCorrect(player.timeline, c.position, year)
+        );
+
+        if (winningChallenge) {
+          stolenBy = this.getPlayer(winningChallenge.playerId);
+          round.outcome = 'stolen';
+          this._giveCard(stolenBy, round.track, year);
+          this._logEvent('card_stolen', { playerId: stolenBy.id, from: player.id, year });
+        } else {
+          round.outcome = 'discarded';
+          this._logEvent('card_discarded', { playerId: player.id, year });
+        }
+      }
+    }
+
+    this._finishRound();
+    return { correct: round.correct, player, stolenBy, winner: this.winner, timedOut };
+  }
+
+  /**
+   * Serialize the full game state (players, timelines, tokens, rounds, turn)
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      version: SAVE_VERSION,
+      id: this._id,
+      createdAt: this._createdAt,
+      targetCards: this._targetCards,
+      currentIndex: this._currentIndex,
+      roundCount: this._roundCount,
+      winnerId: this._winnerId,
+      players: this._players,
+      rounds: this._rounds
+    };
+  }
+
+  /**
+   * Restore a game saved with toJSON()
+   * @param {Object} data
+   * @returns {HitsterGame}
+   */
+  static fromJSON(data) {
+    if (!data || data.version !== SAVE_VERSION) {
+      throw new Error('Unsupported saved game format');
+    }
+
+    const copy = structuredClone(data);
+    const game = new HitsterGame({
+      players: copy.players.map(p => p.name),
+      targetCards: copy.targetCards
+    });
+
+    game._id = copy.id;
+    game._createdAt = copy.createdAt;
+    game._players = copy.players;
+    game._currentIndex = copy.currentIndex;
+    game._roundCount = copy.roundCount;
+    game._winnerId = copy.winnerId;
+    game._rounds = copy.rounds;
+    game._round = copy.rounds[copy.rounds.length - 1] || null;
+
+    return game;
+  }
+
+  /**
+   * Check whether a year fits in a timeline gap.
+   * Cards with the same year may go on either side of each other.
+   * @param {TimelineCard[]} timeline - Sorted timeline
+   * @param {number} position - Gap index
+   * @param {number} year
+   * @returns {boolean}
+   */
+  static isPlacementCorrect(timeline, position, year) {
+    const before = timeline[position - 1];
+    const after = timeline[position];
+
+    if (before && year < before.year) return false;
+    if (after && year > after.year) return false;
+    return true;
+  }
+
+  /**
+   * Get the pending round or throw
+   * @private
+   */
+  _requirePendingRound() {
+    if (!this.hasPendingRound) {
+      throw new Error('No card in play');
+    }
+    return this._round;
+  }
+
+  /**
+   * Get the pending round or throw if it's over or locked
+   * @private
+   */
+  _requireOpenRound() {
+    const round = this._requirePendingRound();
+    if (round.locked) {
+      throw new Error("Time's up - reveal the card");
+    }
+    return round;
+  }
+
+  /**
+   * Look up a player or throw
+   * @private
+   */
+  _requirePlayer(playerId) {
+    const player = this.getPlayer(playerId);
+    if (!player) {
+      throw new Error(`Unknown player: ${playerId}`);
+    }
+    return player;
+  }
+
+  /**
+   * Check a gap index against the round player's timeline
+   * @private
+   */
+  _validatePosition(round, position) {
+    const timeline = this.getPlayer(round.playerId).timeline;
+    if (!Number.isInteger(position) || position < 0 || position > timeline.length) {
+      throw new Error(`Invalid timeline position: ${position}`);
+    }
+  }
+
+  /**
+   * Take tokens from a player or throw if they can't afford it
+   * @private
+   */
+  _spendTokens(player, cost, reason) {
+    if (player.tokens < cost) {
+      throw new Error(`${player.name} needs ${cost} token${cost === 1 ? '' : 's'} to ${reason}`);
+    }
+    player.tokens -= cost;
+    this._logEvent('token_spent', { playerId: player.id, reason, cost });
+  }
+
+  /**
+   * Insert a card into a player's timeline at its sorted position and check for a win
+   * @private
+   */
+  _giveCard(player, track, year) {
+    const index = player.timeline.findIndex(card => card.year > year);
+    const card = {
+      uri: track.uri,
+      name: track.name,
+      artistString: track.artistString,
+      year,
+      albumArtSmall: track.albumArtSmall || null
+    };
+
+    player.timeline.splice(index === -1 ? player.timeline.length : index, 0, card);
+
+    if (!this.isOver && player.timeline.length >= this._targetCards) {
+      this._winnerId = player.id;
+      this._logEvent('game_won', { playerId: player.id, cards: player.timeline.length });
+    }
+  }
+
+  /**
+   * Pass the turn after a judged round
+   * @private
+   */
+  _finishRound() {
+    if (!this.isOver) {
+      this._currentIndex = (this._currentIndex + 1) % this._players.length;
+    }
+    this._emitChange();
+  }
+
+  /**
+   * Append an event to the current round's log
+   * @private
+   */
+  _logEvent(type, details = {}) {
+    this._round.events.push({
+      type,
+      round: this._round.number,
+      at: Date.now(),
+      ...details
+    });
+  }
+
+  /**
+   * Emit change event
+   * @private
+   */
+  _emitChange() {
+    if (this._onChange) {
+      this._onChange(this);
+    }
+  }
+}
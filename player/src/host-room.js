@@ -0,0 +1,224 @@
+/**
+ * Host Room Module
+ *
+ * The host's side of a multi-phone game. Opening a room shows its join QR
+ * code in the game setup overlay and relays the TV display through the
+ * room server. While the room is open the server runs the game and the host
+ * plays a RemoteGame; if the room closes, the game carries on locally.
+ */
+
+import QRCode from 'qrcode';
+import { DisplayPublisher } from './display-channel.js';
+import { HitsterGame } from './game.js';
+import { RoomClient, RemoteGame, getJoinUrl, getRoomDisplayUrl } from './room-client.js';
+import { showToast, renderRoomInfo } from './ui.js';
+
+let roomClient = null;
+let roomDisplayPublisher = null;
+let roomQrDataUrl = '';
+let getGame = () => null;
+let onGame = () => {};
+let onConnected = () => {};
+
+/**
+ * Connect rooms to the host app
+ * @param {Object} handlers
+ * @param {function(): (HitsterGame|RemoteGame|null)} handlers.getGame - The running game
+ * @param {function(HitsterGame|RemoteGame): void} handlers.onGame - A game to play from now on:
+ *   a game started in the room, or the local copy of it once the room closes
+ * @param {function(): void} handlers.onConnected - The room is ready for display state
+ */
+export function setupHostRoom(handlers) {
+  getGame = handlers.getGame;
+  onGame = handlers.onGame;
+  onConnected = handlers.onConnected;
+}
+
+/**
+ * Wire up the room buttons of the game setup overlay
+ */
+export function setupHostRoomHandlers() {
+  const hostRoomBtn = document.getElementById('host-room-btn');
+  const closeRoomBtn = document.getElementById('close-room-btn');
+
+  if (hostRoomBtn) {
+    const newHostRoomBtn = hostRoomBtn.cloneNode(true);
+    hostRoomBtn.parentNode.replaceChild(newHostRoomBtn, hostRoomBtn);
+    newHostRoomBtn.addEventListener('click', handleHostRoom);
+  }
+
+  if (closeRoomBtn) {
+    const newCloseRoomBtn = closeRoomBtn.cloneNode(true);
+    closeRoomBtn.parentNode.replaceChild(newCloseRoomBtn, closeRoomBtn);
+    newCloseRoomBtn.addEventListener('click', handleCloseRoom);
+  }
+}
+
+/**
+ * The connection to the room being hosted, if any
+ * @returns {RoomClient|null}
+ */
+export function getRoomClient() {
+  return roomClient;
+}
+
+/**
+ * Whether display state is relayed through a room
+ * @returns {boolean}
+ */
+export function hasRoomDisplay() {
+  return roomDisplayPublisher !== null;
+}
+
+/**
+ * Send display state to the TV displays watching the room
+ * @param {Object} state - See DisplayPublisher.publish()
+ */
+export function publishRoomDisplay(state) {
+  roomDisplayPublisher?.publish(state);
+}
+
+/**
+ * Open a room so players can join from their phones
+ */
+async function handleHostRoom() {
+  if (roomClient) return;
+
+  const client = createHostRoomClient();
+  try {
+    await client.create();
+  } catch (error) {
+    console.error('Failed to open room:', error);
+    showToast(`Can't open a room: ${error.message}`, 'error');
+    roomClient = null;
+    return;
+  }
+
+  await connectHostRoom(client);
+  showToast(`Room ${client.roomCode} is open`, 'success', 2000);
+}
+
+/**
+ * Reconnect to the room this device was hosting before a reload
+ */
+export async function resumeHostRoom() {
+  const session = RoomClient.getSavedSession('host');
+  if (!session) return;
+
+  const client = createHostRoomClient();
+  try {
+    await client.resume(session);
+    await connectHostRoom(client);
+  } catch (error) {
+    console.warn('Could not resume hosted room:', error);
+    roomClient = null;
+  }
+}
+
+/**
+ * Close the room; a game in progress carries on on this device only
+ */
+function handleCloseRoom() {
+  if (!roomClient) return;
+
+  const game = getGame();
+  if (game instanceof RemoteGame && !game.isOver &&
+      !confirm('Close the room? Phones disconnect and the game continues on this device.')) {
+    return;
+  }
+
+  roomClient.leave();
+}
+
+/**
+ * Create the host connection and wire up its callbacks
+ * @returns {RoomClient}
+ */
+function createHostRoomClient() {
+  const client = new RoomClient({ role: 'host' });
+  roomClient = client;
+
+  client.onState = handleRoomState;
+
+  client.onEvent = (event) => {
+    const game = getGame();
+    if (event.type === 'buzz' && game) {
+      const buzzer = game.getPlayer(event.playerId);
+      showToast(`🔔 ${buzzer?.name || 'Someone'} buzzed in${event.order === 1 ? ' first' : ''}!`, 'info', 2000);
+    }
+  };
+
+  client.onStatusChange = (status) => {
+    if (client !== roomClient) return;
+
+    if (status === 'reconnecting') {
+      showToast('Lost the room connection - reconnecting…', 'warning', 3000);
+    } else if (status === 'closed') {
+      disconnectHostRoom();
+    }
+  };
+
+  return client;
+}
+
+/**
+ * Show the room QR code and relay display state through the room
+ * @param {RoomClient} client
+ */
+async function connectHostRoom(client) {
+  try {
+    roomQrDataUrl = await QRCode.toDataURL(getJoinUrl(client.roomCode), { margin: 1, width: 240 });
+  } catch (error) {
+    console.warn('Failed to draw room QR code:', error);
+    roomQrDataUrl = '';
+  }
+
+  roomDisplayPublisher = new DisplayPublisher(client.createDisplayTransport());
+  renderRoomPanel();
+  onConnected();
+}
+
+/**
+ * Forget the room. A room game becomes a local game so play can continue.
+ */
+function disconnectHostRoom() {
+  roomClient = null;
+  roomDisplayPublisher = null;
+  roomQrDataUrl = '';
+  renderRoomPanel();
+
+  const game = getGame();
+  if (game instanceof RemoteGame) {
+    onGame(HitsterGame.fromJSON(game.toJSON()));
+    showToast('Room closed - the game continues on this device', 'warning', 4000);
+  }
+}
+
+/**
+ * Apply a state update from the room server
+ * @param {Object} state
+ */
+function handleRoomState(state) {
+  renderRoomPanel();
+
+  if (!state.snapshot) return;
+
+  const game = getGame();
+  if (game instanceof RemoteGame && game.id === state.snapshot.id) {
+    game.update(state.snapshot);
+  } else {
+    // New game started in the room (or first state after reconnecting)
+    onGame(new RemoteGame(roomClient, state.snapshot));
+  }
+}
+
+/**
+ * Render the room section of the game setup overlay
+ */
+export function renderRoomPanel() {
+  const room = roomClient?.state?.room || null;
+  renderRoomInfo(room, {
+    qrDataUrl: roomQrDataUrl,
+    displayUrl: room ? getRoomDisplayUrl(room.code) : ''
+  });
+}
@@ -1,36 +1,142 @@
 /**
  * Hitster Player - Main Application
  *
- * Supports two playback modes:
+ * Supports three playback modes:
  * - SDK: Full tracks via Spotify Web Playback SDK (in-browser)
  * - External: Full tracks via Spotify Connect devices
+ * - Preview: 30-second clips in the browser (no Premium required)
  */
 
-import { login, handleCallback, getStoredToken, clearToken } from './auth.js';
+import { login, handleCallback, getValidToken, clearToken } from './auth.js';
 import { QRScanner } from './scanner.js';
 import { PlayerFactory } from './player-factory.js';
+import { SpotifyApiClient, AuthError, PremiumRequiredError, NoActiveDeviceError, RateLimitError } from './spotify-api.js';
+import { TrackCache } from './track-cache.js';
+import { createDeckCardResolver, preloadHitsterCards } from './card-resolvers.js';
+import { PlayHistory } from './play-history.js';
+import { RoundTimer, playTimeUpCue, DEFAULT_ROUND_TIMER_SECONDS } from './round-timer.js';
+import { setupMediaSession, updateMediaSession } from './media-session.js';
+import { keepScreenOn } from './wake-lock.js';
+import { deckShareResolver } from './deck-share.js';
+import {
+  setupActiveDeck,
+  setupDeckHandlers,
+  getActiveDeck,
+  getDeckTrackUris,
+  setDeckTrackUris,
+  getDrawPile,
+  renderDeckPanel,
+  startDrawPile,
+  prefetchDeck,
+  restoreActiveDeck,
+  addDeckSharePart,
+  importDeckFromUrl,
+  applyDeckMetadata
+} from './active-deck.js';
+import { HitsterGame, DEFAULT_TARGET_CARDS } from './game.js';
+import { saveGame, loadActiveGame, restoreGame, endGame, listGameHistory, deleteGame } from './game-store.js';
+import { DisplayPublisher, createBroadcastTransport } from './display-channel.js';
+import { isDisplayRoute, startDisplay } from './display.js';
+import { RemoteGame } from './room-client.js';
+import { isJoinRoute, startRoomPlayer } from './room-player.js';
+import {
+  setupHostRoom,
+  setupHostRoomHandlers,
+  resumeHostRoom,
+  renderRoomPanel,
+  getRoomClient,
+  hasRoomDisplay,
+  publishRoomDisplay
+} from './host-room.js';
 import {
   showToast,
   showScreen,
   createDeviceItem,
   updateNowPlaying,
+  updateAlbumArt,
   updatePlayButton,
   updateRevealButton,
   revealSongInfo,
   updatePlayerHeader,
   hideScannerShowButton,
-  showScannerHideButton
+  showScannerHideButton,
+  showOverlay,
+  renderPlayerInputs,
+  showGamePanel,
+  renderScoreboard,
+  renderTimeline,
+  renderRoundActions,
+  renderResumeCard,
+  renderGameHistory,
+  renderPlayHistory,
+  downloadFile,
+  renderDrawButton,
+  renderScannerControls,
+  showManualEntry,
+  showFocusRing,
+  getStoredSnippetPreset,
+  saveSnippetPreset,
+  getStoredRoundTimer,
+  saveRoundTimer,
+  renderRoundTimer,
+  updateMoreTimeButton
 } from './ui.js';
 
 // Storage keys
 const DEVICE_KEY = 'hitster_selected_device';
 
+// Snippet mode presets: where each song starts and how long it plays
+const SNIPPET_PRESETS = {
+  full: { startPositionMs: null, maxDurationMs: null },
+  easy: { startPositionMs: 0, maxDurationMs: 30 * 1000 },
+  medium: { startPositionMs: 'random', maxDurationMs: 20 * 1000 },
+  hard: { startPositionMs: 'random', maxDurationMs: 15 * 1000 },
+  expert: { startPositionMs: 'random', maxDurationMs: 10 * 1000 }
+};
+
+// Extra playback for the "+10 s" button
+const SNIPPET_EXTENSION_MS = 10 * 1000;
+
+// Playback options that aren't Spotify Connect devices
+const SDK_DEVICE = {
+  id: 'SDK_BROWSER',
+  name: 'This Browser',
+  type: 'Computer',
+  is_active: false,
+  is_sdk: true
+};
+
+const PREVIEW_DEVICE = {
+  id: 'PREVIEW_CLIPS',
+  name: 'Preview Clips',
+  type: 'Computer',
+  is_active: false,
+  is_preview: true
+};
+
+/** Web API client for the setup screens (engines have their own) */
+const spotifyApi = new SpotifyApiClient({ getToken: getValidToken });
+const trackCache = new TrackCache({ api: spotifyApi });
+const playHistory = new PlayHistory();
+const roundTimer = new RoundTimer({ onTick: renderRoundTimer, onExpire: handleRoundTimeUp });
+
 // Application state
 let player = null;
 let scanner = null;
 let currentMode = null;
 let selectedDevice = null;
 let isYearRevealed = false;
+let game = null;
+let setupPlayerNames = ['', ''];
+let isChoosingChallenger = false;
+let challengerId = null;
+let savedGameRecord = null;
+let currentTrack = null;
+let displayPublisher = null;
+let snippetPreset = SNIPPET_PRESETS[getStoredSnippetPreset()] ? getStoredSnippetPreset() : 'full';
+/** Whether playback stopped because the snippet ran out (not a pause: the round clock keeps going) */
+let snippetEnded = false;
+let roundTimerSeconds = parseInt(getStoredRoundTimer() ?? DEFAULT_ROUND_TIMER_SECONDS, 10) || 0;
 
 /**
  * Save selected device to localStorage
@@ -70,6 +176,23 @@ function clearSavedDevice() {
 async function init() {
   console.log('Hitster Player initializing...');
 
+  setupDisplayPublisher();
+  setupBackgroundHandlers();
+  setupHostRoom({
+    getGame: () => game,
+    onGame: (newGame) => {
+      setGame(newGame);
+      renderGame();
+      persistGame();
+      publishDisplayState();
+    },
+    onConnected: publishDisplayState
+  });
+  resumeHostRoom();
+  setupActiveDeck({ api: spotifyApi, trackCache });
+  await restoreActiveDeck();
+  importDeckFromUrl();
+
   // Check for OAuth callback
   try {
     const callbackResult = await handleCallback();
@@ -93,8 +216,8 @@ async function init() {
     showToast('Authentication error: ' + err.message, 'error');
   }
 
-  // Check for existing stored token
-  const token = getStoredToken();
+  // Check for existing stored token (refreshing it if it is about to expire)
+  const token = await getValidToken();
 
   if (token) {
     console.log('Found existing token');
@@ -128,15 +251,7 @@ function setupLoginHandlers() {
 async function initializeWithToken(token) {
   try {
     // Verify token works
-    const response = await fetch('https://api.spotify.com/v1/me', {
-      headers: { 'Authorization': `Bearer ${token}` }
-    });
-
-    if (!response.ok) {
-      throw new Error('Token expired');
-    }
-
-    const user = await response.json();
+    const user = await spotifyApi.get('/me');
     console.log('Logged in as:', user.display_name);
     showToast(`Welcome, ${user.display_name}!`, 'success');
 
@@ -146,18 +261,25 @@ async function initializeWithToken(token) {
   } catch (error) {
     console.error('Failed to initialize:', error);
 
-    if (error.message.includes('expired') || error.message.includes('401')) {
-      clearToken();
-      clearSavedDevice();
-      showToast('Session expired. Please log in again.', 'warning');
-      showScreen('login-screen');
-      setupLoginHandlers();
+    if (error instanceof AuthError) {
+      handleSessionExpired();
     } else {
       showToast(error.message, 'error');
     }
   }
 }
 
+/**
+ * Send the user back to the login screen after the session expired
+ */
+function handleSessionExpired() {
+  clearToken();
+  clearSavedDevice();
+  showToast('Session expired. Please log in again.', 'warning');
+  showScreen('login-screen');
+  setupLoginHandlers();
+}
+
 /**
  * Show device selection screen
  * @param {string} token - Spotify access token
@@ -165,7 +287,70 @@ async function initializeWithToken(token) {
 async function showDeviceSelection(token) {
   showScreen('setup-screen');
   setupDeviceHandlers(token);
-  await refreshDevices(token);
+  offerSavedGame();
+  await refreshDevices();
+}
+
+/**
+ * Show the "Resume game" card if a game was left in progress
+ */
+async function offerSavedGame() {
+  // A game already in memory (e.g. after changing device) just carries on
+  if (game) {
+    renderResumeCard(null);
+    return;
+  }
+
+  try {
+    savedGameRecord = await loadActiveGame();
+    renderResumeCard(savedGameRecord);
+  } catch (error) {
+    console.warn('Failed to load saved game:', error);
+    renderResumeCard(null);
+  }
+}
+
+/**
+ * Resume the saved game offered on the setup screen
+ * @param {string} token - Spotify access token
+ */
+async function handleResumeGame(token) {
+  if (!savedGameRecord) return;
+
+  try {
+    setGame(restoreGame(savedGameRecord));
+  } catch (error) {
+    console.error('Failed to restore game:', error);
+    showToast('Saved game could not be restored', 'error');
+    return;
+  }
+
+  isYearRevealed = savedGameRecord.session?.isYearRevealed ?? false;
+  renderResumeCard(savedGameRecord, true);
+  savedGameRecord = null;
+
+  if (selectedDevice) {
+    await startPlayback(token);
+  } else {
+    showToast('Game restored - pick a device to continue', 'success', 3000);
+  }
+}
+
+/**
+ * Discard the saved game offered on the setup screen
+ */
+async function handleDiscardGame() {
+  if (!savedGameRecord) return;
+
+  try {
+    await endGame(savedGameRecord.id, 'abandoned');
+  } catch (error) {
+    console.warn('Failed to discard saved game:', error);
+  }
+
+  savedGameRecord = null;
+  renderResumeCard(null);
+  showToast('Saved game moved to history', 'info', 2000);
 }
 
 /**
@@ -176,11 +361,24 @@ function setupDeviceHandlers(token) {
   const refreshBtn = document.getElementById('refresh-devices-btn');
   const startBtn = document.getElementById('start-scanning-btn');
   const devicesList = document.getElementById('devices-list');
+  const resumeCard = document.getElementById('resume-game');
+
+  if (resumeCard) {
+    const newResumeCard = resumeCard.cloneNode(true);
+    resumeCard.parentNode.replaceChild(newResumeCard, resumeCard);
+    newResumeCard.addEventListener('click', (e) => {
+      if (e.target.closest('#resume-game-btn')) {
+        handleResumeGame(token);
+      } else if (e.target.closest('#discard-game-btn')) {
+        handleDiscardGame();
+      }
+    });
+  }
 
   if (refreshBtn) {
     const newRefreshBtn = refreshBtn.cloneNode(true);
     refreshBtn.parentNode.replaceChild(newRefreshBtn, refreshBtn);
-    newRefreshBtn.addEventListener('click', () => refreshDevices(token));
+    newRefreshBtn.addEventListener('click', () => refreshDevices());
   }
 
   if (startBtn) {
@@ -195,7 +393,7 @@ function setupDeviceHandlers(token) {
     newDevicesList.addEventListener('click', (e) => {
       const deviceItem = e.target.closest('.device-item');
       if (deviceItem) {
-        selectDevice(deviceItem.dataset.deviceId, token);
+        selectDevice(deviceItem.dataset.deviceId);
       }
     });
   }
@@ -203,36 +401,19 @@ function setupDeviceHandlers(token) {
 
 /**
  * Refresh the list of available Spotify devices
- * @param {string} token - Spotify access token
  */
-async function refreshDevices(token) {
+async function refreshDevices() {
   const devicesList = document.getElementById('devices-list');
   const startBtn = document.getElementById('start-scanning-btn');
 
   try {
     devicesList.innerHTML = '<p style="color: var(--text-muted); text-align: center; padding: 2rem;">Loading devices...</p>';
 
-    const response = await fetch('https://api.spotify.com/v1/me/player/devices', {
-      headers: { 'Authorization': `Bearer ${token}` }
-    });
-
-    if (!response.ok) {
-      throw new Error('Failed to get devices');
-    }
-
-    const data = await response.json();
-    const devices = data.devices || [];
+    const data = await spotifyApi.get('/me/player/devices');
+    const devices = data?.devices || [];
 
-    // Add "This Browser" as SDK option at the top
-    const sdkDevice = {
-      id: 'SDK_BROWSER',
-      name: 'This Browser',
-      type: 'Computer',
-      is_active: false,
-      is_sdk: true
-    };
-
-    const allDevices = [sdkDevice, ...devices];
+    // Add "This Browser" and "Preview Clips" options at the top
+    const allDevices = [SDK_DEVICE, PREVIEW_DEVICE, ...devices];
 
     // Render devices
     devicesList.innerHTML = allDevices.map(device =>
@@ -253,7 +434,7 @@ async function refreshDevices(token) {
     if (savedDevice && !selectedDevice) {
       const stillAvailable = allDevices.find(d => d.id === savedDevice.id);
       if (stillAvailable) {
-        selectDevice(savedDevice.id, token, allDevices);
+        selectDevice(savedDevice.id, allDevices);
       }
     }
 
@@ -261,7 +442,7 @@ async function refreshDevices(token) {
     if (!selectedDevice) {
       const activeDevice = devices.find(d => d.is_active);
       if (activeDevice) {
-        selectDevice(activeDevice.id, token, allDevices);
+        selectDevice(activeDevice.id, allDevices);
       }
     } else {
       startBtn.disabled = false;
@@ -269,6 +450,12 @@ async function refreshDevices(token) {
 
   } catch (error) {
     console.error('Failed to get devices:', error);
+
+    if (error instanceof AuthError) {
+      handleSessionExpired();
+      return;
+    }
+
     devicesList.innerHTML = `
       <div style="text-align: center; padding: 2rem; color: var(--error);">
         <p>Failed to load devices</p>
@@ -302,24 +489,36 @@ function createDeviceItemWithSdk(device, isSelected = false) {
     `;
   }
 
+  if (device.is_preview) {
+    const selectedClass = isSelected ? 'selected' : '';
+    return `
+      <div class="device-item ${selectedClass}" data-device-id="${device.id}">
+        <div class="device-icon" style="background: rgba(247, 197, 72, 0.15); color: var(--accent-secondary);">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <circle cx="12" cy="12" r="10"/>
+            <polyline points="12 6 12 12 16 14"/>
+          </svg>
+        </div>
+        <div class="device-info">
+          <div class="device-item-name">${device.name}</div>
+          <div class="device-item-type">30-second previews, no Premium needed</div>
+        </div>
+      </div>
+    `;
+  }
+
   return createDeviceItem(device, isSelected);
 }
 
 /**
  * Select a device for playback
  */
-async function selectDevice(deviceId, token, devices = null) {
+async function selectDevice(deviceId, devices = null) {
   const startBtn = document.getElementById('start-scanning-btn');
 
   if (!devices) {
-    const response = await fetch('https://api.spotify.com/v1/me/player/devices', {
-      headers: { 'Authorization': `Bearer ${token}` }
-    });
-    const data = await response.json();
-    devices = [
-      { id: 'SDK_BROWSER', name: 'This Browser', type: 'Computer', is_sdk: true },
-      ...(data.devices || [])
-    ];
+    const data = await spotifyApi.get('/me/player/devices');
+    devices = [SDK_DEVICE, PREVIEW_DEVICE, ...(data?.devices || [])];
   }
 
   const device = devices.find(d => d.id === deviceId);
@@ -328,7 +527,7 @@ async function selectDevice(deviceId, token, devices = null) {
   selectedDevice = device;
 
   // Save external devices for session persistence
-  if (!device.is_sdk) {
+  if (!device.is_sdk && !device.is_preview) {
     saveDevice(device);
   }
 
@@ -350,10 +549,15 @@ async function startPlayback(token) {
     return;
   }
 
+  token = (await getValidToken()) || token;
+
   try {
     if (selectedDevice.is_sdk) {
       currentMode = 'sdk';
       await initializeSDKPlayer(token);
+    } else if (selectedDevice.is_preview) {
+      currentMode = 'preview';
+      await initializePreviewPlayer(token);
     } else {
       currentMode = 'external';
       await initializeExternalPlayer(token);
@@ -377,7 +581,7 @@ async function initializeSDKPlayer(token) {
       token,
       name: 'Hitster Web Player',
       volume: 50,
-      getToken: () => getStoredToken()
+      getToken: getValidToken
     });
 
     player.onTrackEnd = () => {
@@ -386,7 +590,7 @@ async function initializeSDKPlayer(token) {
 
     player.onError = (error) => {
       console.error('SDK player error:', error);
-      if (error.message.includes('Premium')) {
+      if (error instanceof PremiumRequiredError) {
         showToast('Spotify Premium required for in-browser playback', 'error', 5000);
         return;
       }
@@ -395,11 +599,16 @@ async function initializeSDKPlayer(token) {
 
     player.onStateChange = ({ isPlaying }) => {
       updatePlayButton(isPlaying);
+      syncRoundTimer(isPlaying);
+      publishDisplayState();
     };
 
+    player.onSnippetEnd = handleSnippetEnd;
+
     showScreen('player-screen');
     updatePlayerHeader('sdk');
     setupPlayerHandlers();
+    restoreGameView();
     await startScanner();
 
     showToast('Playing in browser', 'success', 3000);
@@ -407,8 +616,8 @@ async function initializeSDKPlayer(token) {
   } catch (error) {
     console.error('Failed to initialize SDK player:', error);
 
-    if (error.message.includes('Premium') || error.message.includes('account')) {
-      showToast('Premium required for in-browser playback. Select an external device.', 'warning', 5000);
+    if (error instanceof PremiumRequiredError) {
+      showToast('Premium required for in-browser playback. Select Preview Clips or an external device.', 'warning', 5000);
       player.destroy();
       player = null;
       selectedDevice = null;
@@ -426,22 +635,71 @@ async function initializeExternalPlayer(token) {
   console.log('Initializing external device player for:', selectedDevice.name);
 
   player = PlayerFactory.create('external');
-  await player.initialize({ token });
+  await player.initialize({ token, getToken: getValidToken });
   player.setDevice(selectedDevice.id, selectedDevice.name);
 
+  player.onTrackEnd = () => {
+    showToast('Track ended', 'info', 2000);
+  };
+
   player.onError = (error) => {
     console.error('External player error:', error);
     showToast(error.message, 'error');
   };
 
+  // Also fires for pauses, resumes and seeks made on the device itself
+  player.onStateChange = ({ isPlaying }) => {
+    updatePlayButton(isPlaying);
+    syncRoundTimer(isPlaying);
+    publishDisplayState();
+  };
+
+  player.onSnippetEnd = handleSnippetEnd;
+
   showScreen('player-screen');
   updatePlayerHeader('external', selectedDevice.name);
   setupPlayerHandlers();
+  restoreGameView();
   await startScanner();
 
   showToast(`Playing on ${selectedDevice.name}`, 'success', 3000);
 }
 
+/**
+ * Initialize preview player for 30-second clips
+ */
+async function initializePreviewPlayer(token) {
+  console.log('Initializing preview player');
+
+  player = PlayerFactory.create('preview');
+  await player.initialize({ token, getToken: getValidToken, volume: 80 });
+
+  player.onTrackEnd = () => {
+    showToast('Preview ended', 'info', 2000);
+  };
+
+  player.onError = (error) => {
+    console.error('Preview player error:', error);
+    showToast(error.message, 'warning', 4000);
+  };
+
+  player.onStateChange = ({ isPlaying }) => {
+    updatePlayButton(isPlaying);
+    syncRoundTimer(isPlaying);
+    publishDisplayState();
+  };
+
+  player.onSnippetEnd = handleSnippetEnd;
+
+  showScreen('player-screen');
+  updatePlayerHeader('preview');
+  setupPlayerHandlers();
+  restoreGameView();
+  await startScanner();
+
+  showToast('Playing 30-second previews', 'success', 3000);
+}
+
 /**
  * Start the QR scanner
  */
@@ -450,15 +708,131 @@ async function startScanner() {
     scanner = new QRScanner('scanner', {
       onScan: handleScan,
       onError: (message) => showToast(message, 'error'),
+      onUnsupported: (message) => showToast(message, 'warning', 3000),
+      onPayload: handleScannedPayload,
       cooldownMs: 3000
     });
+    scanner.resolvers
+      .use(createDeckCardResolver(getDeckTrackUris))
+      .use(deckShareResolver);
+
+    // Have the Hitster card list ready before the first card is scanned
+    await preloadHitsterCards();
 
     await scanner.start();
     showToast('Scanner ready!', 'success', 2000);
+    await refreshScannerControls();
 
   } catch (error) {
     console.error('Failed to start scanner:', error);
     showToast('Failed to start camera: ' + error.message, 'error');
+    // Cards can still be played from a photo, a link or a card number
+    showManualEntry(true);
+  }
+}
+
+/**
+ * Handle a scanned code that isn't a song
+ * @param {{type: string}} payload
+ */
+function handleScannedPayload(payload) {
+  if (payload.type === 'deck-share') {
+    addDeckSharePart(payload);
+  }
+}
+
+/**
+ * Play a card from a pasted link or a typed card number
+ * @param {string} text
+ */
+async function handleManualEntry(text) {
+  if (!scanner || !text.trim()) return;
+
+  try {
+    await scanner.submitCode(text);
+    showManualEntry(false);
+  } catch (error) {
+    showToast(error.message, 'warning', 3000);
+  }
+}
+
+/**
+ * Play a card from a photo of its QR code
+ * @param {File} file
+ */
+async function handlePhotoScan(file) {
+  if (!scanner || !file) return;
+
+  showToast('Reading photo...', 'info', 1500);
+  try {
+    await scanner.scanImageFile(file);
+  } catch (error) {
+    console.warn('Photo scan failed:', error);
+    showToast(error.message, 'warning', 4000);
+  }
+}
+
+/**
+ * Show the camera controls for the running camera
+ */
+async function refreshScannerControls() {
+  if (!scanner?.running) return;
+
+  const cameras = await QRScanner.getCameras();
+  renderScannerControls(scanner.getCameraControls(), {
+    cameras,
+    cameraId: scanner.activeCameraId,
+    torchOn: scanner.torchOn
+  });
+}
+
+/**
+ * Toggle the flashlight
+ */
+async function handleTorchToggle() {
+  if (!scanner) return;
+
+  try {
+    await scanner.setTorch(!scanner.torchOn);
+  } catch (error) {
+    console.warn('Torch failed:', error);
+    showToast('Could not switch the flashlight', 'warning', 2000);
+  }
+  await refreshScannerControls();
+}
+
+/**
+ * Switch to the camera picked in the camera menu
+ * @param {string} cameraId
+ */
+async function handleCameraChange(cameraId) {
+  if (!scanner) return;
+
+  try {
+    await scanner.switchCamera(cameraId);
+  } catch (error) {
+    console.error('Failed to switch camera:', error);
+  }
+  await refreshScannerControls();
+}
+
+/**
+ * Focus the camera where the preview was tapped
+ * @param {MouseEvent} e
+ */
+async function handleFocusTap(e) {
+  if (!scanner?.running) return;
+
+  const rect = e.currentTarget.getBoundingClientRect();
+  const x = e.clientX - rect.left;
+  const y = e.clientY - rect.top;
+
+  try {
+    if (await scanner.focusAt(x / rect.width, y / rect.height)) {
+      showFocusRing(x, y);
+    }
+  } catch (error) {
+    console.warn('Tap to focus failed:', error);
   }
 }
 
@@ -470,6 +844,20 @@ function setupPlayerHandlers() {
   const revealBtn = document.getElementById('reveal-btn');
   const changeDeviceBtn = document.getElementById('change-device-btn');
   const scanAnotherBtn = document.getElementById('scan-another-btn');
+  const gameBtn = document.getElementById('game-btn');
+  const playedBtn = document.getElementById('played-btn');
+  const playedOverlay = document.getElementById('played-overlay');
+  const timeline = document.getElementById('timeline');
+  const roundActions = document.getElementById('round-actions');
+  const challengePicker = document.getElementById('challenge-picker');
+  const buzzList = document.getElementById('buzz-list');
+  const snippetSelect = document.getElementById('snippet-select');
+  const roundTimerSelect = document.getElementById('round-timer-select');
+  const moreTimeBtn = document.getElementById('more-time-btn');
+  const scannerControls = document.getElementById('scanner-controls');
+  const focusArea = document.getElementById('focus-area');
+  const manualEntry = document.getElementById('manual-entry');
+  const drawSongBtn = document.getElementById('draw-song-btn');
 
   if (pauseBtn) {
     const newPauseBtn = pauseBtn.cloneNode(true);
@@ -494,6 +882,745 @@ function setupPlayerHandlers() {
     scanAnotherBtn.parentNode.replaceChild(newScanAnotherBtn, scanAnotherBtn);
     newScanAnotherBtn.addEventListener('click', handleScanAnother);
   }
+
+  if (drawSongBtn) {
+    const newDrawSongBtn = drawSongBtn.cloneNode(true);
+    drawSongBtn.parentNode.replaceChild(newDrawSongBtn, drawSongBtn);
+    newDrawSongBtn.addEventListener('click', handleDrawSong);
+  }
+
+  if (gameBtn) {
+    const newGameBtn = gameBtn.cloneNode(true);
+    gameBtn.parentNode.replaceChild(newGameBtn, gameBtn);
+    newGameBtn.addEventListener('click', openGameSetup);
+  }
+
+  if (playedBtn) {
+    const newPlayedBtn = playedBtn.cloneNode(true);
+    playedBtn.parentNode.replaceChild(newPlayedBtn, playedBtn);
+    newPlayedBtn.addEventListener('click', openPlayHistory);
+  }
+
+  if (playedOverlay) {
+    const newPlayedOverlay = playedOverlay.cloneNode(true);
+    playedOverlay.parentNode.replaceChild(newPlayedOverlay, playedOverlay);
+    newPlayedOverlay.addEventListener('click', (e) => {
+      if (e.target.closest('#export-played-btn')) {
+        handleExportPlayHistory();
+      } else if (e.target.closest('#clear-played-btn')) {
+        handleClearPlayHistory();
+      } else if (e.target.closest('#close-played-btn') || e.target === newPlayedOverlay) {
+        showOverlay('played-overlay', false);
+      }
+    });
+  }
+
+  if (timeline) {
+    const newTimeline = timeline.cloneNode(true);
+    timeline.parentNode.replaceChild(newTimeline, timeline);
+    newTimeline.addEventListener('click', (e) => {
+      const gap = e.target.closest('.timeline-gap');
+      if (gap && !gap.disabled) {
+        handlePlaceCard(parseInt(gap.dataset.position, 10));
+      }
+    });
+  }
+
+  if (roundActions) {
+    const newRoundActions = roundActions.cloneNode(true);
+    roundActions.parentNode.replaceChild(newRoundActions, roundActions);
+    newRoundActions.addEventListener('click', (e) => {
+      const button = e.target.closest('button');
+      if (!button || button.disabled) return;
+
+      switch (button.id) {
+        case 'named-btn': handleSongNamed(); break;
+        case 'challenge-btn': toggleChallengePicker(); break;
+        case 'skip-btn': handleSkipSong(); break;
+        case 'buy-btn': handleBuyCard(); break;
+      }
+    });
+  }
+
+  if (challengePicker) {
+    const newChallengePicker = challengePicker.cloneNode(true);
+    challengePicker.parentNode.replaceChild(newChallengePicker, challengePicker);
+    newChallengePicker.addEventListener('click', (e) => {
+      const chip = e.target.closest('.challenger-chip');
+      if (chip) {
+        challengerId = chip.dataset.playerId;
+        renderGame();
+      }
+    });
+  }
+
+  if (snippetSelect) {
+    const newSnippetSelect = snippetSelect.cloneNode(true);
+    snippetSelect.parentNode.replaceChild(newSnippetSelect, snippetSelect);
+    newSnippetSelect.value = snippetPreset;
+    newSnippetSelect.addEventListener('change', () => {
+      snippetPreset = newSnippetSelect.value;
+      saveSnippetPreset(snippetPreset);
+      showToast('Applies from the next card', 'info', 1500);
+    });
+  }
+
+  if (roundTimerSelect) {
+    const newRoundTimerSelect = roundTimerSelect.cloneNode(true);
+    roundTimerSelect.parentNode.replaceChild(newRoundTimerSelect, roundTimerSelect);
+    newRoundTimerSelect.value = String(roundTimerSeconds);
+    newRoundTimerSelect.addEventListener('change', () => {
+      roundTimerSeconds = parseInt(newRoundTimerSelect.value, 10) || 0;
+      saveRoundTimer(String(roundTimerSeconds));
+      showToast('Applies from the next card', 'info', 1500);
+    });
+  }
+
+  if (moreTimeBtn) {
+    const newMoreTimeBtn = moreTimeBtn.cloneNode(true);
+    moreTimeBtn.parentNode.replaceChild(newMoreTimeBtn, moreTimeBtn);
+    newMoreTimeBtn.addEventListener('click', handleMoreTime);
+  }
+
+  if (buzzList) {
+    const newBuzzList = buzzList.cloneNode(true);
+    buzzList.parentNode.replaceChild(newBuzzList, buzzList);
+    newBuzzList.addEventListener('click', (e) => {
+      const chip = e.target.closest('.buzz-chip');
+      if (chip && !chip.disabled) {
+        handleSongNamed(chip.dataset.playerId);
+      }
+    });
+  }
+
+  if (scannerControls) {
+    const newScannerControls = scannerControls.cloneNode(true);
+    scannerControls.parentNode.replaceChild(newScannerControls, scannerControls);
+    newScannerControls.addEventListener('click', (e) => {
+      if (e.target.closest('#torch-btn')) {
+        handleTorchToggle();
+      }
+    });
+    newScannerControls.addEventListener('input', (e) => {
+      if (e.target.id === 'zoom-slider') {
+        scanner?.setZoom(parseFloat(e.target.value)).catch((error) => {
+          console.warn('Zoom failed:', error);
+        });
+      }
+    });
+    newScannerControls.addEventListener('change', (e) => {
+      if (e.target.id === 'camera-select') {
+        handleCameraChange(e.target.value);
+      }
+    });
+  }
+
+  if (focusArea) {
+    const newFocusArea = focusArea.cloneNode(true);
+    focusArea.parentNode.replaceChild(newFocusArea, focusArea);
+    newFocusArea.addEventListener('click', handleFocusTap);
+  }
+
+  if (manualEntry) {
+    const newManualEntry = manualEntry.cloneNode(true);
+    manualEntry.parentNode.replaceChild(newManualEntry, manualEntry);
+    newManualEntry.addEventListener('click', (e) => {
+      if (e.target.closest('#manual-entry-btn')) {
+        showManualEntry(newManualEntry.querySelector('#manual-entry-form').hidden);
+      }
+    });
+    newManualEntry.addEventListener('change', (e) => {
+      if (e.target.id === 'photo-input') {
+        handlePhotoScan(e.target.files[0]);
+        // Allow picking the same file again
+        e.target.value = '';
+      }
+    });
+    newManualEntry.addEventListener('submit', (e) => {
+      e.preventDefault();
+      handleManualEntry(newManualEntry.querySelector('#manual-entry-input').value);
+    });
+  }
+
+  setupGameSetupHandlers();
+}
+
+/**
+ * Set up game setup overlay handlers
+ */
+function setupGameSetupHandlers() {
+  const playerInputs = document.getElementById('player-inputs');
+  const addPlayerBtn = document.getElementById('add-player-btn');
+  const startGameBtn = document.getElementById('start-game-btn');
+  const cancelGameBtn = document.getElementById('cancel-game-btn');
+  const historyBtn = document.getElementById('history-btn');
+  const closeHistoryBtn = document.getElementById('close-history-btn');
+  const historyList = document.getElementById('history-list');
+  const openDisplayBtn = document.getElementById('open-display-btn');
+
+  if (playerInputs) {
+    const newPlayerInputs = playerInputs.cloneNode(true);
+    playerInputs.parentNode.replaceChild(newPlayerInputs, playerInputs);
+    newPlayerInputs.addEventListener('input', (e) => {
+      if (e.target.classList.contains('player-input')) {
+        setupPlayerNames[parseInt(e.target.dataset.index, 10)] = e.target.value;
+      }
+    });
+    newPlayerInputs.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('.remove-player-btn');
+      if (removeBtn && setupPlayerNames.length > 1) {
+        setupPlayerNames.splice(parseInt(removeBtn.dataset.index, 10), 1);
+        renderPlayerInputs(setupPlayerNames);
+      }
+    });
+  }
+
+  if (addPlayerBtn) {
+    const newAddPlayerBtn = addPlayerBtn.cloneNode(true);
+    addPlayerBtn.parentNode.replaceChild(newAddPlayerBtn, addPlayerBtn);
+    newAddPlayerBtn.addEventListener('click', () => {
+      setupPlayerNames.push('');
+      renderPlayerInputs(setupPlayerNames);
+      const inputs = document.querySelectorAll('.player-input');
+      inputs[inputs.length - 1]?.focus();
+    });
+  }
+
+  if (startGameBtn) {
+    const newStartGameBtn = startGameBtn.cloneNode(true);
+    startGameBtn.parentNode.replaceChild(newStartGameBtn, startGameBtn);
+    newStartGameBtn.addEventListener('click', handleStartGame);
+  }
+
+  if (cancelGameBtn) {
+    const newCancelGameBtn = cancelGameBtn.cloneNode(true);
+    cancelGameBtn.parentNode.replaceChild(newCancelGameBtn, cancelGameBtn);
+    newCancelGameBtn.addEventListener('click', () => showOverlay('game-setup', false));
+  }
+
+  if (historyBtn) {
+    const newHistoryBtn = historyBtn.cloneNode(true);
+    historyBtn.parentNode.replaceChild(newHistoryBtn, historyBtn);
+    newHistoryBtn.addEventListener('click', openGameHistory);
+  }
+
+  if (closeHistoryBtn) {
+    const newCloseHistoryBtn = closeHistoryBtn.cloneNode(true);
+    closeHistoryBtn.parentNode.replaceChild(newCloseHistoryBtn, closeHistoryBtn);
+    newCloseHistoryBtn.addEventListener('click', () => showOverlay('history-overlay', false));
+  }
+
+  if (openDisplayBtn) {
+    const newOpenDisplayBtn = openDisplayBtn.cloneNode(true);
+    openDisplayBtn.parentNode.replaceChild(newOpenDisplayBtn, openDisplayBtn);
+    newOpenDisplayBtn.addEventListener('click', openDisplayWindow);
+  }
+
+  if (historyList) {
+    const newHistoryList = historyList.cloneNode(true);
+    historyList.parentNode.replaceChild(newHistoryList, historyList);
+    newHistoryList.addEventListener('click', (e) => {
+      const deleteBtn = e.target.closest('.delete-game-btn');
+      if (deleteBtn) {
+        handleDeleteGame(deleteBtn.dataset.gameId);
+      }
+    });
+  }
+
+  setupDeckHandlers();
+  setupHostRoomHandlers();
+}
+
+/**
+ * Open the game history overlay
+ */
+async function openGameHistory() {
+  try {
+    renderGameHistory(await listGameHistory());
+    showOverlay('history-overlay', true);
+  } catch (error) {
+    console.error('Failed to load game history:', error);
+    showToast('Could not load game history', 'error');
+  }
+}
+
+/**
+ * Show the songs played this session
+ */
+function openPlayHistory() {
+  // Keep the song being guessed a secret until it's revealed
+  renderPlayHistory(playHistory.entries, {
+    mysteryUri: currentTrack && !isYearRevealed ? currentTrack.uri : null
+  });
+  showOverlay('played-overlay', true);
+}
+
+/**
+ * Download this session's songs as CSV
+ */
+function handleExportPlayHistory() {
+  if (playHistory.entries.length === 0) {
+    showToast('Nothing played yet', 'info', 2000);
+    return;
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  downloadFile(`noot4noot-played-${date}.csv`, playHistory.toCsv(), 'text/csv');
+}
+
+/**
+ * Start a fresh play history
+ */
+function handleClearPlayHistory() {
+  if (!confirm('Clear the list of played songs?')) return;
+
+  playHistory.clear();
+  openPlayHistory();
+}
+
+/**
+ * Ask before playing a card that was already played this session
+ * @param {string} spotifyUri
+ * @returns {boolean} Whether to play it
+ */
+function confirmReplay(spotifyUri) {
+  const previous = playHistory.find(spotifyUri);
+  if (!previous) return true;
+
+  const time = new Date(previous.playedAt).toLocaleTimeString(undefined, { timeStyle: 'short' });
+  const by = previous.playedBy ? ` (${previous.playedBy}'s turn)` : '';
+  return confirm(`This card was already played at ${time}${by}. Play it again?`);
+}
+
+/**
+ * Delete a finished game from history
+ * @param {string} gameId
+ */
+async function handleDeleteGame(gameId) {
+  if (!confirm('Delete this game from history?')) return;
+
+  try {
+    await deleteGame(gameId);
+    renderGameHistory(await listGameHistory());
+  } catch (error) {
+    console.error('Failed to delete game:', error);
+    showToast('Could not delete game', 'error');
+  }
+}
+
+/**
+ * Open the game setup overlay
+ */
+function openGameSetup() {
+  if (game && !game.isOver && !confirm('End the current game and start a new one?')) {
+    return;
+  }
+
+  if (game) {
+    setupPlayerNames = game.players.map(p => p.name);
+    document.getElementById('target-cards-input').value = game.targetCards;
+  }
+
+  renderPlayerInputs(setupPlayerNames);
+  renderRoomPanel();
+  renderDeckPanel();
+  showOverlay('game-setup', true);
+}
+
+/**
+ * Start a new game from the setup overlay.
+ * With a room open, the room server runs the game for everyone who joined.
+ */
+async function handleStartGame() {
+  const targetInput = document.getElementById('target-cards-input');
+  const targetCards = parseInt(targetInput.value, 10) || DEFAULT_TARGET_CARDS;
+  const previousGame = game;
+  const roomClient = getRoomClient();
+
+  if (roomClient?.status === 'connected') {
+    // Typed names are extra players without a phone; blank rows are ignored
+    const extraPlayers = setupPlayerNames.map(name => name.trim()).filter(Boolean);
+    try {
+      await roomClient.request('start_game', { targetCards, extraPlayers });
+    } catch (error) {
+      showToast(error.message, 'error');
+      return;
+    }
+  } else {
+    const names = setupPlayerNames
+      .map((name, index) => name.trim() || `Player ${index + 1}`);
+    setGame(new HitsterGame({ players: names, targetCards }));
+  }
+
+  // Starting over moves an unfinished game to history
+  if (previousGame && !previousGame.isOver && previousGame.id !== game.id) {
+    endGame(previousGame.id, 'abandoned').catch((error) => {
+      console.warn('Failed to archive previous game:', error);
+    });
+  }
+
+  startDrawPile();
+  showOverlay('game-setup', false);
+  renderGame();
+  persistGame();
+  prefetchDeck(getDeckTrackUris());
+  showToast(`${game.currentPlayer.name} goes first!`, 'success', 2500);
+}
+
+/**
+ * Deal the next song from the draw pile and play it.
+ * Songs already played this session are passed over.
+ */
+async function handleDrawSong() {
+  const drawPile = getDrawPile();
+  if (!drawPile) return;
+
+  if (game?.hasPendingRound && !confirm('A song is still being guessed. Replace it with a new one?')) {
+    return;
+  }
+
+  const uri = drawPile.draw(trackUri => Boolean(playHistory.find(trackUri)));
+  renderDrawButton(drawPile);
+
+  if (!uri) {
+    showToast(`All ${drawPile.total} songs have been played - pick more decks for another round`, 'info', 4000);
+    return;
+  }
+  await handleScan(uri);
+}
+
+/**
+ * Show the album art from the cache when it's there, and cache it otherwise
+ * @param {Object} track - Track info
+ */
+async function showCachedAlbumArt(track) {
+  const src = await trackCache.getAlbumArtUrl(track.albumArt);
+  const showing = currentTrack || game?.currentRound?.track;
+
+  if (src && src !== track.albumArt && showing?.uri === track.uri) {
+    updateAlbumArt(src);
+  }
+  await trackCache.cacheAlbumArt(track.albumArt);
+}
+
+/**
+ * Make a game the running game and save it after every change
+ * @param {HitsterGame|RemoteGame} newGame
+ */
+function setGame(newGame) {
+  game = newGame;
+  game.onChange = () => {
+    renderGame();
+    persistGame();
+    publishDisplayState();
+    keepScreenOn(!game.isOver);
+  };
+  isChoosingChallenger = false;
+  challengerId = null;
+  keepScreenOn(!game.isOver);
+}
+
+/**
+ * Save a snapshot of the running game
+ */
+function persistGame() {
+  if (!game) return;
+
+  saveGame(game, { isYearRevealed }).catch((error) => {
+    console.warn('Failed to save game:', error);
+  });
+}
+
+/**
+ * Lock-screen controls, and a fresh camera stream when the page comes back
+ * from the background
+ */
+function setupBackgroundHandlers() {
+  setupMediaSession({
+    onPlay: () => {
+      if (player && !player.isPlaying) togglePlayback();
+    },
+    onPause: () => {
+      if (player?.isPlaying) togglePlayback();
+    },
+    onNextCard: handleNextCard
+  });
+
+  document.addEventListener('visibilitychange', async () => {
+    if (document.visibilityState !== 'visible' || !scanner?.running) return;
+
+    try {
+      await scanner.restart();
+      await refreshScannerControls();
+    } catch (error) {
+      console.error('Failed to restart scanner:', error);
+      showManualEntry(true);
+    }
+  });
+}
+
+/**
+ * Lock-screen "next": deal the next song in digital draw games, otherwise
+ * get the scanner ready for the next card
+ */
+function handleNextCard() {
+  if (getDrawPile()) {
+    handleDrawSong();
+  } else {
+    handleScanAnother();
+  }
+}
+
+/**
+ * Start publishing state to TV displays in other tabs/windows
+ */
+function setupDisplayPublisher() {
+  try {
+    displayPublisher = new DisplayPublisher(createBroadcastTransport());
+  } catch (error) {
+    console.warn('TV display unavailable:', error.message);
+  }
+}
+
+/**
+ * Send the current game and playback state to the lock screen and TV displays
+ */
+function publishDisplayState() {
+  updateMediaSession({
+    track: currentTrack,
+    revealed: isYearRevealed,
+    isPlaying: player?.isPlaying ?? false
+  });
+
+  if (!displayPublisher && !hasRoomDisplay()) return;
+
+  const state = {
+    game,
+    track: currentTrack,
+    revealed: isYearRevealed,
+    isPlaying: player?.isPlaying ?? false,
+    countdown: isYearRevealed ? null : roundTimer.toJSON()
+  };
+
+  displayPublisher?.publish(state);
+  publishRoomDisplay(state);
+}
+
+/**
+ * Open the TV display in a new window
+ */
+function openDisplayWindow() {
+  window.open('/display', 'hitster-display');
+  publishDisplayState();
+}
+
+/**
+ * Restore the player screen for a game resumed from storage
+ */
+function restoreGameView() {
+  renderGame();
+
+  if (game?.hasPendingRound) {
+    updateNowPlaying(game.currentRound.track, isYearRevealed);
+    showCachedAlbumArt(game.currentRound.track);
+    updateRevealButton(true, isYearRevealed);
+    showToast('Card in play - scan it again to replay the song', 'info', 3000);
+  }
+}
+
+/**
+ * Render scoreboard and timeline for the running game
+ */
+function renderGame() {
+  if (!game) {
+    showGamePanel(false);
+    return;
+  }
+
+  showGamePanel(true);
+  renderScoreboard(game);
+
+  const round = game.currentRound;
+  const owner = round ? game.getPlayer(round.playerId) : game.currentPlayer;
+  let caption;
+
+  if (game.isOver) {
+    caption = `${game.winner.name} wins the game!`;
+  } else if (challengerId) {
+    caption = `${game.getPlayer(challengerId).name} challenges ${owner.name}'s timeline`;
+  } else if (game.hasPendingRound && round.locked) {
+    caption = `⏰ Time's up: reveal ${owner.name}'s card`;
+  } else if (game.hasPendingRound) {
+    caption = round.position === null
+      ? `${owner.name}: tap where the song belongs`
+      : `${owner.name}: reveal when you're sure`;
+  } else {
+    caption = `${game.currentPlayer.name}'s turn: ${getDrawPile() ? 'draw a song' : 'scan a card'}`;
+  }
+
+  const markers = {};
+  round?.challenges.forEach(c => {
+    markers[c.position] = game.getPlayer(c.playerId).name;
+  });
+
+  renderTimeline(owner, {
+    selectedPosition: game.hasPendingRound ? round.position : null,
+    interactive: game.hasPendingRound && !round.locked,
+    caption,
+    markers
+  });
+
+  renderRoundActions(game, {
+    choosingChallenger: isChoosingChallenger,
+    challengerId,
+    buzzes: game instanceof RemoteGame ? getRoomClient()?.state?.buzzes || [] : []
+  });
+}
+
+/**
+ * Handle a tap on a timeline gap
+ * @param {number} position - Gap index
+ */
+async function handlePlaceCard(position) {
+  if (!game?.hasPendingRound) return;
+
+  try {
+    if (challengerId) {
+      const challenger = game.getPlayer(challengerId);
+      closeChallengePicker();
+      await game.challenge(challenger.id, position);
+      showToast(`${challenger.name} challenges!`, 'info', 2000);
+    } else {
+      await game.placeCard(position);
+    }
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+/**
+ * Open or close the challenger picker
+ */
+function toggleChallengePicker() {
+  if (isChoosingChallenger) {
+    closeChallengePicker();
+  } else {
+    isChoosingChallenger = true;
+    challengerId = null;
+  }
+  renderGame();
+}
+
+/**
+ * Leave challenge mode without re-rendering
+ */
+function closeChallengePicker() {
+  isChoosingChallenger = false;
+  challengerId = null;
+}
+
+/**
+ * Award the naming token to the round player, or to a player who buzzed in
+ * @param {string} [playerId] - Defaults to the round player
+ */
+async function handleSongNamed(playerId = null) {
+  try {
+    const playerName = game.getPlayer(playerId || game.currentRound.playerId).name;
+    const awarded = await game.awardNamingToken(playerId);
+    showToast(
+      awarded ? `🪙 ${playerName} named it - token earned!` : `${playerName} named it, but already has the maximum tokens`,
+      awarded ? 'success' : 'info',
+      2500
+    );
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+/**
+ * Spend a token to skip the current song
+ */
+async function handleSkipSong() {
+  try {
+    closeChallengePicker();
+    await game.skipSong();
+  } catch (error) {
+    showToast(error.message, 'error');
+    return;
+  }
+
+  if (player?.isPlaying) {
+    await player.pause().catch(() => {});
+  }
+
+  currentTrack = null;
+  roundTimer.stop();
+  updateNowPlaying(null);
+  updateRevealButton(false, false);
+  updateMoreTimeButton(false);
+  showScannerHideButton();
+  publishDisplayState();
+  showToast(`${game.currentPlayer.name} skips - scan another card`, 'info', 2500);
+}
+
+/**
+ * Spend tokens to keep the current card without guessing
+ */
+async function handleBuyCard() {
+  let result;
+  try {
+    closeChallengePicker();
+    result = await game.buyCard();
+  } catch (error) {
+    showToast(error.message, 'error');
+    return;
+  }
+
+  isYearRevealed = true;
+  revealSongInfo();
+  updateRevealButton(true, true);
+  player?.cancelSnippet();
+  roundTimer.stop();
+  updateMoreTimeButton(false);
+  publishDisplayState();
+
+  if (result.winner) {
+    showToast(`🏆 ${result.winner.name} wins with ${result.winner.timeline.length} cards!`, 'success', 6000);
+  } else {
+    showToast(`${result.player.name} buys the card`, 'success', 2500);
+  }
+}
+
+/**
+ * Judge the current round after the reveal
+ */
+async function resolveGameRound() {
+  closeChallengePicker();
+
+  const { track } = game.currentRound;
+  let result;
+  try {
+    result = await game.resolveRound(track.year);
+  } catch (error) {
+    showToast(error.message, 'error');
+    return;
+  }
+
+  const { correct, player: roundPlayer, stolenBy, winner } = result;
+
+  if (winner) {
+    showToast(`🏆 ${winner.name} wins with ${winner.timeline.length} cards!`, 'success', 6000);
+  } else if (stolenBy) {
+    showToast(`⚔️ ${stolenBy.name} steals the card from ${roundPlayer.name}!`, 'success', 3000);
+  } else if (result.timedOut) {
+    showToast(`⏰ ${roundPlayer.name} ran out of time - card discarded`, 'error', 3000);
+  } else if (correct === null) {
+    showToast('No release year for this track - card discarded', 'warning', 3000);
+  } else if (correct) {
+    showToast(`${roundPlayer.name} keeps the card!`, 'success', 2500);
+  } else {
+    showToast(`Wrong spot - ${roundPlayer.name} loses the card`, 'error', 2500);
+  }
 }
 
 /**
@@ -517,12 +1644,13 @@ async function handleChangeDevice() {
     player.destroy();
     player = null;
   }
+  roundTimer.stop();
 
   clearSavedDevice();
   selectedDevice = null;
   currentMode = null;
 
-  const token = getStoredToken();
+  const token = await getValidToken();
   if (token) {
     await showDeviceSelection(token);
   } else {
@@ -535,31 +1663,74 @@ async function handleChangeDevice() {
  * Handle a successful QR scan
  */
 async function handleScan(spotifyUri) {
-  console.log('Playing:', spotifyUri);
+  const activeDeck = getActiveDeck();
+  // Cards whose track was replaced in the deck play the replacement
+  const playUri = activeDeck?.trackReplacements?.[spotifyUri] || spotifyUri;
+  console.log('Playing:', playUri);
+
+  if (!confirmReplay(playUri)) {
+    showToast('Skipped - draw another card', 'info', 2000);
+    return;
+  }
 
   isYearRevealed = false;
+  snippetEnded = false;
 
   try {
     updateNowPlaying(null);
     showToast('Loading track...', 'info', 1500);
 
-    const track = await player.play(spotifyUri);
+    const snippet = SNIPPET_PRESETS[snippetPreset];
+    const track = applyDeckMetadata(await player.play(playUri, null, snippet), spotifyUri);
+    currentTrack = track;
+
+    // Only game rounds are timed, and only once the round has really started
+    if (game && !game.isOver) {
+      await game.startRound(track);
+      roundTimer.start(roundTimerSeconds * 1000);
+      // Autoplay can be blocked (e.g. preview clips without a tap): no clock until the music starts
+      syncRoundTimer(player.isPlaying);
+    } else {
+      roundTimer.stop();
+    }
+
+    playHistory.add(track, {
+      playedBy: game && !game.isOver ? game.currentPlayer.name : null,
+      gameId: game?.id || null
+    });
 
     updateNowPlaying(track, false);
-    updatePlayButton(true);
+    showCachedAlbumArt(track);
+    updatePlayButton(player.isPlaying);
     updateRevealButton(true, false);
+    updateMoreTimeButton(Boolean(snippet.maxDurationMs));
 
     // Hide scanner and show "Scan Another Code" button
     hideScannerShowButton();
 
-    showToast('Now playing!', 'success', 2000);
+    if (track.inDeck === false) {
+      showToast(`This card isn't in "${activeDeck.name}" - its year comes from Spotify`, 'warning', 4000);
+    } else {
+      showToast('Now playing!', 'success', 2000);
+    }
+    publishDisplayState();
 
   } catch (error) {
+    // A newer scan took over
+    if (error.name === 'AbortError') return;
+
     console.error('Playback error:', error);
-    showToast(error.message, 'error');
+    roundTimer.stop();
+    publishDisplayState();
 
-    if (error.message.includes('device') || error.message.includes('No active')) {
+    if (error instanceof NoActiveDeviceError) {
       showToast('Device unavailable - check Spotify is open', 'warning', 5000);
+    } else if (error instanceof RateLimitError) {
+      showToast(`Spotify is busy - try again in ${Math.ceil(error.retryAfterMs / 1000)}s`, 'warning', 5000);
+    } else if (error instanceof AuthError) {
+      handleSessionExpired();
+    } else {
+      showToast(error.message, 'error');
     }
   }
 }
@@ -573,26 +1744,124 @@ async function togglePlayback() {
   try {
     const isPlaying = await player.togglePlayback();
     updatePlayButton(isPlaying);
+    syncRoundTimer(isPlaying);
+    publishDisplayState();
   } catch (error) {
     console.error('Toggle playback error:', error);
     showToast(error.message, 'error');
   }
 }
 
+/**
+ * Snippet time limit reached (playback already paused)
+ */
+function handleSnippetEnd() {
+  // The snippet running out isn't a pause: players keep guessing. The engine's
+  // own pause events may still arrive after this, so syncRoundTimer ignores them.
+  snippetEnded = true;
+  roundTimer.resume();
+  updatePlayButton(false);
+  publishDisplayState();
+  showToast("⏱️ Time's up! Tap +10 s to hear more", 'info', 2500);
+}
+
+/**
+ * Play 10 more seconds of the current snippet
+ */
+async function handleMoreTime() {
+  if (!player || !currentTrack) return;
+
+  try {
+    await player.extendSnippet(SNIPPET_EXTENSION_MS);
+    updatePlayButton(player.isPlaying);
+    publishDisplayState();
+  } catch (error) {
+    console.error('Failed to extend snippet:', error);
+    showToast(error.message, 'error');
+  }
+}
+
+/**
+ * Keep the guessing clock in step with playback: it stands still while the song is paused
+ * @param {boolean} isPlaying
+ */
+function syncRoundTimer(isPlaying) {
+  if (isPlaying) {
+    snippetEnded = false;
+    roundTimer.resume();
+  } else if (!snippetEnded) {
+    roundTimer.pause();
+  }
+}
+
+/**
+ * Guessing time ran out: sound the alarm and freeze the round until the reveal
+ */
+async function handleRoundTimeUp() {
+  playTimeUpCue();
+  publishDisplayState();
+
+  if (!game?.hasPendingRound) {
+    showToast("⏰ Time's up!", 'warning', 3000);
+    return;
+  }
+
+  closeChallengePicker();
+  try {
+    await game.lockRound();
+  } catch (error) {
+    console.warn('Failed to lock round:', error);
+  }
+
+  const { position, playerId } = game.currentRound;
+  showToast(
+    position === null
+      ? `⏰ Time's up! ${game.getPlayer(playerId).name} didn't place the card`
+      : "⏰ Time's up! Reveal the card",
+    'warning',
+    3000
+  );
+}
+
 /**
  * Reveal song info
  */
-function handleReveal() {
+async function handleReveal() {
+  const round = game?.hasPendingRound ? game.currentRound : null;
+  if (round && round.position === null && !round.locked) {
+    showToast('Tap where the song belongs on the timeline first', 'warning');
+    return;
+  }
+
   isYearRevealed = true;
   revealSongInfo();
   updateRevealButton(true, true);
+  roundTimer.stop();
+
+  // The song is no secret any more - let it play out
+  player?.cancelSnippet();
+  updateMoreTimeButton(false);
+
+  if (game?.hasPendingRound) {
+    await resolveGameRound();
+  }
+
+  publishDisplayState();
 }
 
 // Initialize when DOM is ready
+// The /display route runs the TV view and /join the player phone view instead of the host app
+let boot = init;
+if (isDisplayRoute()) {
+  boot = startDisplay;
+} else if (isJoinRoute()) {
+  boot = startRoomPlayer;
+}
+
 if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', init);
+  document.addEventListener('DOMContentLoaded', boot);
 } else {
-  init();
+  boot();
 }
 
 // Export for debugging
@@ -601,6 +1870,16 @@ window.hitsterDebug = {
   getScanner: () => scanner,
   getSelectedDevice: () => selectedDevice,
   getCurrentMode: () => currentMode,
+  getGame: () => game,
+  getRoomClient,
+  getTrackCache: () => trackCache,
+  getPlayHistory: () => playHistory,
+  getActiveDeck,
+  getDrawPile,
+  prefetchDeck: (trackUris) => {
+    setDeckTrackUris(trackUris);
+    prefetchDeck(trackUris);
+  },
   clearSavedDevice,
   clearToken,
   login
@@ -0,0 +1,77 @@
+/**
+ * Media Session Module
+ *
+ * Lock-screen and headset controls: play/pause and "next" (the next card)
+ * work without unlocking the host phone. The lock screen only shows
+ * "Mystery song" until the card is revealed, so a glance at the phone
+ * doesn't give the answer away.
+ */
+
+const MYSTERY_METADATA = {
+  title: 'Mystery song',
+  artist: 'Hitster',
+  album: 'Guess the year'
+};
+
+/**
+ * Register the lock-screen controls
+ * @param {Object} handlers
+ * @param {function(): void} handlers.onPlay
+ * @param {function(): void} handlers.onPause
+ * @param {function(): void} handlers.onNextCard - Next track button: the next card
+ */
+export function setupMediaSession({ onPlay, onPause, onNextCard }) {
+  if (!('mediaSession' in navigator)) return;
+
+  const actions = {
+    play: onPlay,
+    pause: onPause,
+    nexttrack: onNextCard
+  };
+
+  for (const [action, handler] of Object.entries(actions)) {
+    try {
+      navigator.mediaSession.setActionHandler(action, () => handler());
+    } catch (error) {
+      // Action not supported by this browser
+      console.warn(`Media session action "${action}" unavailable:`, error.message);
+    }
+  }
+}
+
+/**
+ * Show the current song on the lock screen
+ * @param {Object} state
+ * @param {import('./playback-engine.js').TrackInfo|null} state.track - Current track
+ * @param {boolean} state.revealed - Whether the card has been revealed
+ * @param {boolean} state.isPlaying
+ */
+export function updateMediaSession({ track, revealed, isPlaying }) {
+  if (!('mediaSession' in navigator)) return;
+
+  const session = navigator.mediaSession;
+
+  if (!track) {
+    session.metadata = null;
+    session.playbackState = 'none';
+    return;
+  }
+
+  session.playbackState = isPlaying ? 'playing' : 'paused';
+
+  const details = revealed
+    ? {
+        title: track.name,
+        artist: track.artistString,
+        album: track.year ? `${track.album} (${track.year})` : track.album,
+        artwork: track.albumArt ? [{ src: track.albumArt }] : []
+      }
+    : MYSTERY_METADATA;
+
+  // Only replace the metadata when it changes, to keep the lock screen from flickering
+  const current = session.metadata;
+  if (current && current.title === details.title && current.artist === details.artist && current.album === details.album) {
+    return;
+  }
+  session.metadata = new MediaMetadata(details);
+}
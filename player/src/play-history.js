@@ -0,0 +1,130 @@
+/**
+ * Play History Module
+ *
+ * Remembers every track played this session (the browser tab), so cards
+ * that come round again can be spotted and the night's songs exported.
+ * Kept in sessionStorage: it survives reloads but not closing the tab.
+ */
+
+import { formatCsv } from './csv.js';
+
+const HISTORY_KEY = 'hitster_play_history';
+
+/**
+ * @typedef {Object} PlayedTrack
+ * @property {string} uri - Spotify track URI
+ * @property {string} name - Track title
+ * @property {string} artist - Artist names
+ * @property {number|null} year - Release year
+ * @property {string|null} albumArt - Small album art URL
+ * @property {number} playedAt - When it was played (ms since epoch)
+ * @property {string|null} playedBy - Player whose turn it was, if a game was running
+ * @property {string|null} gameId - Game it was played in
+ */
+
+export class PlayHistory {
+  constructor() {
+    this._entries = this._load();
+  }
+
+  /**
+   * Played tracks, oldest first
+   * @returns {PlayedTrack[]}
+   */
+  get entries() {
+    return [...this._entries];
+  }
+
+  /**
+   * Record a played track
+   * @param {import('./playback-engine.js').TrackInfo} track
+   * @param {Object} [options]
+   * @param {string|null} [options.playedBy] - Player whose turn it is
+   * @param {string|null} [options.gameId] - Running game
+   * @returns {PlayedTrack}
+   */
+  add(track, { playedBy = null, gameId = null } = {}) {
+    const entry = {
+      uri: track.uri,
+      name: track.name,
+      artist: track.artistString,
+      year: track.year ?? null,
+      albumArt: track.albumArtSmall || track.albumArt || null,
+      playedAt: Date.now(),
+      playedBy,
+      gameId
+    };
+
+    this._entries.push(entry);
+    this._save();
+    return entry;
+  }
+
+  /**
+   * Most recent play of a track
+   * @param {string} uri - Spotify track URI
+   * @returns {PlayedTrack|null}
+   */
+  find(uri) {
+    for (let i = this._entries.length - 1; i >= 0; i--) {
+      if (this._entries[i].uri === uri) {
+        return this._entries[i];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Forget everything played this session
+   */
+  clear() {
+    this._entries = [];
+    this._save();
+  }
+
+  /**
+   * Export as CSV (title,artist,year,spotify_url,played_at,played_by).
+   * Song titles and player names can't turn into spreadsheet formulas.
+   * @returns {string}
+   */
+  toCsv() {
+    const rows = this._entries.map(entry => [
+      entry.name,
+      entry.artist,
+      entry.year ?? '',
+      `https://open.spotify.com/track/${entry.uri.split(':')[2]}`,
+      new Date(entry.playedAt).toISOString(),
+      entry.playedBy || ''
+    ]);
+
+    return formatCsv(
+      [['title', 'artist', 'year', 'spotify_url', 'played_at', 'played_by'], ...rows],
+      { escapeFormulas: true }
+    );
+  }
+
+  /**
+   * @private
+   * @returns {PlayedTrack[]}
+   */
+  _load() {
+    try {
+      const saved = JSON.parse(sessionStorage.getItem(HISTORY_KEY));
+      return Array.isArray(saved) ? saved : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * @private
+   */
+  _save() {
+    try {
+      sessionStorage.setItem(HISTORY_KEY, JSON.stringify(this._entries));
+    } catch (error) {
+      // Storage full or disabled: the history still works until a reload
+      console.warn('Could not save play history:', error);
+    }
+  }
+}
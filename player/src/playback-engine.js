@@ -4,8 +4,12 @@
  * Strategy pattern: Different engines handle playback differently
  * - SDKPlayer: Spotify Web Playback SDK (Premium required)
  * - ExternalDevicePlayer: Spotify Connect devices (Premium required)
+ * - PreviewPlayer: 30-second preview clips (no Premium required)
  */
 
+import { SpotifyApiClient } from './spotify-api.js';
+import { TrackCache } from './track-cache.js';
+
 /**
  * @typedef {Object} TrackInfo
  * @property {string} id - Spotify track ID
@@ -21,6 +25,15 @@
  * @property {string|null} previewUrl - 30-second preview URL
  */
 
+/**
+ * @typedef {Object} PlayOptions
+ * @property {number|'random'|null} [startPositionMs] - Start offset in ms, or 'random' for a point in the middle of the track
+ * @property {number|null} [maxDurationMs] - Pause automatically after this much playback (snippet mode)
+ */
+
+/** Share of the track skipped at each end when picking a random start */
+const RANDOM_START_MARGIN = 0.25;
+
 /**
  * Base class for playback engines
  * @abstract
@@ -35,6 +48,13 @@ export class PlaybackEngine {
     this._onTrackEnd = null;
     this._onError = null;
     this._onStateChange = null;
+    this._onSnippetEnd = null;
+    this._snippet = null;
+    this._token = null;
+    this._getTokenCallback = null;
+    this._playAbort = null;
+    this._api = new SpotifyApiClient({ getToken: () => this._getAccessToken() });
+    this._trackCache = new TrackCache({ api: this._api });
   }
 
   /**
@@ -86,13 +106,36 @@ export class PlaybackEngine {
   }
 
   /**
-   * Set callback for state changes (play/pause)
-   * @param {Function} callback - Receives {isPlaying: boolean}
+   * Set callback for state changes (play/pause, and seeks where the engine can detect them)
+   * @param {Function} callback - Receives {isPlaying: boolean, positionMs?: number, seeked?: boolean}
    */
   set onStateChange(callback) {
     this._onStateChange = callback;
   }
 
+  /**
+   * Set callback for when a snippet reaches its time limit and playback auto-pauses
+   * @param {Function} callback - Receives {track: TrackInfo|null, playedMs: number}
+   */
+  set onSnippetEnd(callback) {
+    this._onSnippetEnd = callback;
+  }
+
+  /**
+   * Time left in the current snippet
+   * @returns {{limitMs: number, playedMs: number, remainingMs: number}|null} Null when no limit is active
+   */
+  get snippet() {
+    if (!this._snippet) return null;
+
+    const playedMs = this._getSnippetPlayedMs();
+    return {
+      limitMs: this._snippet.limitMs,
+      playedMs,
+      remainingMs: Math.max(0, this._snippet.limitMs - playedMs)
+    };
+  }
+
   /**
    * Initialize the engine
    * @param {Object} options - Engine-specific options
@@ -106,9 +149,10 @@ export class PlaybackEngine {
    * Play a track
    * @param {string} trackUri - Spotify track URI
    * @param {TrackInfo} [trackInfo] - Optional pre-fetched track info
+   * @param {PlayOptions} [options] - Start offset and snippet length
    * @returns {Promise<TrackInfo>} Track info
    */
-  async play(trackUri, trackInfo = null) {
+  async play(trackUri, trackInfo = null, options = {}) {
     throw new Error('Subclass must implement play()');
   }
 
@@ -141,6 +185,35 @@ export class PlaybackEngine {
     return this._isPlaying;
   }
 
+  /**
+   * Let the current track play for longer ("play 10 more seconds").
+   * Resumes playback if the snippet already ended.
+   * @param {number} extraMs - Extra playback time
+   * @returns {Promise<void>}
+   */
+  async extendSnippet(extraMs) {
+    if (this._snippet) {
+      this._snippet.limitMs += extraMs;
+      this._scheduleSnippetEnd();
+    } else {
+      this._startSnippet(extraMs);
+    }
+
+    if (!this._isPlaying) {
+      await this.resume();
+    }
+  }
+
+  /**
+   * Remove the time limit so the track plays out (e.g. after the reveal)
+   */
+  cancelSnippet() {
+    if (this._snippet) {
+      clearTimeout(this._snippet.timer);
+      this._snippet = null;
+    }
+  }
+
   /**
    * Set playback volume
    * @param {number} percent - Volume level (0-100)
@@ -154,17 +227,166 @@ export class PlaybackEngine {
    * Clean up resources
    */
   destroy() {
+    this._playAbort?.abort();
+    this._playAbort = null;
+    this.cancelSnippet();
     this._isPlaying = false;
     this._currentTrack = null;
   }
 
+  /**
+   * Get a valid access token for API requests.
+   * Asks the token provider passed to initialize() first, so engines never
+   * need to know how (or whether) the token was refreshed.
+   * @protected
+   * @returns {Promise<string|null>}
+   */
+  async _getAccessToken() {
+    if (this._getTokenCallback) {
+      try {
+        const freshToken = await this._getTokenCallback();
+        if (freshToken) {
+          this._token = freshToken;
+        }
+      } catch (error) {
+        console.warn('Failed to get fresh token:', error);
+      }
+    }
+    return this._token;
+  }
+
+  /**
+   * Look up track info, from the track cache when possible
+   * @protected
+   * @param {string} trackId - Spotify track ID
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<TrackInfo>}
+   */
+  _lookupTrack(trackId, signal) {
+    return this._trackCache.getTrack(trackId, { signal });
+  }
+
+  /**
+   * Cancel the API requests of a play() call that is still running and
+   * return the signal for a new one, so a quick second scan wins
+   * @protected
+   * @returns {AbortSignal}
+   */
+  _beginPlayRequest() {
+    this._playAbort?.abort();
+    this._playAbort = new AbortController();
+    return this._playAbort.signal;
+  }
+
+  /**
+   * Pick the start offset for a play() call
+   * @protected
+   * @param {number|'random'|null} startPositionMs - PlayOptions.startPositionMs
+   * @param {number|null} durationMs - Length of the audio, if known
+   * @param {number|null} [maxDurationMs] - Snippet length, kept inside the track when random
+   * @returns {number} Offset in ms
+   */
+  _resolveStartPosition(startPositionMs, durationMs, maxDurationMs = null) {
+    if (startPositionMs === 'random') {
+      if (!durationMs) return 0;
+      const earliest = durationMs * RANDOM_START_MARGIN;
+      const latest = Math.max(earliest, durationMs * (1 - RANDOM_START_MARGIN) - (maxDurationMs || 0));
+      return Math.round(earliest + Math.random() * (latest - earliest));
+    }
+
+    const offset = Math.max(0, Number(startPositionMs) || 0);
+    return durationMs ? Math.min(offset, durationMs) : offset;
+  }
+
+  /**
+   * Start the snippet clock for a freshly started track.
+   * Only time spent playing counts; the clock follows _emitStateChange().
+   * @protected
+   * @param {number|null} maxDurationMs - Limit, or null for no limit
+   */
+  _startSnippet(maxDurationMs) {
+    this.cancelSnippet();
+    if (!maxDurationMs) return;
+
+    this._snippet = {
+      limitMs: maxDurationMs,
+      playedMs: 0,
+      runningSince: this._isPlaying ? Date.now() : null,
+      timer: null
+    };
+    this._scheduleSnippetEnd();
+  }
+
+  /**
+   * Playback time used by the current snippet
+   * @private
+   */
+  _getSnippetPlayedMs() {
+    const { playedMs, runningSince } = this._snippet;
+    return playedMs + (runningSince ? Date.now() - runningSince : 0);
+  }
+
+  /**
+   * Pause the snippet clock on pause, restart it on play
+   * @private
+   */
+  _updateSnippetClock() {
+    const snippet = this._snippet;
+    if (!snippet) return;
+
+    if (this._isPlaying && !snippet.runningSince) {
+      snippet.runningSince = Date.now();
+    } else if (!this._isPlaying && snippet.runningSince) {
+      snippet.playedMs += Date.now() - snippet.runningSince;
+      snippet.runningSince = null;
+    }
+    this._scheduleSnippetEnd();
+  }
+
+  /**
+   * (Re)arm the timer that ends the snippet
+   * @private
+   */
+  _scheduleSnippetEnd() {
+    const snippet = this._snippet;
+    clearTimeout(snippet.timer);
+    snippet.timer = null;
+
+    if (!snippet.runningSince) return;
+
+    const remainingMs = Math.max(0, snippet.limitMs - this._getSnippetPlayedMs());
+    snippet.timer = setTimeout(() => this._endSnippet(), remainingMs);
+  }
+
+  /**
+   * Time's up: pause and tell listeners
+   * @private
+   */
+  async _endSnippet() {
+    const playedMs = this._getSnippetPlayedMs();
+    this.cancelSnippet();
+
+    try {
+      await this.pause();
+    } catch (error) {
+      this._emitError(error);
+      return;
+    }
+
+    if (this._onSnippetEnd) {
+      this._onSnippetEnd({ track: this._currentTrack, playedMs });
+    }
+  }
+
   /**
    * Emit state change event
    * @protected
+   * @param {Object} [details] - Extra fields for listeners (e.g. positionMs)
    */
-  _emitStateChange() {
+  _emitStateChange(details = {}) {
+    this._updateSnippetClock();
     if (this._onStateChange) {
-      this._onStateChange({ isPlaying: this._isPlaying });
+      this._onStateChange({ isPlaying: this._isPlaying, ...details });
     }
   }
 
@@ -4,14 +4,16 @@
  * Strategy pattern factory for different playback implementations:
  * - 'sdk': Spotify Web Playback SDK (Premium required, plays in browser)
  * - 'external': Spotify Connect external devices (Premium required)
+ * - 'preview': 30-second preview clips in the browser (no Premium required)
  */
 
 import { SDKPlayer } from './sdk-player.js';
 import { ExternalDevicePlayer } from './external-device-player.js';
+import { PreviewPlayer } from './preview-player.js';
 
 /**
  * Valid playback modes
- * @typedef {'sdk' | 'external'} PlaybackMode
+ * @typedef {'sdk' | 'external' | 'preview'} PlaybackMode
  */
 
 /**
@@ -31,6 +33,9 @@ export class PlayerFactory {
       case 'external':
         return new ExternalDevicePlayer();
 
+      case 'preview':
+        return new PreviewPlayer();
+
       default:
         throw new Error(`Unknown playback mode: ${mode}`);
     }
@@ -47,6 +52,8 @@ export class PlayerFactory {
         return 'Full tracks in this browser';
       case 'external':
         return 'Full tracks on external device';
+      case 'preview':
+        return '30-second previews in this browser';
       default:
         return 'Unknown mode';
     }
@@ -57,11 +64,12 @@ export class PlayerFactory {
    * @returns {PlaybackMode[]}
    */
   static getModes() {
-    return ['sdk', 'external'];
+    return ['sdk', 'external', 'preview'];
   }
 }
 
 // Re-export player classes for direct use
 export { SDKPlayer } from './sdk-player.js';
 export { ExternalDevicePlayer } from './external-device-player.js';
+export { PreviewPlayer } from './preview-player.js';
 export { PlaybackEngine } from './playback-engine.js';
@@ -0,0 +1,92 @@
+/**
+ * Playlist Import Module
+ *
+ * Reads a Spotify playlist into deck songs with the logged-in user's token,
+ * the in-browser version of the card generator's `import` command.
+ */
+
+import { SpotifyApiError, extractYear } from './spotify-api.js';
+
+// Maximum page size of the playlist items endpoint
+const PAGE_SIZE = 100;
+
+// Only the fields the deck needs
+const ITEM_FIELDS = 'total,items(track(id,type,is_local,name,artists(name),album(release_date),external_urls))';
+
+/**
+ * Extract the playlist ID from a playlist link, URI or bare ID
+ * @param {string} value
+ * @returns {string|null}
+ */
+export function extractPlaylistId(value) {
+  const text = String(value || '').trim();
+
+  if (/^[a-zA-Z0-9]{22}$/.test(text)) {
+    return text;
+  }
+  if (text.startsWith('spotify:playlist:')) {
+    return text.split(':')[2] || null;
+  }
+  return text.match(/spotify\.com\/(?:intl-[a-z-]+\/)?playlist\/([a-zA-Z0-9]+)/i)?.[1] || null;
+}
+
+/**
+ * Fetch a playlist's name and all of its songs
+ * @param {import('./spotify-api.js').SpotifyApiClient} api
+ * @param {string} playlistUrl - Playlist link, URI or ID
+ * @param {Object} [options]
+ * @param {function(number, number): void} [options.onProgress] - Called with (fetched, total) after each page
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{id: string, name: string, songs: import('./deck.js').DeckSong[], skipped: number}>}
+ *   skipped counts local files and podcast episodes, which can't be cards
+ */
+export async function fetchPlaylist(api, playlistUrl, { onProgress = null, signal } = {}) {
+  const id = extractPlaylistId(playlistUrl);
+  if (!id) {
+    throw new Error("That doesn't look like a Spotify playlist link.");
+  }
+
+  let playlist;
+  try {
+    playlist = await api.get(`/playlists/${id}`, { query: { fields: 'name,tracks.total' }, signal });
+  } catch (error) {
+    if (error instanceof SpotifyApiError && error.status === 404) {
+      throw new Error("Playlist not found. It may be private, or one of Spotify's own playlists, which apps can't read.");
+    }
+    throw error;
+  }
+
+  const songs = [];
+  let skipped = 0;
+  let total = playlist.tracks?.total ?? 0;
+
+  for (let offset = 0; offset === 0 || offset < total; offset += PAGE_SIZE) {
+    const page = await api.get(`/playlists/${id}/tracks`, {
+      query: { offset, limit: PAGE_SIZE, fields: ITEM_FIELDS },
+      signal
+    });
+    total = page.total;
+
+    for (const item of page.items) {
+      const track = item.track;
+      const url = track?.external_urls?.spotify;
+
+      if (!track || track.is_local || track.type !== 'track' || !url) {
+        skipped++;
+        continue;
+      }
+
+      songs.push({
+        title: track.name,
+        artist: track.artists.map(a => a.name).join(', '),
+        year: extractYear(track.album?.release_date) || null,
+        spotify_url: url
+      });
+    }
+
+    onProgress?.(Math.min(offset + PAGE_SIZE, total), total);
+    if (page.items.length === 0) break;
+  }
+
+  return { id, name: playlist.name, songs, skipped };
+}
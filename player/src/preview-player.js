@@ -0,0 +1,238 @@
+/**
+ * PreviewPlayer - 30-second preview clips via HTMLAudioElement
+ *
+ * Plays the track's preview_url in this browser.
+ * Works with free Spotify accounts (no Premium required).
+ */
+
+import { PlaybackEngine } from './playback-engine.js';
+import { AuthError } from './spotify-api.js';
+
+// How long to wait for a clip's length before giving up on the start offset
+const METADATA_TIMEOUT_MS = 10000;
+
+export class PreviewPlayer extends PlaybackEngine {
+  constructor() {
+    super();
+    this._audio = null;
+    this._volume = 50;
+    this._handlers = null;
+  }
+
+  // Preview URLs are looked up through the Web API, so a token is needed
+  // for any song that isn't already in the track cache
+  get requiresAuth() {
+    return true;
+  }
+
+  get type() {
+    return 'preview';
+  }
+
+  /**
+   * Initialize the preview player
+   * @param {Object} options
+   * @param {string} [options.token] - Spotify access token (used to look up preview URLs)
+   * @param {Function} [options.getToken] - Callback returning a valid token before each request
+   * @param {number} [options.volume=50] - Initial volume (0-100)
+   */
+  async initialize(options = {}) {
+    const { token = null, getToken, volume = 50 } = options;
+
+    this._token = token;
+    this._getTokenCallback = getToken || null;
+    this._volume = volume;
+
+    this._audio = new Audio();
+    this._audio.preload = 'auto';
+    this._audio.volume = this._volume / 100;
+
+    // Keep our state in sync with the element, including pauses from
+    // outside the app (headphone buttons, lock screen controls)
+    this._handlers = {
+      play: () => this._setPlaying(true),
+      pause: () => this._setPlaying(false),
+      ended: () => {
+        this._setPlaying(false);
+        this._emitTrackEnd();
+      },
+      error: () => {
+        if (!this._audio?.getAttribute('src')) return;
+        console.error('Preview audio error:', this._audio.error);
+        this._emitError(new Error('Preview failed to load.'));
+      }
+    };
+
+    Object.entries(this._handlers).forEach(([event, handler]) => {
+      this._audio.addEventListener(event, handler);
+    });
+
+    console.log('PreviewPlayer initialized');
+  }
+
+  /**
+   * Play a track's 30-second preview.
+   * Start offsets apply within the clip, not the full track.
+   * @param {string} trackUri - Spotify track URI
+   * @param {Object} [trackInfo] - Optional pre-fetched track info with previewUrl
+   * @param {import('./playback-engine.js').PlayOptions} [options] - Start offset and snippet length
+   */
+  async play(trackUri, trackInfo = null, options = {}) {
+    const { startPositionMs = null, maxDurationMs = null } = options;
+
+    if (!this._audio) {
+      throw new Error('Preview player not initialized');
+    }
+
+    const trackId = trackUri.split(':')[2];
+    const signal = this._beginPlayRequest();
+    const info = trackInfo?.previewUrl ? trackInfo : await this._fetchTrackInfo(trackId, signal);
+    this._currentTrack = info;
+
+    this._audio.pause();
+
+    if (!info.previewUrl) {
+      // Still return the track so the card can be revealed
+      this._audio.removeAttribute('src');
+      this._audio.load();
+      this._setPlaying(false);
+      this._emitError(new Error('No preview available for this song. Play it another way, then reveal.'));
+      return info;
+    }
+
+    this._audio.src = info.previewUrl;
+    this._audio.currentTime = 0;
+
+    // play() is called straight away so it still counts as part of the tap
+    // that started it - the offset is applied once the clip's length is known
+    if (startPositionMs !== null) {
+      this._seekWhenReady(signal, startPositionMs, maxDurationMs);
+    }
+
+    this._startSnippet(maxDurationMs);
+
+    try {
+      await this._audio.play();
+    } catch (error) {
+      // Browsers block audio that wasn't started from a tap
+      if (error.name === 'NotAllowedError') {
+        this._setPlaying(false);
+        this._emitError(new Error('Tap play to start the preview.'));
+        return info;
+      }
+      throw new Error(`Preview playback failed: ${error.message}`);
+    }
+
+    return info;
+  }
+
+  /**
+   * Seek to the start offset as soon as the clip's duration is known.
+   * Gives up if another clip is loaded first or the metadata never arrives,
+   * so a late event can't move a newer clip.
+   * @private
+   * @param {AbortSignal} signal - The play request this seek belongs to
+   * @param {number|'random'} startPositionMs
+   * @param {number|null} maxDurationMs
+   */
+  _seekWhenReady(signal, startPositionMs, maxDurationMs) {
+    const audio = this._audio;
+    const seek = () => {
+      const durationMs = Number.isFinite(audio.duration) ? audio.duration * 1000 : null;
+      audio.currentTime = this._resolveStartPosition(startPositionMs, durationMs, maxDurationMs) / 1000;
+    };
+
+    if (audio.readyState >= HTMLMediaElement.HAVE_METADATA) {
+      seek();
+      return;
+    }
+
+    const cleanup = () => {
+      clearTimeout(timeout);
+      audio.removeEventListener('loadedmetadata', handleMetadata);
+      signal.removeEventListener('abort', cleanup);
+    };
+    const handleMetadata = () => {
+      cleanup();
+      if (!signal.aborted && this._audio === audio) {
+        seek();
+      }
+    };
+    const timeout = setTimeout(cleanup, METADATA_TIMEOUT_MS);
+
+    audio.addEventListener('loadedmetadata', handleMetadata);
+    signal.addEventListener('abort', cleanup);
+  }
+
+  /**
+   * Look up track info (cached tracks work without logging in)
+   * @private
+   */
+  async _fetchTrackInfo(trackId, signal) {
+    try {
+      return await this._lookupTrack(trackId, signal);
+    } catch (error) {
+      if (error instanceof AuthError && !await this._getAccessToken()) {
+        throw new AuthError('Log in to Spotify to look up preview clips.');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update playing state and notify listeners on change
+   * @private
+   */
+  _setPlaying(isPlaying) {
+    if (this._isPlaying === isPlaying) return;
+    this._isPlaying = isPlaying;
+    this._emitStateChange();
+  }
+
+  async pause() {
+    if (this._audio) {
+      this._audio.pause();
+    }
+  }
+
+  async resume() {
+    if (!this._audio?.getAttribute('src')) return;
+
+    // Restart a finished preview from the beginning
+    if (this._audio.ended) {
+      this._audio.currentTime = 0;
+    }
+    await this._audio.play();
+  }
+
+  async togglePlayback() {
+    if (this._isPlaying) {
+      await this.pause();
+    } else {
+      await this.resume();
+    }
+    // The element's play/pause events update _isPlaying
+    return !this._audio.paused;
+  }
+
+  async setVolume(percent) {
+    this._volume = Math.max(0, Math.min(100, percent));
+    if (this._audio) {
+      this._audio.volume = this._volume / 100;
+    }
+  }
+
+  destroy() {
+    if (this._audio) {
+      this._audio.pause();
+      Object.entries(this._handlers).forEach(([event, handler]) => {
+        this._audio.removeEventListener(event, handler);
+      });
+      this._audio.removeAttribute('src');
+      this._audio.load();
+      this._audio = null;
+      this._handlers = null;
+    }
+    super.destroy();
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * Print Dialog Module
+ *
+ * Overlay for downloading a deck's printable cards: choose the paper size,
+ * QR style and how the printer flips pages, then the PDF is generated in the
+ * browser (see card-pdf.js).
+ * The choices are remembered for next time.
+ */
+
+import { generateCardsPdf, getCardGrid } from './card-pdf.js';
+import { deckFileName, songTrackUri } from './deck.js';
+import { showOverlay, showToast, downloadFile, setLoading } from './ui.js';
+
+const PRINT_OPTIONS_KEY = 'hitster_print_options';
+
+let deck = null;
+let handlersReady = false;
+let generating = false;
+
+/**
+ * Open the print dialog for a deck
+ * @param {import('./deck.js').Deck} printDeck
+ */
+export function openPrintDialog(printDeck) {
+  deck = printDeck;
+
+  if (!handlersReady) {
+    setupHandlers();
+    handlersReady = true;
+  }
+
+  const { pageSize, qrStyle, duplex } = getStoredOptions();
+  document.getElementById('print-page-size').value = pageSize;
+  document.getElementById('print-qr-style').value = qrStyle;
+  document.getElementById('print-duplex').value = duplex;
+  document.getElementById('print-deck-name').textContent = deck.name;
+  renderSummary();
+
+  showOverlay('print-overlay', true);
+}
+
+function setupHandlers() {
+  document.getElementById('print-page-size').addEventListener('change', renderSummary);
+  document.getElementById('download-pdf-btn').addEventListener('click', handleDownload);
+  document.getElementById('close-print-btn').addEventListener('click', () => showOverlay('print-overlay', false));
+}
+
+/**
+ * Show how many cards and sheets the PDF will have
+ */
+function renderSummary() {
+  const { cols, rows } = getCardGrid(document.getElementById('print-page-size').value);
+  // Songs without a Spotify link get no card
+  const cards = deck.songs.filter(song => songTrackUri(song)).length;
+  const sheets = Math.ceil(cards / (cols * rows));
+  document.getElementById('print-status').textContent =
+    `${cards} cards, ${cols * rows} per page - ${sheets} sheets printed on both sides.`;
+}
+
+/**
+ * Generate the PDF and download it
+ */
+async function handleDownload() {
+  if (generating) return;
+
+  const options = {
+    pageSize: document.getElementById('print-page-size').value,
+    qrStyle: document.getElementById('print-qr-style').value,
+    duplex: document.getElementById('print-duplex').value
+  };
+  localStorage.setItem(PRINT_OPTIONS_KEY, JSON.stringify(options));
+
+  const downloadBtn = document.getElementById('download-pdf-btn');
+  const status = document.getElementById('print-status');
+  generating = true;
+  setLoading(downloadBtn, true);
+  status.textContent = 'Preparing cards...';
+
+  try {
+    const pdf = await generateCardsPdf(deck, {
+      ...options,
+      onProgress: (done, total) => {
+        status.textContent = `Drawing sheets... ${done} / ${total}`;
+      }
+    });
+
+    downloadFile(`${deckFileName(deck.name)}-cards.pdf`, pdf, 'application/pdf');
+    renderSummary();
+  } catch (error) {
+    console.error('Card PDF failed:', error);
+    status.textContent = '';
+    showToast(`Couldn't create the PDF: ${error.message}`, 'error', 5000);
+  } finally {
+    generating = false;
+    setLoading(downloadBtn, false);
+  }
+}
+
+/**
+ * @returns {{pageSize: 'a4'|'letter', qrStyle: 'inverted'|'normal', duplex: 'long'|'short'}}
+ */
+function getStoredOptions() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PRINT_OPTIONS_KEY)) || {};
+    return {
+      pageSize: saved.pageSize === 'letter' ? 'letter' : 'a4',
+      qrStyle: saved.qrStyle === 'normal' ? 'normal' : 'inverted',
+      duplex: saved.duplex === 'short' ? 'short' : 'long'
+    };
+  } catch {
+    return { pageSize: 'a4', qrStyle: 'inverted', duplex: 'long' };
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * QR Decode Module
+ *
+ * Decodes a single camera frame or photo. Shared by the decoding worker, the
+ * main-thread fallback for browsers without module workers or OffscreenCanvas,
+ * and photo uploads.
+ *
+ * The native BarcodeDetector is tried first: it's fast and runs off the
+ * JavaScript thread. jsQR with attemptBoth covers what it misses, including
+ * inverted (white on dark) cards.
+ */
+
+import jsQR from 'jsqr';
+
+let detectorPromise = null;
+let canvas = null;
+let canvasCtx = null;
+
+/**
+ * @typedef {Object} DecodeResult
+ * @property {string} data - Decoded text
+ * @property {'native'|'jsqr'} decoder - Which decoder found it
+ */
+
+/**
+ * Get a native QR detector, if this browser has one
+ * @returns {Promise<BarcodeDetector|null>}
+ */
+function getBarcodeDetector() {
+  if (!detectorPromise) {
+    detectorPromise = (async () => {
+      if (typeof BarcodeDetector === 'undefined') return null;
+
+      try {
+        const formats = await BarcodeDetector.getSupportedFormats();
+        return formats.includes('qr_code') ? new BarcodeDetector({ formats: ['qr_code'] }) : null;
+      } catch {
+        return null;
+      }
+    })();
+  }
+  return detectorPromise;
+}
+
+/**
+ * Read the pixels of an image through a reused canvas
+ * @param {ImageBitmap} image
+ * @returns {ImageData}
+ */
+function readPixels(image) {
+  const { width, height } = image;
+
+  if (!canvas) {
+    canvas = typeof OffscreenCanvas !== 'undefined'
+      ? new OffscreenCanvas(width, height)
+      : document.createElement('canvas');
+    canvasCtx = canvas.getContext('2d', { willReadFrequently: true });
+  }
+
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+
+  canvasCtx.drawImage(image, 0, 0);
+  return canvasCtx.getImageData(0, 0, width, height);
+}
+
+/**
+ * Decode a QR code from an image
+ * @param {ImageBitmap} image - Camera frame (already cropped to the scan box) or photo
+ * @param {Object} [options]
+ * @param {boolean} [options.fallback=true] - Run jsQR when the native detector finds nothing
+ *   (always runs without a native detector)
+ * @returns {Promise<DecodeResult|null>}
+ */
+export async function decodeImage(image, { fallback = true } = {}) {
+  const detector = await getBarcodeDetector();
+
+  if (detector) {
+    try {
+      const codes = await detector.detect(image);
+      if (codes.length > 0) {
+        return { data: codes[0].rawValue, decoder: 'native' };
+      }
+    } catch {
+      // Fall through to jsQR
+    }
+
+    if (!fallback) return null;
+  }
+
+  const { data, width, height } = readPixels(image);
+  const code = jsQR(data, width, height, { inversionAttempts: 'attemptBoth' });
+  return code?.data ? { data: code.data, decoder: 'jsqr' } : null;
+}
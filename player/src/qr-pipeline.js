@@ -0,0 +1,235 @@
+/**
+ * QR Decode Pipeline
+ *
+ * Feeds camera frames to the QR decoding worker without blocking the UI:
+ * - Only the scan box (plus a margin) is grabbed, as an ImageBitmap that is
+ *   transferred to the worker instead of copied
+ * - One frame is in flight at a time, and the gap between frames grows with
+ *   the measured decode time, so slow phones scan less often instead of janking
+ * - With a native BarcodeDetector, jsQR only runs on some frames (to catch
+ *   inverted cards the native detector misses)
+ * - Nothing is decoded while the page is hidden
+ *
+ * Browsers without module workers or OffscreenCanvas decode on the main
+ * thread with the same code and pacing.
+ */
+
+import { decodeImage } from './qr-decode.js';
+
+// Frame pacing: the gap is this multiple of the average decode time, within bounds
+const DECODE_LOAD_FACTOR = 2;
+const MIN_FRAME_GAP_MS = 60;
+const MAX_FRAME_GAP_MS = 500;
+
+// Check again this often while the video isn't ready or the page is hidden
+const IDLE_GAP_MS = 300;
+
+// Grab a bit more than the scan box so codes at its edge still decode
+const REGION_MARGIN = 1.2;
+
+// Frames are scaled down to at most this size before decoding
+const MAX_FRAME_SIZE = 640;
+
+// With a native detector, run jsQR on every Nth frame
+const JSQR_FALLBACK_EVERY = 3;
+
+// Weight of the newest measurement in the average decode time
+const DECODE_TIME_SMOOTHING = 0.2;
+
+export class QRDecodePipeline {
+  /**
+   * @param {HTMLVideoElement} video - Camera preview
+   * @param {Object} options
+   * @param {number} options.regionSize - Scan box size in CSS pixels (html5-qrcode's qrbox)
+   * @param {function(string): void} options.onDecode - Called with the text of each decoded frame
+   */
+  constructor(video, { regionSize, onDecode }) {
+    this._video = video;
+    this._regionSize = regionSize;
+    this._onDecode = onDecode;
+
+    this._running = false;
+    this._timer = null;
+    this._worker = null;
+    this._pending = new Map();
+    this._nextId = 0;
+    this._frameCount = 0;
+    this._decodeMs = null;
+  }
+
+  /**
+   * Whether frames can be grabbed as ImageBitmaps at all
+   * @returns {boolean}
+   */
+  static get isSupported() {
+    return typeof createImageBitmap === 'function';
+  }
+
+  /**
+   * Whether frames are decoded in a worker (false: main-thread fallback)
+   * @returns {boolean}
+   */
+  get usesWorker() {
+    return Boolean(this._worker);
+  }
+
+  /**
+   * Average time to grab and decode a frame
+   * @returns {number|null} Milliseconds, null before the first frame
+   */
+  get averageDecodeMs() {
+    return this._decodeMs;
+  }
+
+  /**
+   * Start decoding frames
+   */
+  start() {
+    if (this._running) return;
+
+    this._running = true;
+    this._worker = this._createWorker();
+    this._schedule(0);
+  }
+
+  /**
+   * Stop decoding and shut down the worker
+   */
+  stop() {
+    this._running = false;
+    clearTimeout(this._timer);
+    this._timer = null;
+
+    this._worker?.terminate();
+    this._worker = null;
+    this._pending.forEach(resolve => resolve(null));
+    this._pending.clear();
+  }
+
+  /**
+   * @private
+   * @returns {Worker|null}
+   */
+  _createWorker() {
+    if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') {
+      return null;
+    }
+
+    try {
+      const worker = new Worker(new URL('./qr-worker.js', import.meta.url), { type: 'module' });
+
+      worker.onmessage = (event) => {
+        const { id, result } = event.data;
+        this._pending.get(id)?.(result);
+        this._pending.delete(id);
+      };
+
+      // Module workers can fail to load (old browsers, strict CSP): decode here instead
+      worker.onerror = (event) => {
+        console.warn('QR worker failed, decoding on the main thread:', event.message);
+        event.preventDefault?.();
+        worker.terminate();
+        if (this._worker === worker) {
+          this._worker = null;
+        }
+        this._pending.forEach(resolve => resolve(null));
+        this._pending.clear();
+      };
+
+      return worker;
+    } catch (error) {
+      console.warn('QR worker unavailable, decoding on the main thread:', error);
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _schedule(delay) {
+    clearTimeout(this._timer);
+    this._timer = this._running ? setTimeout(() => this._tick(), delay) : null;
+  }
+
+  /**
+   * Grab and decode one frame, then schedule the next
+   * @private
+   */
+  async _tick() {
+    this._timer = null;
+
+    const video = this._video;
+    if (document.hidden || video.readyState < 2 || !video.videoWidth) {
+      this._schedule(IDLE_GAP_MS);
+      return;
+    }
+
+    const startedAt = performance.now();
+    let result = null;
+
+    try {
+      const image = await this._grabFrame();
+      const fallback = this._frameCount % JSQR_FALLBACK_EVERY === 0;
+      this._frameCount++;
+      result = await this._decode(image, { fallback });
+    } catch (error) {
+      // The video can end or resize mid-grab; try again next frame
+    }
+
+    if (!this._running) return;
+
+    const elapsed = performance.now() - startedAt;
+    this._decodeMs = this._decodeMs === null
+      ? elapsed
+      : this._decodeMs + (elapsed - this._decodeMs) * DECODE_TIME_SMOOTHING;
+
+    if (result) {
+      this._onDecode(result.data);
+    }
+
+    const gap = this._decodeMs * DECODE_LOAD_FACTOR;
+    this._schedule(Math.min(MAX_FRAME_GAP_MS, Math.max(MIN_FRAME_GAP_MS, gap)));
+  }
+
+  /**
+   * Grab the scan box region of the current video frame
+   * @private
+   * @returns {Promise<ImageBitmap>}
+   */
+  _grabFrame() {
+    const { videoWidth, videoHeight, clientWidth } = this._video;
+
+    // The preview is scaled to the element's width; map the box to video pixels
+    const scale = clientWidth ? videoWidth / clientWidth : 1;
+    const size = Math.round(Math.min(this._regionSize * scale * REGION_MARGIN, videoWidth, videoHeight));
+    const x = Math.round((videoWidth - size) / 2);
+    const y = Math.round((videoHeight - size) / 2);
+    const outputSize = Math.min(size, MAX_FRAME_SIZE);
+
+    return createImageBitmap(this._video, x, y, size, size, {
+      resizeWidth: outputSize,
+      resizeHeight: outputSize
+    });
+  }
+
+  /**
+   * Decode a frame in the worker, or here without one
+   * @private
+   * @returns {Promise<import('./qr-decode.js').DecodeResult|null>}
+   */
+  async _decode(image, options) {
+    if (!this._worker) {
+      try {
+        return await decodeImage(image, options);
+      } finally {
+        image.close();
+      }
+    }
+
+    const id = ++this._nextId;
+    return new Promise((resolve) => {
+      this._pending.set(id, resolve);
+      this._worker.postMessage({ id, image, options }, [image]);
+    });
+  }
+}
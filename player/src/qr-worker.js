@@ -0,0 +1,26 @@
+/**
+ * QR Decode Worker
+ *
+ * Decodes camera frames off the main thread. Receives cropped frames as
+ * transferred ImageBitmaps and answers each with its decode result.
+ *
+ * Message in:  { id, image: ImageBitmap, options }
+ * Message out: { id, result: DecodeResult|null }
+ */
+
+import { decodeImage } from './qr-decode.js';
+
+self.onmessage = async (event) => {
+  const { id, image, options } = event.data;
+  let result = null;
+
+  try {
+    result = await decodeImage(image, options);
+  } catch (error) {
+    console.warn('QR worker decode failed:', error);
+  } finally {
+    image.close();
+  }
+
+  self.postMessage({ id, result });
+};
@@ -0,0 +1,58 @@
+/**
+ * Random Module
+ *
+ * Seeded random numbers: the same seed always gives the same sequence, so a
+ * shuffled deck can be dealt again after a reload and a printed card always
+ * gets the same pattern.
+ */
+
+/**
+ * Random number generator (mulberry32)
+ * @param {number} seed - 32-bit integer
+ * @returns {function(): number} Returns numbers in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random integer between min and max (inclusive)
+ * @param {function(): number} random - From createRandom()
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+export function randomInt(random, min, max) {
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+/**
+ * A new seed, different every time
+ * @returns {number}
+ */
+export function createSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Shuffle a copy of a list (Fisher-Yates)
+ * @template T
+ * @param {T[]} items
+ * @param {function(): number} random - From createRandom()
+ * @returns {T[]}
+ */
+export function shuffle(items, random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
@@ -0,0 +1,629 @@
+/**
+ * Room Client Module
+ *
+ * Connects the host device, player phones and TV displays to the room server
+ * (see server/index.js) for multi-phone games on the local network.
+ *
+ * - RoomClient: one WebSocket connection with automatic reconnection. The
+ *   session is saved in localStorage so a reload or a locked phone resumes
+ *   the same seat in the room.
+ * - RemoteGame: the host's view of the server-owned game. It mirrors the
+ *   HitsterGame API, so the host UI drives a room game exactly like a local
+ *   one; actions return promises that settle once the server applied them.
+ * - 'room' display transport: /display?transport=room&room=CODE follows a
+ *   room game from any device on the network.
+ */
+
+import { HitsterGame } from './game.js';
+import { registerDisplayTransport } from './display-channel.js';
+
+const SESSION_KEY_PREFIX = 'hitster_room_session_';
+
+// Reconnect backoff: doubles from the base delay up to the maximum
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 10000;
+
+// Errors that mean the saved session can't be resumed
+const FATAL_ERROR_CODES = ['room_not_found', 'session_expired'];
+
+/**
+ * @typedef {Object} RoomSession
+ * @property {string} room - Room code
+ * @property {string} sessionId - Secret used to resume the seat
+ * @property {'host'|'player'|'display'} role
+ * @property {string|null} playerId - Game player controlled by this device
+ */
+
+/**
+ * WebSocket URL of the room server.
+ * Defaults to /ws on the same host (proxied by nginx or the Vite dev server).
+ * @returns {string}
+ */
+export function getRoomServerUrl() {
+  if (import.meta.env.VITE_ROOM_SERVER_URL) {
+    return import.meta.env.VITE_ROOM_SERVER_URL;
+  }
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+  return `${protocol}//${window.location.host}/ws`;
+}
+
+/**
+ * Link players open to join a room (encoded in the room QR code)
+ * @param {string} roomCode
+ * @returns {string}
+ */
+export function getJoinUrl(roomCode) {
+  return `${window.location.origin}/join?room=${encodeURIComponent(roomCode)}`;
+}
+
+/**
+ * Link for a TV display following a room
+ * @param {string} roomCode
+ * @returns {string}
+ */
+export function getRoomDisplayUrl(roomCode) {
+  return `${window.location.origin}/display?transport=room&room=${encodeURIComponent(roomCode)}`;
+}
+
+export class RoomClient {
+  /**
+   * @param {Object} options
+   * @param {'host'|'player'|'display'} options.role
+   * @param {string} [options.url] - Room server WebSocket URL
+   */
+  constructor({ role, url = getRoomServerUrl() }) {
+    this._role = role;
+    this._url = url;
+    this._socket = null;
+    this._session = null;
+    this._handshake = null;
+    this._pendingJoin = null;
+    this._pendingRequests = new Map();
+    this._nextRequestId = 1;
+    this._retryCount = 0;
+    this._retryTimer = null;
+    this._closedByUser = false;
+    this._status = 'idle';
+    this._state = null;
+    this._displayListeners = new Set();
+
+    // Callbacks
+    this._onState = null;
+    this._onEvent = null;
+    this._onStatusChange = null;
+
+    this._handleOnline = () => {
+      if (this._status === 'reconnecting') {
+        this._reconnectNow();
+      }
+    };
+  }
+
+  /**
+   * Session saved by a previous page load for this role
+   * @param {'host'|'player'|'display'} role
+   * @returns {RoomSession|null}
+   */
+  static getSavedSession(role) {
+    try {
+      return JSON.parse(localStorage.getItem(SESSION_KEY_PREFIX + role));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Room code, once joined
+   * @returns {string|null}
+   */
+  get roomCode() {
+    return this._session?.room || null;
+  }
+
+  /**
+   * Game player controlled by this device
+   * @returns {string|null}
+   */
+  get playerId() {
+    return this._state?.playerId ?? this._session?.playerId ?? null;
+  }
+
+  /**
+   * Connection status
+   * @returns {'idle'|'connecting'|'connected'|'reconnecting'|'closed'}
+   */
+  get status() {
+    return this._status;
+  }
+
+  /**
+   * Last state received from the server
+   * @returns {Object|null}
+   */
+  get state() {
+    return this._state;
+  }
+
+  /**
+   * Set callback for state updates
+   * @param {function(Object): void} callback
+   */
+  set onState(callback) {
+    this._onState = callback;
+  }
+
+  /**
+   * Set callback for room events (e.g. buzzes)
+   * @param {function(Object): void} callback
+   */
+  set onEvent(callback) {
+    this._onEvent = callback;
+  }
+
+  /**
+   * Set callback for connection status changes
+   * @param {function(string): void} callback
+   */
+  set onStatusChange(callback) {
+    this._onStatusChange = callback;
+  }
+
+  /**
+   * Open a new room as its host
+   * @returns {Promise<RoomSession>}
+   */
+  create() {
+    return this._connect({ type: 'create' });
+  }
+
+  /**
+   * Join a room
+   * @param {string} roomCode
+   * @param {string} [name] - Player name (not needed for displays)
+   * @returns {Promise<RoomSession>}
+   */
+  join(roomCode, name = '') {
+    return this._connect({ type: 'join', room: roomCode, name, role: this._role });
+  }
+
+  /**
+   * Reconnect to a seat from an earlier session
+   * @param {RoomSession} session
+   * @returns {Promise<RoomSession>}
+   */
+  resume(session) {
+    return this._connect({ type: 'resume', room: session.room, sessionId: session.sessionId });
+  }
+
+  /**
+   * Send a command and wait for the server to apply it
+   * @param {string} type - Command type
+   * @param {Object} [payload]
+   * @returns {Promise<*>} Command result
+   */
+  request(type, payload = {}) {
+    if (this._status !== 'connected') {
+      return Promise.reject(new Error('Not connected to the room'));
+    }
+
+    const requestId = String(this._nextRequestId++);
+    return new Promise((resolve, reject) => {
+      this._pendingRequests.set(requestId, { resolve, reject });
+      this._socket.send(JSON.stringify({ ...payload, type, requestId }));
+    });
+  }
+
+  /**
+   * Send a command without waiting for the result (dropped while disconnected)
+   * @param {string} type
+   * @param {Object} [payload]
+   */
+  send(type, payload = {}) {
+    if (this._status === 'connected') {
+      this._socket.send(JSON.stringify({ ...payload, type }));
+    }
+  }
+
+  /**
+   * Display transport over this connection. The host publishes display
+   * state through it; a display receives that state and can ask for it.
+   * @returns {import('./display-channel.js').DisplayTransport}
+   */
+  createDisplayTransport() {
+    return {
+      send: (message) => {
+        if (this._role === 'host') {
+          this.send('display', { payload: message });
+        } else if (message?.type === 'hello') {
+          this.send('display_hello');
+        }
+      },
+      subscribe: (listener) => {
+        this._displayListeners.add(listener);
+        return () => this._displayListeners.delete(listener);
+      },
+      close: () => {
+        this._displayListeners.clear();
+      }
+    };
+  }
+
+  /**
+   * Leave the room: close the connection and forget the session
+   */
+  leave() {
+    this._closedByUser = true;
+    clearTimeout(this._retryTimer);
+    window.removeEventListener('online', this._handleOnline);
+    localStorage.removeItem(SESSION_KEY_PREFIX + this._role);
+    this._session = null;
+    this._state = null;
+
+    if (this._socket) {
+      this._socket.close(1000, 'Left the room');
+      this._socket = null;
+    }
+    this._setStatus('closed');
+  }
+
+  /**
+   * Connect and send a handshake; resolves once the server has seated us
+   * @private
+   */
+  _connect(handshake) {
+    if (this._socket) {
+      return Promise.reject(new Error('Already connected to a room'));
+    }
+
+    this._handshake = handshake;
+    this._closedByUser = false;
+    window.addEventListener('online', this._handleOnline);
+
+    return new Promise((resolve, reject) => {
+      this._pendingJoin = { resolve, reject };
+      this._setStatus('connecting');
+      this._open();
+    });
+  }
+
+  /**
+   * Open the WebSocket and send the current handshake
+   * @private
+   */
+  _open() {
+    const socket = new WebSocket(this._url);
+    this._socket = socket;
+
+    socket.onopen = () => {
+      socket.send(JSON.stringify(this._handshake));
+    };
+
+    socket.onmessage = (event) => {
+      try {
+        this._handleMessage(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Bad message from room server:', error);
+      }
+    };
+
+    socket.onclose = (event) => this._handleClose(socket, event);
+  }
+
+  /**
+   * @private
+   */
+  _handleMessage(message) {
+    switch (message.type) {
+      case 'joined':
+        this._handleJoined(message);
+        break;
+
+      case 'state':
+        this._state = message;
+        if (this._onState) {
+          this._onState(message);
+        }
+        break;
+
+      case 'event':
+        if (this._onEvent) {
+          this._onEvent(message.event);
+        }
+        break;
+
+      case 'display':
+        this._displayListeners.forEach(listener => listener(message.payload));
+        break;
+
+      case 'result':
+        this._handleResult(message);
+        break;
+    }
+  }
+
+  /**
+   * Seated in the room: remember the session so reconnects resume it
+   * @private
+   */
+  _handleJoined(message) {
+    this._session = {
+      room: message.room,
+      sessionId: message.sessionId,
+      role: message.role,
+      playerId: message.playerId
+    };
+    this._handshake = { type: 'resume', room: message.room, sessionId: message.sessionId };
+    this._retryCount = 0;
+    localStorage.setItem(SESSION_KEY_PREFIX + this._role, JSON.stringify(this._session));
+
+    this._setStatus('connected');
+
+    if (this._pendingJoin) {
+      this._pendingJoin.resolve(this._session);
+      this._pendingJoin = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _handleResult(message) {
+    const pending = this._pendingRequests.get(message.requestId);
+
+    if (pending) {
+      this._pendingRequests.delete(message.requestId);
+      if (message.ok) {
+        pending.resolve(message.result);
+      } else {
+        pending.reject(new Error(message.error));
+      }
+      return;
+    }
+
+    // A failed result before we're seated means the handshake was refused
+    if (!message.ok && this._status !== 'connected') {
+      this._failHandshake(message.error, message.code);
+    }
+  }
+
+  /**
+   * Give up on joining: the room or the seat no longer exists
+   * @private
+   */
+  _failHandshake(reason, code) {
+    const error = new Error(reason);
+    error.code = code;
+
+    if (FATAL_ERROR_CODES.includes(code)) {
+      localStorage.removeItem(SESSION_KEY_PREFIX + this._role);
+      this._session = null;
+    }
+
+    if (this._pendingJoin) {
+      this._pendingJoin.reject(error);
+      this._pendingJoin = null;
+    }
+
+    this._closedByUser = true;
+    this._socket?.close(1000, 'Handshake refused');
+    this._socket = null;
+    this._setStatus('closed');
+  }
+
+  /**
+   * Connection lost: fail pending requests and reconnect if we had a seat
+   * @private
+   */
+  _handleClose(socket, event) {
+    if (socket !== this._socket) return;
+    this._socket = null;
+
+    this._pendingRequests.forEach(({ reject }) => reject(new Error('Connection to the room was lost')));
+    this._pendingRequests.clear();
+
+    // 4000: the same session connected from somewhere else
+    if (this._closedByUser || event.code === 4000) {
+      this._setStatus('closed');
+      return;
+    }
+
+    if (!this._session) {
+      // Never got seated - report it instead of retrying forever
+      if (this._pendingJoin) {
+        this._pendingJoin.reject(new Error("Can't reach the room server"));
+        this._pendingJoin = null;
+      }
+      this._setStatus('closed');
+      return;
+    }
+
+    this._setStatus('reconnecting');
+    const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** this._retryCount);
+    this._retryCount++;
+    this._retryTimer = setTimeout(() => this._open(), delay);
+  }
+
+  /**
+   * Skip the backoff wait (e.g. the network just came back)
+   * @private
+   */
+  _reconnectNow() {
+    clearTimeout(this._retryTimer);
+    if (!this._socket) {
+      this._open();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _setStatus(status) {
+    if (this._status === status) return;
+    this._status = status;
+    if (this._onStatusChange) {
+      this._onStatusChange(status);
+    }
+  }
+}
+
+/**
+ * The host's handle on a game owned by the room server.
+ * Reads come from the latest snapshot; actions are sent to the server and
+ * resolve with the same results HitsterGame returns.
+ */
+export class RemoteGame {
+  /**
+   * @param {RoomClient} client - Host connection
+   * @param {Object} snapshot - HitsterGame.toJSON() from the server
+   */
+  constructor(client, snapshot) {
+    this._client = client;
+    this._game = HitsterGame.fromJSON(snapshot);
+    this._onChange = null;
+  }
+
+  /**
+   * Replace the local copy with a newer snapshot from the server
+   * @param {Object} snapshot
+   */
+  update(snapshot) {
+    this._game = HitsterGame.fromJSON(snapshot);
+    if (this._onChange) {
+      this._onChange(this);
+    }
+  }
+
+  /** Room code this game is played in */
+  get roomCode() {
+    return this._client.roomCode;
+  }
+
+  get id() {
+    return this._game.id;
+  }
+
+  get createdAt() {
+    return this._game.createdAt;
+  }
+
+  get players() {
+    return this._game.players;
+  }
+
+  get currentPlayer() {
+    return this._game.currentPlayer;
+  }
+
+  get currentRound() {
+    return this._game.currentRound;
+  }
+
+  get hasPendingRound() {
+    return this._game.hasPendingRound;
+  }
+
+  get targetCards() {
+    return this._game.targetCards;
+  }
+
+  get winner() {
+    return this._game.winner;
+  }
+
+  get isOver() {
+    return this._game.isOver;
+  }
+
+  get rounds() {
+    return this._game.rounds;
+  }
+
+  get log() {
+    return this._game.log;
+  }
+
+  /**
+   * Set callback for state changes (fired for every server update)
+   * @param {function(RemoteGame): void} callback
+   */
+  set onChange(callback) {
+    this._onChange = callback;
+  }
+
+  getPlayer(playerId) {
+    return this._game.getPlayer(playerId);
+  }
+
+  getEligibleChallengers() {
+    return this._game.getEligibleChallengers();
+  }
+
+  startRound(track) {
+    return this._client.request('start_round', { track });
+  }
+
+  placeCard(position) {
+    return this._client.request('place', { position });
+  }
+
+  awardNamingToken(playerId = null) {
+    return this._client.request('award_named', { playerId });
+  }
+
+  skipSong() {
+    return this._client.request('skip');
+  }
+
+  buyCard() {
+    return this._client.request('buy');
+  }
+
+  challenge(playerId, position) {
+    return this._client.request('challenge', { playerId, position });
+  }
+
+  lockRound() {
+    return this._client.request('lock');
+  }
+
+  /**
+   * The server judges with the year of the track it was given for the round
+   */
+  resolveRound() {
+    return this._client.request('resolve');
+  }
+
+  toJSON() {
+    return this._game.toJSON();
+  }
+}
+
+/**
+ * Display transport that follows a room game from any device
+ * @param {Object} options
+ * @param {string} options.room - Room code
+ * @param {string} [options.url] - Room server WebSocket URL
+ * @returns {import('./display-channel.js').DisplayTransport}
+ */
+export function createRoomDisplayTransport({ room, url }) {
+  if (!room) {
+    throw new Error('No room code given - open the link from the host');
+  }
+
+  const client = new RoomClient({ role: 'display', url });
+  const transport = client.createDisplayTransport();
+
+  client.join(room).catch((error) => {
+    console.error('Display failed to join room:', error);
+  });
+
+  return {
+    ...transport,
+    close: () => {
+      transport.close();
+      client.leave();
+    }
+  };
+}
+
+registerDisplayTransport('room', createRoomDisplayTransport);
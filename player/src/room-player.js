@@ -0,0 +1,414 @@
+/**
+ * Room Player Module
+ *
+ * Player phone view served at /join. Players join the host's room by
+ * scanning the room QR code (or typing the code), then use their phone to
+ * place cards in their own timeline, buzz in to name the song and spend
+ * tokens. The room server owns the game; this view only sends commands and
+ * renders the public state it receives.
+ */
+
+import { RoomClient } from './room-client.js';
+import { TOKEN_COSTS } from './game.js';
+import { showScreen, showToast, escapeHtml, renderTimeline } from './ui.js';
+
+const NAME_KEY = 'hitster_player_name';
+
+let client = null;
+let lastState = null;
+let isChallenging = false;
+
+/**
+ * Check if the app was opened on the join route
+ * @returns {boolean}
+ */
+export function isJoinRoute() {
+  return window.location.pathname.replace(/\/+$/, '') === '/join';
+}
+
+/**
+ * Start the player phone view.
+ * A saved session for the same room is resumed; otherwise the join form is shown.
+ */
+export async function startRoomPlayer() {
+  const params = new URLSearchParams(window.location.search);
+  const roomCode = (params.get('room') || '').toUpperCase();
+  const saved = RoomClient.getSavedSession('player');
+
+  setupJoinHandlers(roomCode);
+  setupControllerHandlers();
+
+  if (saved && (!roomCode || saved.room === roomCode)) {
+    client = createClient();
+    try {
+      await client.resume(saved);
+      showScreen('controller-screen');
+      return;
+    } catch (error) {
+      console.warn('Could not resume room session:', error);
+      client = null;
+    }
+  }
+
+  showScreen('join-screen');
+}
+
+/**
+ * Create a player connection with handlers wired up
+ * @returns {RoomClient}
+ */
+function createClient() {
+  const roomClient = new RoomClient({ role: 'player' });
+
+  roomClient.onState = (state) => {
+    const wasMyTurn = isMyRound(lastState);
+    lastState = state;
+
+    // Challenge mode ends once the round moves on or the challenge is in
+    if (!canChallenge(state)) {
+      isChallenging = false;
+    }
+    if (isMyRound(state) && !wasMyTurn) {
+      navigator.vibrate?.(200);
+    }
+
+    render(state);
+  };
+
+  roomClient.onEvent = (event) => {
+    if (event.type === 'buzz' && event.order === 1) {
+      const name = lastState?.game?.players.find(p => p.id === event.playerId)?.name;
+      if (name) {
+        showToast(`🔔 ${name} buzzed first!`, 'info', 2000);
+      }
+    }
+  };
+
+  roomClient.onStatusChange = (status) => {
+    setStatus(status);
+
+    if (status === 'closed' && client === roomClient && lastState) {
+      showToast('Disconnected from the room', 'warning', 4000);
+      lastState = null;
+      client = null;
+      showScreen('join-screen');
+    }
+  };
+
+  return roomClient;
+}
+
+/**
+ * Set up the join form
+ * @param {string} roomCode - Code from the scanned link, if any
+ */
+function setupJoinHandlers(roomCode) {
+  const roomInput = document.getElementById('join-room-input');
+  const nameInput = document.getElementById('join-name-input');
+  const joinBtn = document.getElementById('join-btn');
+
+  roomInput.value = roomCode;
+  nameInput.value = localStorage.getItem(NAME_KEY) || '';
+
+  joinBtn.addEventListener('click', async () => {
+    const code = roomInput.value.trim().toUpperCase();
+    const name = nameInput.value.trim();
+
+    if (!code || !name) {
+      showToast('Enter the room code and your name', 'warning');
+      return;
+    }
+
+    localStorage.setItem(NAME_KEY, name);
+    joinBtn.disabled = true;
+    client = createClient();
+
+    try {
+      await client.join(code, name);
+      showScreen('controller-screen');
+    } catch (error) {
+      client = null;
+      showToast(error.message, 'error');
+    } finally {
+      joinBtn.disabled = false;
+    }
+  });
+}
+
+/**
+ * Set up the in-game controls
+ */
+function setupControllerHandlers() {
+  document.getElementById('controller-timeline').addEventListener('click', (e) => {
+    const gap = e.target.closest('.timeline-gap');
+    if (gap && !gap.disabled) {
+      handleGapTap(parseInt(gap.dataset.position, 10));
+    }
+  });
+
+  document.getElementById('buzz-btn').addEventListener('click', () => {
+    sendCommand('buzz');
+    navigator.vibrate?.(50);
+  });
+
+  document.getElementById('controller-challenge-btn').addEventListener('click', () => {
+    isChallenging = !isChallenging;
+    render(lastState);
+  });
+
+  document.getElementById('controller-skip-btn').addEventListener('click', () => sendCommand('skip'));
+  document.getElementById('controller-buy-btn').addEventListener('click', () => sendCommand('buy'));
+
+  document.getElementById('leave-room-btn').addEventListener('click', () => {
+    if (!confirm('Leave the room? You can join again with the room code.')) return;
+    const leaving = client;
+    client = null;
+    lastState = null;
+    leaving?.leave();
+    showScreen('join-screen');
+  });
+}
+
+/**
+ * Place the card, or pick a spot when challenging
+ * @param {number} position
+ */
+function handleGapTap(position) {
+  if (isChallenging) {
+    isChallenging = false;
+    sendCommand('challenge', { position });
+  } else if (isMyRound(lastState)) {
+    sendCommand('place', { position });
+  }
+}
+
+/**
+ * Send a command to the room and report failures
+ * @param {string} type
+ * @param {Object} [payload]
+ */
+async function sendCommand(type, payload = {}) {
+  if (!client) return;
+
+  try {
+    await client.request(type, payload);
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+/**
+ * Whether a round is waiting on this player's placement
+ * @param {Object|null} state
+ * @returns {boolean}
+ */
+function isMyRound(state) {
+  const round = state?.game?.round;
+  return Boolean(round && !round.resolved && state.playerId && round.playerId === state.playerId);
+}
+
+/**
+ * Whether this player can challenge the current placement
+ * @param {Object} state
+ * @returns {boolean}
+ */
+function canChallenge(state) {
+  const round = state.game?.round;
+  const me = state.game?.players.find(p => p.id === state.playerId);
+
+  return Boolean(
+    me && round && !round.resolved && !round.locked &&
+    round.playerId !== me.id &&
+    round.position !== null &&
+    me.tokens >= TOKEN_COSTS.challenge &&
+    !round.challenges.some(c => c.playerId === me.id)
+  );
+}
+
+/**
+ * Render the controller for a state snapshot
+ * @param {Object|null} state
+ */
+function render(state) {
+  if (!state) return;
+
+  document.getElementById('controller-room-code').textContent = state.room.code;
+
+  const { game } = state;
+  const waitingEl = document.getElementById('controller-waiting');
+  const gameEl = document.getElementById('controller-game');
+
+  waitingEl.hidden = Boolean(game);
+  gameEl.hidden = !game;
+
+  if (!game) {
+    renderLobby(state.room);
+    return;
+  }
+
+  renderScores(game, state.playerId);
+  renderCard(state.card);
+  renderPlayerTimeline(state);
+  renderActions(state);
+}
+
+/**
+ * Show who has joined while waiting for the host to start
+ * @param {Object} room
+ */
+function renderLobby(room) {
+  const players = room.participants.filter(p => p.role === 'player');
+
+  document.getElementById('controller-lobby').innerHTML = players.map(p => `
+    <li class="${p.connected ? '' : 'offline'}">${escapeHtml(p.name)}</li>
+  `).join('');
+}
+
+/**
+ * Render the compact scoreboard
+ * @param {Object} game - Public game view
+ * @param {string|null} myId
+ */
+function renderScores(game, myId) {
+  document.getElementById('controller-scoreboard').innerHTML = game.players.map(p => {
+    const classes = [
+      'score-chip',
+      !game.winnerId && p.id === game.currentPlayerId ? 'turn' : '',
+      p.id === game.winnerId ? 'winner' : '',
+      p.id === myId ? 'me' : ''
+    ].join(' ');
+
+    return `
+      <div class="${classes}">
+        <span class="score-name">${escapeHtml(p.name)}</span>
+        <span class="score-count">${p.timeline.length}/${game.targetCards}</span>
+        <span class="score-tokens" title="Tokens">🪙${p.tokens}</span>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Render the card in play (a mystery until the host reveals it)
+ * @param {Object|null} card
+ */
+function renderCard(card) {
+  const cardEl = document.getElementById('controller-card');
+
+  if (!card) {
+    cardEl.hidden = true;
+    return;
+  }
+
+  cardEl.hidden = false;
+  cardEl.classList.toggle('revealed', card.revealed);
+  cardEl.innerHTML = card.revealed
+    ? `
+      <span class="timeline-card-year">${card.year ?? '????'}</span>
+      <span class="timeline-card-title">${escapeHtml(card.name)}</span>
+      <span class="timeline-card-artist">${escapeHtml(card.artistString)}</span>
+    `
+    : '<span class="controller-card-mystery">?</span>';
+}
+
+/**
+ * Render the timeline that matters right now: the round player's during a
+ * round, otherwise this player's own
+ * @param {Object} state
+ */
+function renderPlayerTimeline(state) {
+  const { game, playerId } = state;
+  const round = game.round;
+  const pending = round && !round.resolved;
+  const me = game.players.find(p => p.id === playerId);
+  const owner = pending ? game.players.find(p => p.id === round.playerId) : (me || game.players[0]);
+  const myRound = isMyRound(state);
+  const winner = game.players.find(p => p.id === game.winnerId);
+  let caption;
+
+  if (winner) {
+    caption = winner.id === playerId ? '🏆 You win!' : `🏆 ${winner.name} wins!`;
+  } else if (!me) {
+    caption = "You're watching - the host didn't deal you in";
+  } else if (pending && round.locked) {
+    caption = "⏰ Time's up - waiting for the reveal";
+  } else if (myRound) {
+    caption = round.position === null
+      ? 'Your turn: tap where the song belongs'
+      : 'Placed! Tap another spot to move it';
+  } else if (pending) {
+    caption = isChallenging
+      ? `Tap the spot in ${owner.name}'s timeline you think is right`
+      : `${owner.name} is placing the card`;
+  } else if (game.currentPlayerId === playerId) {
+    caption = "You're up next - the host scans your card";
+  } else {
+    const next = game.players.find(p => p.id === game.currentPlayerId);
+    caption = `${next.name}'s turn next`;
+  }
+
+  const markers = {};
+  if (pending) {
+    round.challenges.forEach(c => {
+      markers[c.position] = game.players.find(p => p.id === c.playerId)?.name || '?';
+    });
+  }
+
+  renderTimeline(owner, {
+    selectedPosition: pending ? round.position : null,
+    interactive: Boolean(pending && !round.locked && (myRound || isChallenging)),
+    caption,
+    markers,
+    elementId: 'controller-timeline',
+    captionId: 'controller-caption'
+  });
+}
+
+/**
+ * Enable the buttons this player can use right now
+ * @param {Object} state
+ */
+function renderActions(state) {
+  const { game, playerId, buzzes } = state;
+  const round = game.round;
+  const pending = Boolean(round && !round.resolved);
+  const open = pending && !round.locked;
+  const me = game.players.find(p => p.id === playerId);
+  const myRound = isMyRound(state);
+  const hasBuzzed = buzzes.some(b => b.playerId === playerId);
+
+  const buzzBtn = document.getElementById('buzz-btn');
+  buzzBtn.disabled = !me || !open || hasBuzzed;
+  buzzBtn.textContent = hasBuzzed ? `🔔 Buzzed #${buzzes.findIndex(b => b.playerId === playerId) + 1}` : '🔔 Buzz';
+
+  const challengeBtn = document.getElementById('controller-challenge-btn');
+  challengeBtn.hidden = !pending || myRound || !me;
+  challengeBtn.disabled = !canChallenge(state) && !isChallenging;
+  challengeBtn.classList.toggle('active', isChallenging);
+
+  const skipBtn = document.getElementById('controller-skip-btn');
+  const buyBtn = document.getElementById('controller-buy-btn');
+  skipBtn.hidden = !myRound;
+  buyBtn.hidden = !myRound;
+  skipBtn.disabled = !me || !open || me.tokens < TOKEN_COSTS.skip;
+  buyBtn.disabled = !me || !open || me.tokens < TOKEN_COSTS.buy;
+}
+
+/**
+ * Show the connection status in the header
+ * @param {string} status
+ */
+function setStatus(status) {
+  const statusEl = document.getElementById('controller-status');
+  if (!statusEl) return;
+
+  const labels = {
+    connecting: 'Connecting…',
+    connected: 'Connected',
+    reconnecting: 'Reconnecting…',
+    closed: 'Offline'
+  };
+
+  statusEl.textContent = labels[status] || '';
+  statusEl.dataset.status = status;
+}
@@ -0,0 +1,218 @@
+/**
+ * Round Timer Module
+ *
+ * Guessing clock for a turn. It runs while the song plays, stands still
+ * while playback is paused, and fires once when time is up. The remaining
+ * time is always worked out from timestamps, never by counting ticks, so it
+ * stays right when a locked screen or a background tab holds back timers.
+ */
+
+// How often listeners are told the time while running
+const TICK_MS = 250;
+
+// Vibration pattern when time is up (ms on, off, on)
+const TIME_UP_VIBRATION = [200, 100, 200];
+
+/** Guessing time used until the host picks one */
+export const DEFAULT_ROUND_TIMER_SECONDS = 30;
+
+/**
+ * @typedef {Object} RoundTimerState
+ * @property {number} durationMs - Full guessing time
+ * @property {number} remainingMs - Time left when the state was taken
+ * @property {boolean} running - Whether the clock is counting down
+ */
+
+let audioContext = null;
+
+export class RoundTimer {
+  /**
+   * @param {Object} [options]
+   * @param {function(RoundTimerState): void} [options.onTick] - Called while running and on every change
+   * @param {function(): void} [options.onExpire] - Called once when time is up
+   */
+  constructor({ onTick = null, onExpire = null } = {}) {
+    this._onTick = onTick;
+    this._onExpire = onExpire;
+    this._durationMs = 0;
+    this._elapsedMs = 0;
+    this._runningSince = null;
+    this._expired = false;
+    this._interval = null;
+
+    this._handleVisibilityChange = () => this._tick();
+  }
+
+  /** Whether a round is being timed (running, paused or expired) */
+  get isActive() {
+    return this._durationMs > 0;
+  }
+
+  get isRunning() {
+    return this._runningSince !== null;
+  }
+
+  get isExpired() {
+    return this._expired;
+  }
+
+  /** Time left in ms */
+  get remainingMs() {
+    const running = this._runningSince !== null ? Date.now() - this._runningSince : 0;
+    return Math.max(0, this._durationMs - this._elapsedMs - running);
+  }
+
+  /**
+   * Start timing a new round from the full duration
+   * @param {number} durationMs - Guessing time; 0 or less switches the timer off
+   */
+  start(durationMs) {
+    this.stop();
+    if (!(durationMs > 0)) return;
+
+    this._durationMs = durationMs;
+    unlockAudio();
+    this.resume();
+  }
+
+  /**
+   * Stand still, keeping the time left
+   */
+  pause() {
+    if (this._runningSince === null) return;
+
+    this._elapsedMs += Date.now() - this._runningSince;
+    this._runningSince = null;
+    this._stopTicking();
+    this._emitTick();
+  }
+
+  /**
+   * Carry on counting down after a pause
+   */
+  resume() {
+    if (!this.isActive || this._expired || this._runningSince !== null) return;
+
+    this._runningSince = Date.now();
+    this._interval = setInterval(() => this._tick(), TICK_MS);
+    document.addEventListener('visibilitychange', this._handleVisibilityChange);
+    this._emitTick();
+  }
+
+  /**
+   * Stop timing the round
+   */
+  stop() {
+    const wasActive = this.isActive;
+
+    this._stopTicking();
+    this._durationMs = 0;
+    this._elapsedMs = 0;
+    this._runningSince = null;
+    this._expired = false;
+
+    if (wasActive) {
+      this._emitTick();
+    }
+  }
+
+  /**
+   * Snapshot for the screen and TV displays
+   * @returns {RoundTimerState|null} null when no round is being timed
+   */
+  toJSON() {
+    if (!this.isActive) return null;
+
+    return {
+      durationMs: this._durationMs,
+      remainingMs: this.remainingMs,
+      running: this.isRunning
+    };
+  }
+
+  /**
+   * Check the clock (also run when the page becomes visible again)
+   * @private
+   */
+  _tick() {
+    if (this._runningSince === null) return;
+
+    if (this.remainingMs > 0) {
+      this._emitTick();
+      return;
+    }
+
+    this._elapsedMs = this._durationMs;
+    this._runningSince = null;
+    this._expired = true;
+    this._stopTicking();
+    this._emitTick();
+
+    if (this._onExpire) {
+      this._onExpire();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _stopTicking() {
+    clearInterval(this._interval);
+    this._interval = null;
+    document.removeEventListener('visibilitychange', this._handleVisibilityChange);
+  }
+
+  /**
+   * @private
+   */
+  _emitTick() {
+    if (this._onTick) {
+      this._onTick(this.toJSON());
+    }
+  }
+}
+
+/**
+ * Let the time-up cue play later. Browsers only allow audio after a user
+ * gesture, so this is called when a round starts (usually from a tap).
+ */
+function unlockAudio() {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return;
+
+  if (!audioContext) {
+    audioContext = new AudioContextClass();
+  }
+  if (audioContext.state === 'suspended') {
+    audioContext.resume().catch(() => {});
+  }
+}
+
+/**
+ * Time's up: three falling beeps and a buzz
+ */
+export function playTimeUpCue() {
+  navigator.vibrate?.(TIME_UP_VIBRATION);
+
+  unlockAudio();
+  if (!audioContext) return;
+
+  const now = audioContext.currentTime;
+  [880, 660, 440].forEach((frequency, i) => {
+    const start = now + i * 0.2;
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+
+    oscillator.type = 'square';
+    oscillator.frequency.value = frequency;
+
+    // Short attack and decay so the beeps don't click
+    gain.gain.setValueAtTime(0.0001, start);
+    gain.gain.exponentialRampToValueAtTime(0.2, start + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + 0.18);
+
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start(start);
+    oscillator.stop(start + 0.2);
+  });
+}
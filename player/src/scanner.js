@@ -1,16 +1,35 @@
 /**
  * QR Code Scanner Module
  * 
- * Uses html5-qrcode library for camera-based QR code scanning.
- * Uses jsQR for inverted QR codes (white on dark background) with native support.
+ * Uses html5-qrcode library for the camera and the scan box.
+ * Frames are decoded in a Web Worker (see qr-pipeline.js), which also reads
+ * inverted QR codes (white on dark background).
  */
 
 import { Html5Qrcode } from 'html5-qrcode';
-import jsQR from 'jsqr';
+import { QRDecodePipeline } from './qr-pipeline.js';
+import { decodeImage } from './qr-decode.js';
+import { CardResolverChain } from './card-resolvers.js';
 
 // Set to true to enable debug logging to on-screen panel and console
 const DEBUG_MODE = false;
 
+// Scan box size in CSS pixels
+const QR_BOX_SIZE = 280;
+
+// html5-qrcode's own decoding rate: a slow backup while the worker pipeline runs
+const HTML5_QRCODE_FPS = 10;
+const HTML5_QRCODE_BACKUP_FPS = 2;
+
+// localStorage key for the chosen camera
+const CAMERA_KEY = 'hitster_camera_id';
+
+// Tap-to-focus switches back to continuous focus after this long
+const FOCUS_HOLD_MS = 3000;
+
+// Photos are scaled down to at most this size before decoding
+const MAX_PHOTO_SIZE = 1600;
+
 /**
  * Add a debug entry to the on-screen debug panel
  * Set DEBUG_MODE = true at the top of this file to enable
@@ -66,25 +85,34 @@ export class QRScanner {
    * @param {Object} options - Scanner options
    * @param {Function} options.onScan - Callback when a valid Spotify track is scanned
    * @param {Function} options.onError - Callback for errors
+   * @param {Function} [options.onUnsupported] - Callback (message, text) for QR codes that aren't playable cards
+   * @param {Function} [options.onPayload] - Callback for codes a resolver turned into something other than a track (e.g. a shared deck)
+   * @param {CardResolverChain} [options.resolvers] - Card formats to accept (default: all built-in formats)
    * @param {number} options.cooldownMs - Cooldown between scans (default: 3000ms)
+   * @param {string} [options.cameraId] - Camera to use (default: the remembered one, or the back camera)
    */
   constructor(elementId, options = {}) {
     this.elementId = elementId;
     this.onScan = options.onScan || (() => {});
     this.onError = options.onError || console.error;
+    this.onUnsupported = options.onUnsupported || (() => {});
+    this.onPayload = options.onPayload || (() => {});
+    this.resolvers = options.resolvers || new CardResolverChain();
     this.cooldownMs = options.cooldownMs || 3000;
+    this.cameraId = options.cameraId || localStorage.getItem(CAMERA_KEY) || null;
     
     this.scanner = null;
     this.videoElement = null;
-    this.canvas = null;
-    this.canvasCtx = null;
-    this.scanInterval = null;
-    this.invertedScanInterval = null;
+    this.pipeline = null;
     this.isScanning = false;
     this.lastScannedCode = null;
     this.lastScanTime = 0;
+    this.resolvingCode = null;
+    this.torchOn = false;
+    this.focusTimer = null;
+    this.restartPromise = null;
     
-    debugLog('Scanner initialized (jsQR + inverted mode)', 'info');
+    debugLog('Scanner initialized (worker pipeline)', 'info');
   }
 
   /**
@@ -105,8 +133,8 @@ export class QRScanner {
       
       // Scanner configuration
       const config = {
-        fps: 10,
-        qrbox: { width: 280, height: 280 },
+        fps: QRDecodePipeline.isSupported ? HTML5_QRCODE_BACKUP_FPS : HTML5_QRCODE_FPS,
+        qrbox: { width: QR_BOX_SIZE, height: QR_BOX_SIZE },
         experimentalFeatures: {
           useBarCodeDetectorIfSupported: true
         }
@@ -115,30 +143,39 @@ export class QRScanner {
       debugLog('Starting camera...', 'info');
       
       let frameCount = 0;
-      let invertedScanCount = 0;
-
-      await this.scanner.start(
-        { facingMode: 'environment' },
-        config,
-        (decodedText) => {
-          debugLog(`🎯 NORMAL scan: "${decodedText}"`, 'success');
-          this.handleScan(decodedText);
-        },
-        (errorMessage) => {
-          frameCount++;
-          if (frameCount === 1) {
-            debugLog('📷 Camera active, starting inverted scanning...', 'success');
-            // Start inverted frame scanning after camera is active
-            this.startInvertedScanning();
-          }
-          if (frameCount % 200 === 0) {
-            debugLog(`Frames: ${frameCount}, Inverted scans: ${invertedScanCount}`, 'info');
-          }
+
+      const onDecoded = (decodedText) => {
+        debugLog(`🎯 NORMAL scan: "${decodedText}"`, 'success');
+        this.handleScan(decodedText);
+      };
+
+      const onFrame = (errorMessage) => {
+        frameCount++;
+        if (frameCount === 1) {
+          debugLog('📷 Camera active, starting decode pipeline...', 'success');
+          // Start the worker pipeline once the camera is active
+          this.startPipeline();
+        }
+        if (frameCount % 200 === 0) {
+          debugLog(`Frames: ${frameCount}, avg decode: ${Math.round(this.pipeline?.averageDecodeMs ?? 0)}ms`, 'info');
         }
-      );
+      };
+
+      try {
+        await this.scanner.start(this.cameraId || { facingMode: 'environment' }, config, onDecoded, onFrame);
+      } catch (error) {
+        if (!this.cameraId) throw error;
+
+        // The remembered camera is gone (e.g. an unplugged webcam) - use the default one
+        debugLog(`Saved camera unavailable: ${error.message}`, 'error');
+        this.cameraId = null;
+        localStorage.removeItem(CAMERA_KEY);
+        await this.scanner.start({ facingMode: 'environment' }, config, onDecoded, onFrame);
+      }
 
       this.isScanning = true;
-      debugLog('✅ Scanner started! Scanning both normal and inverted.', 'success');
+      this.torchOn = false;
+      debugLog('✅ Scanner started!', 'success');
       
     } catch (error) {
       debugLog(`❌ Camera error: ${error.message}`, 'error');
@@ -148,110 +185,153 @@ export class QRScanner {
   }
 
   /**
-   * Start scanning inverted frames from the video using jsQR
+   * Start decoding video frames in the worker pipeline
    */
-  startInvertedScanning() {
+  startPipeline() {
+    if (!QRDecodePipeline.isSupported || this.pipeline) return;
+
     // Get the video element created by html5-qrcode
     this.videoElement = document.querySelector(`#${this.elementId} video`);
     if (!this.videoElement) {
-      debugLog('Could not find video element for inverted scanning', 'error');
+      debugLog('Could not find video element for the decode pipeline', 'error');
       return;
     }
 
-    // Create a canvas for frame processing
-    this.canvas = document.createElement('canvas');
-    this.canvasCtx = this.canvas.getContext('2d', { willReadFrequently: true });
-
-    debugLog('jsQR inverted scanning enabled (attemptBoth mode)', 'success');
-
-    // Scan frames periodically with jsQR (primary scanner)
-    this.scanInterval = setInterval(() => {
-      this.scanWithJsQR();
-    }, 100); // Scan 10 times per second for better responsiveness
+    this.pipeline = new QRDecodePipeline(this.videoElement, {
+      regionSize: QR_BOX_SIZE,
+      onDecode: (decodedText) => {
+        debugLog(`🎯 Pipeline scan: "${decodedText}"`, 'success');
+        this.handleScan(decodedText);
+      }
+    });
+    this.pipeline.start();
 
-    // Also run manual inversion scan as fallback (less frequently)
-    this.invertedScanInterval = setInterval(() => {
-      this.scanInvertedFrame();
-    }, 300); // 3 times per second
+    debugLog(`Decode pipeline started (${this.pipeline.usesWorker ? 'worker' : 'main thread'})`, 'success');
   }
 
   /**
-   * Scan a frame using jsQR with inversionAttempts for better inverted QR support
+   * List the cameras on this device
+   * @returns {Promise<Array<{id: string, label: string}>>}
    */
-  scanWithJsQR() {
-    if (!this.videoElement || !this.canvas || !this.isScanning) return;
-    if (this.videoElement.readyState !== 4) return; // Video not ready
-
+  static async getCameras() {
     try {
-      const width = this.videoElement.videoWidth;
-      const height = this.videoElement.videoHeight;
-      
-      if (width === 0 || height === 0) return;
+      return await Html5Qrcode.getCameras();
+    } catch (error) {
+      debugLog(`Could not list cameras: ${error.message}`, 'error');
+      return [];
+    }
+  }
 
-      // Set canvas size
-      this.canvas.width = width;
-      this.canvas.height = height;
+  /**
+   * Switch to another camera and remember the choice
+   * @param {string} cameraId - Camera ID from getCameras()
+   * @returns {Promise<void>}
+   */
+  async switchCamera(cameraId) {
+    localStorage.setItem(CAMERA_KEY, cameraId);
+    this.cameraId = cameraId;
 
-      // Draw video frame to canvas
-      this.canvasCtx.drawImage(this.videoElement, 0, 0, width, height);
+    if (this.isScanning) {
+      await this.stop();
+      await this.start();
+    }
+  }
 
-      // Get image data
-      const imageData = this.canvasCtx.getImageData(0, 0, width, height);
+  /**
+   * The running camera track
+   * @returns {MediaStreamTrack|null}
+   */
+  getVideoTrack() {
+    const video = document.querySelector(`#${this.elementId} video`);
+    return video?.srcObject?.getVideoTracks?.()[0] || null;
+  }
 
-      // Use jsQR with inversionAttempts to handle both normal and inverted QR codes
-      const code = jsQR(imageData.data, width, height, {
-        inversionAttempts: 'attemptBoth', // Try both normal and inverted
-      });
+  /**
+   * ID of the camera in use (the remembered one, or whichever the browser picked)
+   * @returns {string|null}
+   */
+  get activeCameraId() {
+    return this.getVideoTrack()?.getSettings?.().deviceId || this.cameraId;
+  }
 
-      if (code && code.data) {
-        debugLog(`🎯 jsQR scan: "${code.data}"`, 'success');
-        this.handleScan(code.data);
+  /**
+   * What the running camera lets us control
+   * @returns {{torch: boolean, zoom: {min: number, max: number, step: number, value: number}|null, focus: boolean}}
+   */
+  getCameraControls() {
+    const track = this.getVideoTrack();
+    const capabilities = track?.getCapabilities?.() || {};
+    const settings = track?.getSettings?.() || {};
+    const supported = navigator.mediaDevices?.getSupportedConstraints?.() || {};
+
+    const zoom = capabilities.zoom && capabilities.zoom.max > capabilities.zoom.min
+      ? {
+        min: capabilities.zoom.min,
+        max: capabilities.zoom.max,
+        step: capabilities.zoom.step || 0.1,
+        value: settings.zoom ?? capabilities.zoom.min
       }
-    } catch (error) {
-      // Error scanning frame - don't log to avoid spam
-    }
+      : null;
+
+    return {
+      torch: Boolean(capabilities.torch),
+      zoom,
+      focus: Boolean(supported.pointsOfInterest && capabilities.focusMode?.includes('single-shot'))
+    };
   }
 
   /**
-   * Scan with manual color inversion for edge cases
-   * (Used as fallback when jsQR's built-in inversion isn't enough)
+   * Turn the flashlight on or off
+   * @param {boolean} on
+   * @returns {Promise<boolean>} Whether the torch is now on
    */
-  scanInvertedFrame() {
-    if (!this.videoElement || !this.canvas || !this.isScanning) return;
-    if (this.videoElement.readyState !== 4) return;
+  async setTorch(on) {
+    const track = this.getVideoTrack();
+    if (!track || !this.getCameraControls().torch) return false;
 
-    try {
-      const width = this.videoElement.videoWidth;
-      const height = this.videoElement.videoHeight;
-      
-      if (width === 0 || height === 0) return;
+    await track.applyConstraints({ advanced: [{ torch: on }] });
+    this.torchOn = on;
+    return on;
+  }
 
-      this.canvas.width = width;
-      this.canvas.height = height;
-      this.canvasCtx.drawImage(this.videoElement, 0, 0, width, height);
+  /**
+   * Set the camera zoom
+   * @param {number} value - Within getCameraControls().zoom's range
+   * @returns {Promise<void>}
+   */
+  async setZoom(value) {
+    const track = this.getVideoTrack();
+    const zoom = this.getCameraControls().zoom;
+    if (!track || !zoom) return;
+
+    await track.applyConstraints({
+      advanced: [{ zoom: Math.min(zoom.max, Math.max(zoom.min, value)) }]
+    });
+  }
 
-      const imageData = this.canvasCtx.getImageData(0, 0, width, height);
-      const data = imageData.data;
-      
-      // Invert colors
-      for (let i = 0; i < data.length; i += 4) {
-        data[i] = 255 - data[i];       // Red
-        data[i + 1] = 255 - data[i + 1]; // Green
-        data[i + 2] = 255 - data[i + 2]; // Blue
+  /**
+   * Focus on a point of the preview, then go back to continuous focus
+   * @param {number} x - 0 (left) to 1 (right)
+   * @param {number} y - 0 (top) to 1 (bottom)
+   * @returns {Promise<boolean>} Whether the camera supports it
+   */
+  async focusAt(x, y) {
+    const track = this.getVideoTrack();
+    if (!track || !this.getCameraControls().focus) return false;
+
+    await track.applyConstraints({
+      advanced: [{ pointsOfInterest: [{ x, y }], focusMode: 'single-shot' }]
+    });
+
+    clearTimeout(this.focusTimer);
+    this.focusTimer = setTimeout(() => {
+      const current = this.getVideoTrack();
+      if (current?.getCapabilities?.().focusMode?.includes('continuous')) {
+        current.applyConstraints({ advanced: [{ focusMode: 'continuous' }] }).catch(() => {});
       }
+    }, FOCUS_HOLD_MS);
 
-      // Scan the inverted image
-      const code = jsQR(data, width, height, {
-        inversionAttempts: 'dontInvert', // Already inverted manually
-      });
-
-      if (code && code.data) {
-        debugLog(`🎯 Manual invert scan: "${code.data}"`, 'success');
-        this.handleScan(code.data);
-      }
-    } catch (error) {
-      // No QR found
-    }
+    return true;
   }
 
   /**
@@ -259,16 +339,12 @@ export class QRScanner {
    * @returns {Promise<void>}
    */
   async stop() {
-    // Stop jsQR scanning
-    if (this.scanInterval) {
-      clearInterval(this.scanInterval);
-      this.scanInterval = null;
-    }
+    clearTimeout(this.focusTimer);
 
-    // Stop manual inverted scanning
-    if (this.invertedScanInterval) {
-      clearInterval(this.invertedScanInterval);
-      this.invertedScanInterval = null;
+    // Stop the decode pipeline
+    if (this.pipeline) {
+      this.pipeline.stop();
+      this.pipeline = null;
     }
 
     if (!this.isScanning || !this.scanner) {
@@ -284,11 +360,49 @@ export class QRScanner {
     }
   }
 
+  /**
+   * Get a fresh camera stream, e.g. after the page comes back from the
+   * background: the browser may have ended or frozen the old one while
+   * still reporting it as running.
+   * @returns {Promise<void>}
+   */
+  async restart() {
+    if (!this.isScanning) return;
+
+    // Several visibility changes in a row restart once
+    if (!this.restartPromise) {
+      this.restartPromise = this.restartStream().finally(() => {
+        this.restartPromise = null;
+      });
+    }
+    return this.restartPromise;
+  }
+
+  /**
+   * Stop and start the camera, starting over even if stopping fails
+   */
+  async restartStream() {
+    debugLog('Restarting camera...', 'info');
+    await this.stop();
+
+    if (this.isScanning) {
+      // The dead stream couldn't be stopped - drop it and build a new scanner
+      this.isScanning = false;
+      try {
+        this.scanner.clear();
+      } catch (error) {
+        debugLog(`Error clearing: ${error.message}`, 'error');
+      }
+    }
+
+    await this.start();
+  }
+
   /**
    * Handle a successful QR scan
    * @param {string} decodedText - The decoded QR code content
    */
-  handleScan(decodedText) {
+  async handleScan(decodedText) {
     const now = Date.now();
     
     // Check cooldown
@@ -301,56 +415,111 @@ export class QRScanner {
       return;
     }
 
-    // Validate Spotify track URI
-    const trackUri = this.extractSpotifyTrackUri(decodedText);
-    
-    if (!trackUri) {
-      debugLog(`❌ Not Spotify: "${decodedText.substring(0, 40)}..."`, 'error');
+    // One card at a time (short links and Hitster cards resolve asynchronously)
+    if (this.resolvingCode !== null) {
       return;
     }
 
+    this.resolvingCode = decodedText;
+    let result;
+
+    try {
+      result = await this.resolvers.resolve(decodedText);
+    } catch (error) {
+      // Report an unsupported card once, not on every frame it stays in view
+      this.lastScannedCode = decodedText;
+      this.lastScanTime = Date.now();
+      debugLog(`❌ Unsupported: "${decodedText.substring(0, 40)}" (${error.message})`, 'error');
+      this.onUnsupported(error.message, decodedText);
+      return;
+    } finally {
+      this.resolvingCode = null;
+    }
+
     // Update state
     this.lastScannedCode = decodedText;
-    this.lastScanTime = now;
+    this.lastScanTime = Date.now();
 
     // Visual feedback
     this.triggerScanAnimation();
 
+    if (typeof result !== 'string') {
+      // Multi-part payloads are shown one code after another: take the next
+      // one straight away, only the same code waits for the cooldown
+      this.lastScanTime -= this.cooldownMs;
+      debugLog(`📦 Payload: ${result.type}`, 'success');
+      this.onPayload(result);
+      return;
+    }
+
     // Call the callback with the track URI
-    debugLog(`🎵 Playing: ${trackUri}`, 'success');
-    this.onScan(trackUri);
+    debugLog(`🎵 Playing: ${result}`, 'success');
+    this.onScan(result);
   }
 
   /**
-   * Extract Spotify track URI from scanned content
+   * Play a card entered without the camera (pasted link, typed card number).
+   * Skips the cooldown - the user asked for this card explicitly.
+   * @param {string} text - Anything the resolver chain accepts
+   * @returns {Promise<string|Object>} Track URI passed to onScan, or payload passed to onPayload
+   * @throws {import('./card-resolvers.js').UnsupportedCardError} If the text isn't a playable card
    */
-  extractSpotifyTrackUri(content) {
-    if (!content) return null;
-    
-    const trimmed = content.trim();
+  async submitCode(text) {
+    const result = await this.resolvers.resolve(text);
 
-    // Already a Spotify URI
-    if (trimmed.startsWith('spotify:track:')) {
-      const trackId = trimmed.split(':')[2];
-      if (this.isValidTrackId(trackId)) {
-        return trimmed;
-      }
-    }
+    // Don't let the camera play the same card again straight away
+    this.lastScannedCode = text;
+    this.lastScanTime = Date.now();
 
-    // Spotify URL
-    const urlMatch = trimmed.match(/open\.spotify\.com\/track\/([a-zA-Z0-9]+)/);
-    if (urlMatch && this.isValidTrackId(urlMatch[1])) {
-      return `spotify:track:${urlMatch[1]}`;
+    this.triggerScanAnimation();
+    if (typeof result !== 'string') {
+      debugLog(`📦 Payload (manual): ${result.type}`, 'success');
+      this.onPayload(result);
+      return result;
     }
 
-    return null;
+    debugLog(`🎵 Playing (manual): ${result}`, 'success');
+    this.onScan(result);
+    return result;
   }
 
   /**
-   * Validate a Spotify track ID
+   * Decode a QR code from a photo or image file and play it
+   * @param {Blob} file - Image from a file input
+   * @returns {Promise<string|Object>} Track URI passed to onScan, or payload passed to onPayload
    */
-  isValidTrackId(trackId) {
-    return trackId && /^[a-zA-Z0-9]{15,25}$/.test(trackId);
+  async scanImageFile(file) {
+    let image;
+    try {
+      image = await createImageBitmap(file);
+    } catch (error) {
+      throw new Error("Couldn't open that image.");
+    }
+
+    // Phone photos are huge; QR codes decode fine (and much faster) when scaled down
+    const scale = Math.min(1, MAX_PHOTO_SIZE / Math.max(image.width, image.height));
+    if (scale < 1) {
+      const full = image;
+      image = await createImageBitmap(full, {
+        resizeWidth: Math.round(full.width * scale),
+        resizeHeight: Math.round(full.height * scale)
+      });
+      full.close();
+    }
+
+    let result;
+    try {
+      result = await decodeImage(image);
+    } finally {
+      image.close();
+    }
+
+    if (!result) {
+      throw new Error('No QR code found in that photo. Try a closer, sharper shot.');
+    }
+
+    debugLog(`🎯 Photo scan: "${result.data}"`, 'success');
+    return this.submitCode(result.data);
   }
 
   /**
@@ -373,9 +542,9 @@ export class QRScanner {
     let message = 'Scanner error';
     
     if (error.name === 'NotAllowedError') {
-      message = 'Camera permission denied. Please allow camera access and reload.';
+      message = 'Camera permission denied. Allow camera access and reload, or scan a photo or type the card below.';
     } else if (error.name === 'NotFoundError') {
-      message = 'No camera found on this device.';
+      message = 'No camera found on this device. Scan a photo or type the card below.';
     } else if (error.name === 'NotReadableError') {
       message = 'Camera is in use by another application.';
     } else if (error.message) {
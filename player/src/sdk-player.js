@@ -6,8 +6,7 @@
  */
 
 import { PlaybackEngine } from './playback-engine.js';
-
-const SPOTIFY_API_BASE = 'https://api.spotify.com/v1';
+import { AuthError, PremiumRequiredError, NoActiveDeviceError } from './spotify-api.js';
 
 export class SDKPlayer extends PlaybackEngine {
   constructor() {
@@ -17,7 +16,6 @@ export class SDKPlayer extends PlaybackEngine {
     this._deviceId = null;
     this._ready = false;
     this._volume = 50;
-    this._getTokenCallback = null;
   }
 
   get requiresAuth() {
@@ -61,18 +59,7 @@ export class SDKPlayer extends PlaybackEngine {
       this._player = new window.Spotify.Player({
         name,
         getOAuthToken: async (cb) => {
-          // Try to get fresh token if callback provided
-          if (this._getTokenCallback) {
-            try {
-              const freshToken = await this._getTokenCallback();
-              if (freshToken) {
-                this._token = freshToken;
-              }
-            } catch (error) {
-              console.warn('Failed to refresh token:', error);
-            }
-          }
-          cb(this._token);
+          cb(await this._getAccessToken());
         },
         volume: this._volume / 100
       });
@@ -85,12 +72,14 @@ export class SDKPlayer extends PlaybackEngine {
 
       this._player.addListener('authentication_error', ({ message }) => {
         console.error('SDK authentication error:', message);
-        this._emitError(new Error('Authentication failed. Please log in again.'));
+        this._emitError(new AuthError('Authentication failed. Please log in again.'));
       });
 
       this._player.addListener('account_error', ({ message }) => {
         console.error('SDK account error:', message);
-        this._emitError(new Error('Spotify Premium required for in-browser playback.'));
+        const error = new PremiumRequiredError('Spotify Premium required for in-browser playback.');
+        this._emitError(error);
+        reject(error);
       });
 
       this._player.addListener('playback_error', ({ message }) => {
@@ -131,7 +120,8 @@ export class SDKPlayer extends PlaybackEngine {
             album: track.album.name,
             albumArt: track.album.images[0]?.url || null,
             albumArtSmall: track.album.images[2]?.url || track.album.images[0]?.url || null,
-            year: null, // SDK doesn't provide release date
+            // SDK doesn't provide the release date: keep the one looked up when play() started
+            year: this._currentTrack?.uri === track.uri ? this._currentTrack.year : null,
             durationMs: track.duration_ms,
             previewUrl: null
           };
@@ -192,76 +182,54 @@ export class SDKPlayer extends PlaybackEngine {
    * Play a track
    * @param {string} trackUri - Spotify track URI
    * @param {Object} [trackInfo] - Optional track info (ignored, SDK provides its own)
+   * @param {import('./playback-engine.js').PlayOptions} [options] - Start offset and snippet length
    */
-  async play(trackUri, trackInfo = null) {
+  async play(trackUri, trackInfo = null, options = {}) {
+    const { startPositionMs = null, maxDurationMs = null } = options;
+
     if (!this._ready || !this._deviceId) {
       throw new Error('SDK player not ready');
     }
 
-    // Use Spotify Web API to start playback on our SDK device
-    const response = await fetch(`${SPOTIFY_API_BASE}/me/player/play?device_id=${this._deviceId}`, {
-      method: 'PUT',
-      headers: {
-        'Authorization': `Bearer ${this._token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        uris: [trackUri]
-      })
-    });
+    const signal = this._beginPlayRequest();
 
-    if (!response.ok && response.status !== 204) {
-      if (response.status === 401) {
-        throw new Error('Token expired. Please log in again.');
-      }
-      if (response.status === 403) {
-        throw new Error('Spotify Premium required for playback.');
-      }
-      if (response.status === 404) {
-        throw new Error('Player not found. Please refresh the page.');
+    // A random start needs the track length before playback starts
+    const trackId = trackUri.split(':')[2];
+    let info = startPositionMs === 'random' ? await this._fetchTrackInfo(trackId, signal) : null;
+    const positionMs = this._resolveStartPosition(startPositionMs, info?.durationMs, maxDurationMs);
+
+    // Use Spotify Web API to start playback on our SDK device
+    try {
+      await this._api.put('/me/player/play', {
+        uris: [trackUri],
+        position_ms: positionMs
+      }, { query: { device_id: this._deviceId }, signal });
+    } catch (error) {
+      if (error instanceof NoActiveDeviceError) {
+        throw new NoActiveDeviceError('Player not found. Please refresh the page.');
       }
-      const errorText = await response.text();
-      throw new Error(`Playback failed: ${errorText}`);
+      throw error;
     }
 
     this._isPlaying = true;
+    this._startSnippet(maxDurationMs);
 
     // Fetch full track info (SDK doesn't provide year)
-    const info = await this._fetchTrackInfo(trackUri.split(':')[2]);
+    info = info || await this._fetchTrackInfo(trackId, signal);
     this._currentTrack = info;
 
     return info;
   }
 
   /**
-   * Fetch track info from Spotify API
+   * Fetch track info from Spotify API, falling back to what the SDK knows
    * @private
    */
-  async _fetchTrackInfo(trackId) {
+  async _fetchTrackInfo(trackId, signal) {
     try {
-      const response = await fetch(`${SPOTIFY_API_BASE}/tracks/${trackId}`, {
-        headers: {
-          'Authorization': `Bearer ${this._token}`
-        }
-      });
-
-      if (response.ok) {
-        const track = await response.json();
-        return {
-          id: track.id,
-          uri: track.uri,
-          name: track.name,
-          artists: track.artists.map(a => a.name),
-          artistString: track.artists.map(a => a.name).join(', '),
-          album: track.album.name,
-          albumArt: track.album.images[0]?.url || null,
-          albumArtSmall: track.album.images[2]?.url || track.album.images[0]?.url || null,
-          year: this._extractYear(track.album.release_date),
-          durationMs: track.duration_ms,
-          previewUrl: track.preview_url
-        };
-      }
+      return await this._lookupTrack(trackId, signal);
     } catch (error) {
+      if (error.name === 'AbortError') throw error;
       console.warn('Failed to fetch track info:', error);
     }
 
@@ -280,16 +248,6 @@ export class SDKPlayer extends PlaybackEngine {
     };
   }
 
-  /**
-   * Extract year from release date
-   * @private
-   */
-  _extractYear(releaseDate) {
-    if (!releaseDate) return null;
-    const year = parseInt(releaseDate.substring(0, 4), 10);
-    return isNaN(year) ? null : year;
-  }
-
   async pause() {
     if (this._player) {
       await this._player.pause();
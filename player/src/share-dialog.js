@@ -0,0 +1,154 @@
+/**
+ * Share Dialog Module
+ *
+ * Overlay for sending a deck to another device: a link to paste into any
+ * chat, and QR codes to scan with the player's scanner. Decks too big for
+ * one QR code are shown as a sequence of codes that advances by itself, so
+ * the other phone can simply keep scanning.
+ */
+
+import QRCode from 'qrcode';
+import { encodeDeck, getDeckShareUrl, getDeckShareQrTexts } from './deck-share.js';
+import { showOverlay, showToast } from './ui.js';
+
+// How long each part of a multi-part deck stays on screen
+const PART_INTERVAL_MS = 1500;
+
+let handlersReady = false;
+let shareUrl = '';
+let qrTexts = [];
+let qrImages = new Map();
+let partIndex = 0;
+let partTimer = null;
+let paused = false;
+
+/**
+ * Open the share dialog for a deck
+ * @param {import('./deck.js').Deck} deck
+ */
+export async function openShareDialog(deck) {
+  if (!handlersReady) {
+    setupHandlers();
+    handlersReady = true;
+  }
+
+  document.getElementById('share-deck-name').textContent = deck.name;
+  document.getElementById('share-status').textContent = 'Packing deck...';
+  document.getElementById('share-qr').removeAttribute('src');
+  document.getElementById('share-qr-controls').hidden = true;
+  showOverlay('share-overlay', true);
+
+  try {
+    const encoded = await encodeDeck(deck);
+    shareUrl = getDeckShareUrl(encoded);
+    qrTexts = getDeckShareQrTexts(encoded);
+    qrImages = new Map();
+    partIndex = 0;
+    paused = false;
+  } catch (error) {
+    console.error('Deck share failed:', error);
+    document.getElementById('share-status').textContent = `Couldn't pack this deck: ${error.message}`;
+    return;
+  }
+
+  document.getElementById('share-status').textContent = qrTexts.length === 1
+    ? 'Scan with the player on another phone, or send the link.'
+    : `Too big for one QR code: keep the other phone scanning while the ${qrTexts.length} parts play, or send the link.`;
+  document.getElementById('share-qr-controls').hidden = qrTexts.length === 1;
+
+  await showPart(0);
+  startPartTimer();
+}
+
+function setupHandlers() {
+  document.getElementById('share-prev-btn').addEventListener('click', () => {
+    paused = true;
+    showPart(partIndex - 1);
+  });
+  document.getElementById('share-next-btn').addEventListener('click', () => {
+    paused = true;
+    showPart(partIndex + 1);
+  });
+  document.getElementById('share-pause-btn').addEventListener('click', () => {
+    paused = !paused;
+    renderPartCaption();
+  });
+
+  document.getElementById('copy-share-link-btn').addEventListener('click', handleShareLink);
+  document.getElementById('close-share-btn').addEventListener('click', closeShareDialog);
+}
+
+function closeShareDialog() {
+  clearInterval(partTimer);
+  partTimer = null;
+  showOverlay('share-overlay', false);
+}
+
+/**
+ * Cycle through the parts of a multi-part deck
+ */
+function startPartTimer() {
+  clearInterval(partTimer);
+  partTimer = null;
+  if (qrTexts.length < 2) return;
+
+  partTimer = setInterval(() => {
+    if (!paused) showPart(partIndex + 1);
+  }, PART_INTERVAL_MS);
+}
+
+/**
+ * Show one QR code
+ * @param {number} index - Wraps around
+ */
+async function showPart(index) {
+  partIndex = (index + qrTexts.length) % qrTexts.length;
+  renderPartCaption();
+
+  const shown = partIndex;
+  if (!qrImages.has(shown)) {
+    try {
+      qrImages.set(shown, await QRCode.toDataURL(qrTexts[shown], { errorCorrectionLevel: 'L', margin: 2, width: 360 }));
+    } catch (error) {
+      console.warn('Failed to draw share QR code:', error);
+      return;
+    }
+  }
+
+  // Moved on while drawing
+  if (shown === partIndex) {
+    document.getElementById('share-qr').src = qrImages.get(shown);
+  }
+}
+
+function renderPartCaption() {
+  document.getElementById('share-qr-caption').textContent = qrTexts.length > 1
+    ? `Part ${partIndex + 1} of ${qrTexts.length}`
+    : '';
+  document.getElementById('share-pause-btn').textContent = paused ? '▶️ Play' : '⏸️ Pause';
+}
+
+/**
+ * Send the link with the system share sheet, or copy it
+ */
+async function handleShareLink() {
+  if (!shareUrl) return;
+
+  if (navigator.share) {
+    try {
+      await navigator.share({ title: document.getElementById('share-deck-name').textContent, url: shareUrl });
+      return;
+    } catch (error) {
+      // Cancelled by the user
+      if (error.name === 'AbortError') return;
+    }
+  }
+
+  try {
+    await navigator.clipboard.writeText(shareUrl);
+    showToast('Link copied', 'success', 2000);
+  } catch (error) {
+    console.warn('Clipboard write failed:', error);
+    showToast("Couldn't copy the link", 'error');
+  }
+}
@@ -0,0 +1,338 @@
+/**
+ * Spotify Web API Client
+ *
+ * One place for every call to api.spotify.com:
+ * - Injects a fresh access token into each request
+ * - Waits out 429 responses using Retry-After
+ * - Retries 5xx responses and network failures with jittered backoff
+ * - Supports cancellation through AbortSignal
+ * - Turns failures into typed errors the UI can branch on
+ */
+
+export const SPOTIFY_API_BASE = 'https://api.spotify.com/v1';
+
+// Retry defaults
+const DEFAULT_MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 500;
+
+// A Retry-After longer than this is reported instead of waited out
+const MAX_RETRY_AFTER_MS = 30 * 1000;
+
+/** Most track IDs the batch tracks endpoint accepts */
+export const TRACKS_BATCH_SIZE = 50;
+
+/**
+ * Any failed Spotify API request
+ */
+export class SpotifyApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {number|null} [details.status] - HTTP status, null for network errors
+   * @param {string|null} [details.reason] - Spotify's error reason (e.g. PREMIUM_REQUIRED)
+   */
+  constructor(message, { status = null, reason = null } = {}) {
+    super(message);
+    this.name = 'SpotifyApiError';
+    this.status = status;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Not logged in, or the session expired (401)
+ */
+export class AuthError extends SpotifyApiError {
+  constructor(message = 'Spotify session expired. Please log in again.', details = {}) {
+    super(message, { status: 401, ...details });
+    this.name = 'AuthError';
+  }
+}
+
+/**
+ * The account can't control playback (403 on the player API)
+ */
+export class PremiumRequiredError extends SpotifyApiError {
+  constructor(message = 'Spotify Premium required for playback control.', details = {}) {
+    super(message, { status: 403, ...details });
+    this.name = 'PremiumRequiredError';
+  }
+}
+
+/**
+ * No device to play on (404 on the player API)
+ */
+export class NoActiveDeviceError extends SpotifyApiError {
+  constructor(message = 'No active device. Open Spotify on your device first.', details = {}) {
+    super(message, { status: 404, ...details });
+    this.name = 'NoActiveDeviceError';
+  }
+}
+
+/**
+ * Still rate limited after retrying (429)
+ */
+export class RateLimitError extends SpotifyApiError {
+  /**
+   * @param {number} retryAfterMs - How long Spotify asked us to wait
+   */
+  constructor(retryAfterMs, details = {}) {
+    super('Spotify is busy. Try again in a moment.', { status: 429, ...details });
+    this.name = 'RateLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Extract year from a Spotify release date (YYYY, YYYY-MM or YYYY-MM-DD)
+ * @param {string|null} releaseDate
+ * @returns {number|null}
+ */
+export function extractYear(releaseDate) {
+  if (!releaseDate) return null;
+  const year = parseInt(releaseDate.substring(0, 4), 10);
+  return isNaN(year) ? null : year;
+}
+
+/**
+ * Convert a Spotify track object to TrackInfo
+ * @param {Object} track - Track from the Web API
+ * @returns {import('./playback-engine.js').TrackInfo}
+ */
+export function toTrackInfo(track) {
+  return {
+    id: track.id,
+    uri: track.uri,
+    name: track.name,
+    artists: track.artists.map(a => a.name),
+    artistString: track.artists.map(a => a.name).join(', '),
+    album: track.album.name,
+    albumArt: track.album.images[0]?.url || null,
+    albumArtSmall: track.album.images[2]?.url || track.album.images[0]?.url || null,
+    year: extractYear(track.album.release_date),
+    durationMs: track.duration_ms,
+    previewUrl: track.preview_url
+  };
+}
+
+/**
+ * Wait, unless the signal aborts first
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+export class SpotifyApiClient {
+  /**
+   * @param {Object} options
+   * @param {function(): Promise<string|null>} options.getToken - Returns a valid access token
+   * @param {number} [options.maxRetries=3] - Retries for 429, 5xx and network errors
+   */
+  constructor({ getToken, maxRetries = DEFAULT_MAX_RETRIES }) {
+    this._getToken = getToken;
+    this._maxRetries = maxRetries;
+  }
+
+  /**
+   * Make an API request
+   * @param {string} endpoint - Path below /v1 (e.g. '/me/player') or a full URL
+   * @param {Object} [options]
+   * @param {string} [options.method='GET']
+   * @param {Object} [options.query] - Query parameters (null/undefined values are skipped)
+   * @param {Object} [options.body] - JSON body
+   * @param {AbortSignal} [options.signal] - Cancels the request and any pending retry
+   * @param {number} [options.retries] - Override the retry count (0 for background polling)
+   * @returns {Promise<Object|null>} Parsed JSON, or null for empty responses
+   */
+  async request(endpoint, options = {}) {
+    const { method = 'GET', query = null, body, signal, retries = this._maxRetries } = options;
+    const url = this._buildUrl(endpoint, query);
+
+    for (let attempt = 0; ; attempt++) {
+      const token = await this._getToken();
+      if (!token) {
+        throw new AuthError('Log in to Spotify first.');
+      }
+
+      let response;
+      try {
+        response = await fetch(url, {
+          method,
+          signal,
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+          },
+          body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+      } catch (error) {
+        if (error.name === 'AbortError' || attempt >= retries) {
+          throw error.name === 'AbortError'
+            ? error
+            : new SpotifyApiError("Can't reach Spotify. Check your connection.");
+        }
+        await sleep(this._backoffDelay(attempt), signal);
+        continue;
+      }
+
+      if (response.ok) {
+        return this._parseBody(response);
+      }
+
+      if (response.status === 429) {
+        const retryAfterMs = this._retryAfterMs(response, attempt);
+        if (attempt >= retries || retryAfterMs > MAX_RETRY_AFTER_MS) {
+          throw new RateLimitError(retryAfterMs);
+        }
+        await sleep(retryAfterMs, signal);
+        continue;
+      }
+
+      if (response.status >= 500 && attempt < retries) {
+        await sleep(this._backoffDelay(attempt), signal);
+        continue;
+      }
+
+      throw await this._toError(response, endpoint);
+    }
+  }
+
+  /**
+   * GET request
+   * @param {string} endpoint
+   * @param {Object} [options] - See request()
+   * @returns {Promise<Object|null>}
+   */
+  get(endpoint, options = {}) {
+    return this.request(endpoint, { ...options, method: 'GET' });
+  }
+
+  /**
+   * PUT request
+   * @param {string} endpoint
+   * @param {Object} [body] - JSON body
+   * @param {Object} [options] - See request()
+   * @returns {Promise<Object|null>}
+   */
+  put(endpoint, body, options = {}) {
+    return this.request(endpoint, { ...options, method: 'PUT', body });
+  }
+
+  /**
+   * Look up a track
+   * @param {string} trackId - Spotify track ID
+   * @param {Object} [options] - See request()
+   * @returns {Promise<import('./playback-engine.js').TrackInfo>}
+   */
+  async getTrack(trackId, options = {}) {
+    const track = await this.get(`/tracks/${trackId}`, options);
+    return toTrackInfo(track);
+  }
+
+  /**
+   * Look up several tracks in one request
+   * @param {string[]} trackIds - Up to TRACKS_BATCH_SIZE Spotify track IDs
+   * @param {Object} [options] - See request()
+   * @returns {Promise<import('./playback-engine.js').TrackInfo[]>} Found tracks (unknown IDs are left out)
+   */
+  async getTracks(trackIds, options = {}) {
+    if (trackIds.length > TRACKS_BATCH_SIZE) {
+      throw new Error(`At most ${TRACKS_BATCH_SIZE} tracks per request`);
+    }
+
+    const data = await this.get('/tracks', { ...options, query: { ids: trackIds.join(',') } });
+    return (data?.tracks || []).filter(Boolean).map(toTrackInfo);
+  }
+
+  /**
+   * @private
+   */
+  _buildUrl(endpoint, query) {
+    const url = new URL(endpoint.startsWith('http') ? endpoint : `${SPOTIFY_API_BASE}${endpoint}`);
+    Object.entries(query || {}).forEach(([key, value]) => {
+      if (value !== null && value !== undefined) {
+        url.searchParams.set(key, value);
+      }
+    });
+    return url.toString();
+  }
+
+  /**
+   * Empty bodies (204, or 200 with no content) are null
+   * @private
+   */
+  async _parseBody(response) {
+    const text = await response.text();
+    if (!text) return null;
+
+    try {
+      return JSON.parse(text);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Exponential backoff with jitter so retries from many clients spread out
+   * @private
+   */
+  _backoffDelay(attempt) {
+    return RETRY_BASE_DELAY_MS * 2 ** attempt * (0.5 + Math.random());
+  }
+
+  /**
+   * @private
+   */
+  _retryAfterMs(response, attempt) {
+    const seconds = parseInt(response.headers.get('Retry-After'), 10);
+    return Number.isFinite(seconds) ? seconds * 1000 : this._backoffDelay(attempt);
+  }
+
+  /**
+   * Map a failed response to a typed error
+   * @private
+   */
+  async _toError(response, endpoint) {
+    const data = await this._parseBody(response).catch(() => null);
+    const reason = data?.error?.reason || null;
+    const message = data?.error?.message || null;
+    const isPlayerEndpoint = endpoint.startsWith('/me/player');
+    const details = { status: response.status, reason };
+
+    if (response.status === 401) {
+      return new AuthError(undefined, details);
+    }
+
+    if (response.status === 403 && (reason === 'PREMIUM_REQUIRED' || isPlayerEndpoint)) {
+      return new PremiumRequiredError(undefined, details);
+    }
+
+    if (reason === 'NO_ACTIVE_DEVICE' || (response.status === 404 && isPlayerEndpoint)) {
+      return new NoActiveDeviceError(undefined, details);
+    }
+
+    return new SpotifyApiError(
+      message ? `Spotify error: ${message}` : `Spotify request failed (${response.status})`,
+      details
+    );
+  }
+}
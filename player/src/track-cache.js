@@ -0,0 +1,319 @@
+/**
+ * Track Cache Module
+ *
+ * Keeps Spotify track metadata and album art in IndexedDB so a scan can show
+ * its card without waiting on the network. When a game starts the whole deck
+ * can be prefetched with the batch tracks endpoint; after that, reveals work
+ * even if the venue Wi-Fi drops mid-game.
+ *
+ * Entries older than the TTL are refreshed on the next lookup, but still
+ * served if Spotify can't be reached. The least recently used entries are
+ * dropped once a store grows past its size limit.
+ */
+
+import { STORES, withStore, promisifyRequest } from './db.js';
+import { AuthError, TRACKS_BATCH_SIZE } from './spotify-api.js';
+
+// Metadata is refreshed after this long (release years rarely change)
+const TRACK_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Size limits - album art is ~50-100 KB per image
+const MAX_CACHED_TRACKS = 5000;
+const MAX_CACHED_ART = 500;
+
+// Album covers downloaded at once while prefetching a deck
+const ART_PREFETCH_CONCURRENCY = 4;
+
+/**
+ * @typedef {Object} CachedTrack
+ * @property {string} id - Spotify track ID
+ * @property {import('./playback-engine.js').TrackInfo} track
+ * @property {number} fetchedAt - When the metadata was fetched (ms since epoch)
+ * @property {number} lastUsedAt - Last lookup, for evicting old entries
+ */
+
+/**
+ * @typedef {Object} CachedArt
+ * @property {string} url - Album art URL
+ * @property {Blob} blob - Image data
+ * @property {number} fetchedAt
+ * @property {number} lastUsedAt
+ */
+
+/**
+ * @typedef {Object} PrefetchResult
+ * @property {number} cached - Tracks that were already fresh in the cache
+ * @property {number} fetched - Tracks fetched from Spotify
+ * @property {number} missing - IDs Spotify didn't know
+ * @property {number} failed - IDs in batches that failed to load (tried again on the next prefetch)
+ */
+
+export class TrackCache {
+  /**
+   * @param {Object} options
+   * @param {import('./spotify-api.js').SpotifyApiClient} options.api - Client used on cache misses
+   * @param {number} [options.ttlMs] - Age after which metadata is refreshed
+   */
+  constructor({ api, ttlMs = TRACK_TTL_MS }) {
+    this._api = api;
+    this._ttlMs = ttlMs;
+
+    /** @type {Map<string, CachedTrack>} */
+    this._memory = new Map();
+
+    /** @type {Map<string, string>} Album art URL -> object URL for this session */
+    this._artUrls = new Map();
+  }
+
+  /**
+   * Look up a track, from the cache when possible
+   * @param {string} trackId - Spotify track ID
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<import('./playback-engine.js').TrackInfo>}
+   */
+  async getTrack(trackId, { signal } = {}) {
+    const cached = await this._read(trackId);
+
+    if (cached && !this._isExpired(cached)) {
+      this._touch(cached);
+      return cached.track;
+    }
+
+    try {
+      const track = await this._api.getTrack(trackId, { signal });
+      this._write([track]);
+      return track;
+    } catch (error) {
+      // Offline or Spotify is down: an old entry beats no card at all
+      if (cached && error.name !== 'AbortError' && !(error instanceof AuthError)) {
+        console.warn('Using cached track info:', error.message);
+        return cached.track;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch every track of a deck that isn't cached yet, then its album art.
+   * A batch that fails is skipped; the others are still cached. Only the
+   * first MAX_CACHED_ART covers are prefetched - for a bigger deck the rest
+   * would just push them out again, so those load when they're revealed.
+   * @param {string[]} trackIds - Spotify track IDs
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @param {boolean} [options.includeArt=true] - Also cache album art images
+   * @returns {Promise<PrefetchResult>}
+   */
+  async prefetchTracks(trackIds, { signal, includeArt = true } = {}) {
+    const uniqueIds = [...new Set(trackIds)];
+    const records = await Promise.all(uniqueIds.map(id => this._read(id)));
+    const fresh = records.filter(record => record && !this._isExpired(record));
+    const staleIds = uniqueIds.filter((id, index) => !fresh.includes(records[index]));
+    const tracks = fresh.map(record => record.track);
+    let fetched = 0;
+    let failed = 0;
+
+    for (let i = 0; i < staleIds.length; i += TRACKS_BATCH_SIZE) {
+      const batchIds = staleIds.slice(i, i + TRACKS_BATCH_SIZE);
+      let batch;
+      try {
+        batch = await this._api.getTracks(batchIds, { signal });
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+
+        console.warn(`Failed to prefetch tracks ${i + 1}-${i + batchIds.length}:`, error.message);
+        failed += batchIds.length;
+        continue;
+      }
+
+      await this._write(batch);
+      tracks.push(...batch);
+      fetched += batch.length;
+    }
+
+    if (includeArt) {
+      const artUrls = [...new Set(tracks.map(track => track.albumArt).filter(Boolean))];
+      await this._cacheAlbumArtBatch(artUrls.slice(0, MAX_CACHED_ART), signal);
+    }
+
+    return {
+      cached: fresh.length,
+      fetched,
+      missing: uniqueIds.length - fresh.length - fetched - failed,
+      failed
+    };
+  }
+
+  /**
+   * Get a URL to show an album cover with: a local object URL when the image
+   * is cached, otherwise the original URL
+   * @param {string|null} url - Album art URL from TrackInfo
+   * @returns {Promise<string|null>}
+   */
+  async getAlbumArtUrl(url) {
+    if (!url) return null;
+    if (this._artUrls.has(url)) return this._artUrls.get(url);
+
+    const record = await this._safely(() => withStore(STORES.albumArt, 'readonly', (store) =>
+      promisifyRequest(store.get(url))
+    ));
+
+    if (!record) {
+      return url;
+    }
+
+    const objectUrl = URL.createObjectURL(record.blob);
+    this._artUrls.set(url, objectUrl);
+    this._safely(() => withStore(STORES.albumArt, 'readwrite', (store) =>
+      promisifyRequest(store.put({ ...record, lastUsedAt: Date.now() }))
+    ));
+    return objectUrl;
+  }
+
+  /**
+   * Download and store an album cover (no-op if already cached)
+   * @param {string|null} url - Album art URL from TrackInfo
+   * @returns {Promise<void>}
+   */
+  async cacheAlbumArt(url) {
+    if (!url || this._artUrls.has(url)) return;
+
+    const existing = await this._safely(() => withStore(STORES.albumArt, 'readonly', (store) =>
+      promisifyRequest(store.getKey(url))
+    ));
+    if (existing) return;
+
+    let blob;
+    try {
+      const response = await fetch(url);
+      if (!response.ok) return;
+      blob = await response.blob();
+    } catch (error) {
+      console.warn('Failed to download album art:', error.message);
+      return;
+    }
+
+    const now = Date.now();
+    await this._safely(async () => {
+      await withStore(STORES.albumArt, 'readwrite', (store) =>
+        promisifyRequest(store.put({ url, blob, fetchedAt: now, lastUsedAt: now }))
+      );
+      await this._prune(STORES.albumArt, MAX_CACHED_ART);
+    });
+  }
+
+  /**
+   * Download album covers a few at a time
+   * @private
+   * @param {string[]} urls
+   * @param {AbortSignal} [signal]
+   */
+  async _cacheAlbumArtBatch(urls, signal) {
+    let next = 0;
+    const worker = async () => {
+      while (next < urls.length) {
+        signal?.throwIfAborted();
+        await this.cacheAlbumArt(urls[next++]);
+      }
+    };
+
+    const workers = Math.min(ART_PREFETCH_CONCURRENCY, urls.length);
+    await Promise.all(Array.from({ length: workers }, worker));
+  }
+
+  /**
+   * @private
+   * @returns {Promise<CachedTrack|null>}
+   */
+  async _read(trackId) {
+    if (this._memory.has(trackId)) {
+      return this._memory.get(trackId);
+    }
+
+    const record = await this._safely(() => withStore(STORES.tracks, 'readonly', (store) =>
+      promisifyRequest(store.get(trackId))
+    ));
+
+    if (record) {
+      this._memory.set(trackId, record);
+    }
+    return record || null;
+  }
+
+  /**
+   * @private
+   */
+  async _write(tracks) {
+    if (tracks.length === 0) return;
+
+    const now = Date.now();
+    const records = tracks.map(track => ({ id: track.id, track, fetchedAt: now, lastUsedAt: now }));
+    records.forEach(record => this._memory.set(record.id, record));
+
+    await this._safely(async () => {
+      await withStore(STORES.tracks, 'readwrite', (store) =>
+        Promise.all(records.map(record => promisifyRequest(store.put(record))))
+      );
+      await this._prune(STORES.tracks, MAX_CACHED_TRACKS);
+    });
+  }
+
+  /**
+   * Record a cache hit so the entry isn't evicted
+   * @private
+   */
+  _touch(record) {
+    record.lastUsedAt = Date.now();
+    this._safely(() => withStore(STORES.tracks, 'readwrite', (store) =>
+      promisifyRequest(store.put(record))
+    ));
+  }
+
+  /**
+   * @private
+   */
+  _isExpired(record) {
+    return Date.now() - record.fetchedAt > this._ttlMs;
+  }
+
+  /**
+   * Delete the least recently used entries beyond the limit
+   * @private
+   */
+  async _prune(storeName, maxEntries) {
+    await withStore(storeName, 'readwrite', async (store) => {
+      let excess = (await promisifyRequest(store.count())) - maxEntries;
+      if (excess <= 0) return;
+
+      await new Promise((resolve, reject) => {
+        const request = store.index('lastUsedAt').openCursor();
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor || excess <= 0) {
+            resolve();
+            return;
+          }
+          cursor.delete();
+          excess--;
+          cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+      });
+    });
+  }
+
+  /**
+   * The cache is an optimisation: storage errors (private mode, quota) are
+   * logged and never break playback
+   * @private
+   */
+  async _safely(operation) {
+    try {
+      return await operation();
+    } catch (error) {
+      console.warn('Track cache unavailable:', error.message);
+      return null;
+    }
+  }
+}
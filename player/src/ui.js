@@ -4,6 +4,8 @@
  * Toast notifications and UI state management.
  */
 
+import { TOKEN_COSTS } from './game.js';
+
 /**
  * Show a toast notification
  * @param {string} message - Message to display
@@ -143,6 +145,14 @@ export function updateNowPlaying(track, revealed = false) {
   yearEl.textContent = track.year || '???';
 }
 
+/**
+ * Swap the now playing album art (e.g. for a cached copy)
+ * @param {string} src - Image URL
+ */
+export function updateAlbumArt(src) {
+  document.getElementById('album-art').src = src;
+}
+
 /**
  * Reveal all song info (album art, title, artist, year)
  */
@@ -219,7 +229,7 @@ export function getStoredMode() {
 
 /**
  * Save playback mode to localStorage
- * @param {string} mode - 'sdk' or 'external'
+ * @param {string} mode - 'sdk', 'external' or 'preview'
  */
 export function saveMode(mode) {
   localStorage.setItem('hitster_playback_mode', mode);
@@ -232,9 +242,70 @@ export function clearStoredMode() {
   localStorage.removeItem('hitster_playback_mode');
 }
 
+/**
+ * Get stored snippet preset
+ * @returns {string|null} Preset key or null
+ */
+export function getStoredSnippetPreset() {
+  return localStorage.getItem('hitster_snippet_preset');
+}
+
+/**
+ * Save snippet preset to localStorage
+ * @param {string} preset - Preset key
+ */
+export function saveSnippetPreset(preset) {
+  localStorage.setItem('hitster_snippet_preset', preset);
+}
+
+/**
+ * Get stored guessing time
+ * @returns {string|null} Seconds ('0' = no timer) or null
+ */
+export function getStoredRoundTimer() {
+  return localStorage.getItem('hitster_round_timer');
+}
+
+/**
+ * Save guessing time to localStorage
+ * @param {string} seconds
+ */
+export function saveRoundTimer(seconds) {
+  localStorage.setItem('hitster_round_timer', seconds);
+}
+
+/**
+ * Show the time left to guess
+ * @param {import('./round-timer.js').RoundTimerState|null} timer - null hides the clock
+ */
+export function renderRoundTimer(timer) {
+  const timerEl = document.getElementById('round-timer');
+  if (!timerEl) return;
+
+  timerEl.hidden = !timer;
+  if (!timer) return;
+
+  const seconds = Math.ceil(timer.remainingMs / 1000);
+  timerEl.textContent = `⏱️ ${seconds}`;
+  timerEl.classList.toggle('paused', !timer.running && timer.remainingMs > 0);
+  timerEl.classList.toggle('urgent', seconds <= 5);
+  timerEl.classList.toggle('expired', timer.remainingMs === 0);
+}
+
+/**
+ * Show or hide the "+10 s" button
+ * @param {boolean} show
+ */
+export function updateMoreTimeButton(show) {
+  const moreTimeBtn = document.getElementById('more-time-btn');
+  if (moreTimeBtn) {
+    moreTimeBtn.hidden = !show;
+  }
+}
+
 /**
  * Update player header to show current mode
- * @param {string} mode - 'sdk' or 'external'
+ * @param {string} mode - 'sdk', 'external' or 'preview'
  * @param {string} [deviceName] - Device name for external mode
  */
 export function updatePlayerHeader(mode, deviceName = null) {
@@ -260,12 +331,20 @@ export function updatePlayerHeader(mode, deviceName = null) {
         changeDeviceBtn.title = 'Change device';
       }
       break;
+
+    case 'preview':
+      deviceLabel.textContent = 'Playing';
+      deviceNameEl.textContent = 'Preview Clips';
+      if (changeDeviceBtn) {
+        changeDeviceBtn.title = 'Change playback';
+      }
+      break;
   }
 }
 
 /**
  * Get icon SVG for playback mode
- * @param {string} mode - 'sdk' or 'external'
+ * @param {string} mode - 'sdk', 'external' or 'preview'
  * @returns {string} SVG HTML
  */
 export function getModeIcon(mode) {
@@ -278,6 +357,10 @@ export function getModeIcon(mode) {
     external: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
       <rect x="2" y="7" width="20" height="14" rx="2" ry="2"/>
       <polyline points="17 2 12 7 7 2"/>
+    </svg>`,
+    preview: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <circle cx="12" cy="12" r="10"/>
+      <polyline points="12 6 12 12 16 14"/>
     </svg>`
   };
 
@@ -354,6 +437,80 @@ export function showScannerHideButton() {
   }
 }
 
+/**
+ * Show the camera controls the running camera supports
+ * @param {Object} controls - QRScanner.getCameraControls()
+ * @param {Object} [options]
+ * @param {Array<{id: string, label: string}>} [options.cameras] - Cameras to pick from
+ * @param {string|null} [options.cameraId] - Camera in use
+ * @param {boolean} [options.torchOn] - Whether the flashlight is on
+ */
+export function renderScannerControls(controls, options = {}) {
+  const { cameras = [], cameraId = null, torchOn = false } = options;
+  const torchBtn = document.getElementById('torch-btn');
+  const zoomSlider = document.getElementById('zoom-slider');
+  const cameraSelect = document.getElementById('camera-select');
+
+  torchBtn.hidden = !controls.torch;
+  torchBtn.classList.toggle('active', torchOn);
+
+  zoomSlider.hidden = !controls.zoom;
+  if (controls.zoom) {
+    zoomSlider.min = controls.zoom.min;
+    zoomSlider.max = controls.zoom.max;
+    zoomSlider.step = controls.zoom.step;
+    zoomSlider.value = controls.zoom.value;
+  }
+
+  cameraSelect.hidden = cameras.length < 2;
+  cameraSelect.innerHTML = cameras.map((camera, index) => `
+    <option value="${escapeHtml(camera.id)}" ${camera.id === cameraId ? 'selected' : ''}>
+      ${escapeHtml(camera.label || `Camera ${index + 1}`)}
+    </option>
+  `).join('');
+}
+
+let focusRingTimer = null;
+
+/**
+ * Flash the tap-to-focus marker
+ * @param {number} x - Offset from the scanner's left edge in px
+ * @param {number} y - Offset from the scanner's top edge in px
+ */
+export function showFocusRing(x, y) {
+  const ring = document.getElementById('focus-ring');
+  if (!ring) return;
+
+  ring.hidden = true;
+  ring.style.left = `${x}px`;
+  ring.style.top = `${y}px`;
+  // Re-trigger the animation
+  void ring.offsetWidth;
+  ring.hidden = false;
+
+  clearTimeout(focusRingTimer);
+  focusRingTimer = setTimeout(() => {
+    ring.hidden = true;
+  }, 1200);
+}
+
+/**
+ * Show or hide the form for typing a link or card number
+ * @param {boolean} show
+ */
+export function showManualEntry(show) {
+  const form = document.getElementById('manual-entry-form');
+  const input = document.getElementById('manual-entry-input');
+  if (!form || !input) return;
+
+  form.hidden = !show;
+  if (show) {
+    input.focus();
+  } else {
+    input.value = '';
+  }
+}
+
 /**
  * Check if scanner is currently hidden
  * @returns {boolean}
@@ -363,3 +520,419 @@ export function isScannerHidden() {
   return scannerContainer?.classList.contains('scanner-hidden') ?? false;
 }
 
+/**
+ * Show or hide an overlay panel
+ * @param {string} overlayId - ID of the overlay element
+ * @param {boolean} show
+ */
+export function showOverlay(overlayId, show = true) {
+  const overlay = document.getElementById(overlayId);
+  if (overlay) {
+    overlay.hidden = !show;
+  }
+}
+
+/**
+ * Render the player name inputs on the game setup overlay
+ * @param {string[]} names - Current player names
+ */
+export function renderPlayerInputs(names) {
+  const container = document.getElementById('player-inputs');
+  if (!container) return;
+
+  container.innerHTML = names.map((name, index) => `
+    <div class="player-input-row">
+      <input type="text" class="player-input" data-index="${index}"
+        placeholder="Player ${index + 1}" value="${escapeHtml(name)}" maxlength="20">
+      <button type="button" class="btn-icon remove-player-btn" data-index="${index}" title="Remove player"
+        ${names.length <= 1 ? 'disabled' : ''}>
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <line x1="18" y1="6" x2="6" y2="18"/>
+          <line x1="6" y1="6" x2="18" y2="18"/>
+        </svg>
+      </button>
+    </div>
+  `).join('');
+}
+
+/**
+ * Show or hide the in-game panel (scoreboard and timeline)
+ * @param {boolean} show
+ */
+export function showGamePanel(show = true) {
+  const panel = document.getElementById('game-panel');
+  if (panel) {
+    panel.hidden = !show;
+  }
+}
+
+/**
+ * Render the scoreboard
+ * @param {import('./game.js').HitsterGame} game
+ */
+export function renderScoreboard(game) {
+  const scoreboard = document.getElementById('scoreboard');
+  if (!scoreboard) return;
+
+  const winner = game.winner;
+
+  scoreboard.innerHTML = game.players.map(p => {
+    const isTurn = !winner && p.id === game.currentPlayer.id;
+    const classes = ['score-chip', isTurn ? 'turn' : '', winner?.id === p.id ? 'winner' : ''].join(' ');
+    return `
+      <div class="${classes}">
+        <span class="score-name">${escapeHtml(p.name)}</span>
+        <span class="score-count">${p.timeline.length}/${game.targetCards}</span>
+        <span class="score-tokens" title="Tokens">🪙${p.tokens}</span>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Render a player's timeline with tappable gaps between the cards
+ * @param {import('./game.js').GamePlayer} owner - Player whose timeline is shown
+ * @param {Object} [options]
+ * @param {number|null} [options.selectedPosition] - Highlighted gap
+ * @param {boolean} [options.interactive=false] - Whether gaps can be tapped
+ * @param {string} [options.caption] - Text shown above the timeline
+ * @param {Object<number, string>} [options.markers] - Labels for gaps claimed by challengers
+ * @param {string} [options.elementId='timeline'] - Timeline container
+ * @param {string} [options.captionId='timeline-caption'] - Caption element
+ */
+export function renderTimeline(owner, options = {}) {
+  const {
+    selectedPosition = null,
+    interactive = false,
+    caption = '',
+    markers = {},
+    elementId = 'timeline',
+    captionId = 'timeline-caption'
+  } = options;
+  const timelineEl = document.getElementById(elementId);
+  const captionEl = document.getElementById(captionId);
+  if (!timelineEl) return;
+
+  if (captionEl) {
+    captionEl.textContent = caption || `${owner.name}'s timeline`;
+  }
+
+  const gap = (position) => {
+    const marker = markers[position];
+    const classes = ['timeline-gap', position === selectedPosition ? 'selected' : '', marker ? 'challenged' : ''].join(' ');
+    return `
+      <button type="button" class="${classes}"
+        data-position="${position}" ${interactive && !marker ? '' : 'disabled'}
+        title="${marker ? escapeHtml(marker) : 'Place the song here'}">
+        <span class="timeline-gap-marker">${marker ? escapeHtml(marker.charAt(0).toUpperCase()) : '+'}</span>
+      </button>
+    `;
+  };
+
+  const cards = owner.timeline.map((card, index) => `
+    ${gap(index)}
+    <div class="timeline-card">
+      <span class="timeline-card-year">${card.year}</span>
+      <span class="timeline-card-title">${escapeHtml(card.name)}</span>
+      <span class="timeline-card-artist">${escapeHtml(card.artistString)}</span>
+    </div>
+  `).join('');
+
+  timelineEl.innerHTML = cards + gap(owner.timeline.length);
+  timelineEl.classList.toggle('interactive', interactive);
+
+  // Keep the chosen gap in view on narrow screens
+  const selected = timelineEl.querySelector('.timeline-gap.selected');
+  if (selected) {
+    selected.scrollIntoView({ block: 'nearest', inline: 'center' });
+  }
+}
+
+/**
+ * Update the token action buttons for the current round
+ * @param {import('./game.js').HitsterGame} game
+ * @param {Object} [options]
+ * @param {boolean} [options.choosingChallenger=false] - Whether the challenger picker is open
+ * @param {string|null} [options.challengerId] - Challenger about to pick a gap
+ */
+export function renderRoundActions(game, options = {}) {
+  const { choosingChallenger = false, challengerId = null, buzzes = [] } = options;
+  const actions = document.getElementById('round-actions');
+  const picker = document.getElementById('challenge-picker');
+  const buzzList = document.getElementById('buzz-list');
+  if (!actions || !picker) return;
+
+  const round = game.currentRound;
+  const pending = game.hasPendingRound;
+  actions.hidden = !pending;
+
+  if (pending) {
+    const roundPlayer = game.getPlayer(round.playerId);
+    const challengers = game.getEligibleChallengers();
+    const locked = Boolean(round.locked);
+
+    document.getElementById('named-btn').disabled = round.namedBy.includes(roundPlayer.id);
+    document.getElementById('skip-btn').disabled = locked || roundPlayer.tokens < TOKEN_COSTS.skip;
+    document.getElementById('buy-btn').disabled = locked || roundPlayer.tokens < TOKEN_COSTS.buy || round.track.year == null;
+
+    const challengeBtn = document.getElementById('challenge-btn');
+    challengeBtn.disabled = challengers.length === 0 && !choosingChallenger;
+    challengeBtn.classList.toggle('active', choosingChallenger);
+
+    picker.hidden = !choosingChallenger;
+    picker.innerHTML = challengerId
+      ? `<p class="challenge-hint">${escapeHtml(game.getPlayer(challengerId).name)}: tap the spot you think is right</p>`
+      : challengers.map(p => `
+          <button type="button" class="btn-chip challenger-chip" data-player-id="${p.id}">
+            ${escapeHtml(p.name)} <span class="score-tokens">🪙${p.tokens}</span>
+          </button>
+        `).join('');
+  } else {
+    picker.hidden = true;
+    picker.innerHTML = '';
+  }
+
+  if (buzzList) {
+    // Players who buzzed in from their phones, in order - tap to award the naming token
+    buzzList.hidden = !pending || buzzes.length === 0;
+    buzzList.innerHTML = pending ? buzzes.map((buzz, index) => {
+      const buzzer = game.getPlayer(buzz.playerId);
+      const named = round.namedBy.includes(buzz.playerId);
+      return `
+        <button type="button" class="btn-chip buzz-chip" data-player-id="${buzz.playerId}" ${named ? 'disabled' : ''}
+          title="Named it - award a token">
+          ${index + 1}. 🔔 ${escapeHtml(buzzer?.name || '?')} ${named ? '✓' : '+1'}
+        </button>
+      `;
+    }).join('') : '';
+  }
+}
+
+/**
+ * Format saved-game scores as "Alice 4 · Bob 3"
+ * @param {import('./game-store.js').SavedGame} record
+ * @returns {string}
+ */
+function formatScores(record) {
+  return record.scores.map(s => `${s.name} ${s.cards}`).join(' · ');
+}
+
+/**
+ * Show or hide the "Resume game" card on the setup screen
+ * @param {import('./game-store.js').SavedGame|null} record - Saved game, or null to hide
+ * @param {boolean} [restored=false] - Whether the game has already been loaded
+ */
+export function renderResumeCard(record, restored = false) {
+  const card = document.getElementById('resume-game');
+  if (!card) return;
+
+  if (!record) {
+    card.hidden = true;
+    card.innerHTML = '';
+    return;
+  }
+
+  card.hidden = false;
+  card.innerHTML = restored ? `
+    <div class="resume-info">
+      <span class="resume-title">Game restored</span>
+      <span class="resume-detail">Pick a device and tap Start Scanning to continue</span>
+    </div>
+  ` : `
+    <div class="resume-info">
+      <span class="resume-title">Game in progress</span>
+      <span class="resume-detail">${escapeHtml(formatScores(record))} &mdash; round ${record.roundsPlayed}</span>
+    </div>
+    <div class="resume-actions">
+      <button type="button" id="resume-game-btn" class="btn-chip">Resume</button>
+      <button type="button" id="discard-game-btn" class="btn-chip">Discard</button>
+    </div>
+  `;
+}
+
+/**
+ * Render the list of finished games
+ * @param {import('./game-store.js').SavedGame[]} records
+ */
+export function renderGameHistory(records) {
+  const list = document.getElementById('history-list');
+  if (!list) return;
+
+  if (records.length === 0) {
+    list.innerHTML = '<p class="history-empty">No finished games yet</p>';
+    return;
+  }
+
+  list.innerHTML = records.map(record => {
+    const date = new Date(record.createdAt).toLocaleString(undefined, {
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    });
+    const result = record.winner ? `🏆 ${escapeHtml(record.winner)}` : 'Ended early';
+
+    return `
+      <div class="history-item">
+        <div class="history-info">
+          <span class="history-date">${date} &middot; ${record.roundsPlayed} rounds</span>
+          <span class="history-winner">${result}</span>
+          <span class="history-scores">${escapeHtml(formatScores(record))}</span>
+        </div>
+        <button type="button" class="btn-icon delete-game-btn" data-game-id="${record.id}" title="Delete game">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <polyline points="3 6 5 6 21 6"/>
+            <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6M10 11v6M14 11v6M9 6V4h6v2"/>
+          </svg>
+        </button>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Render the songs played this session, newest first
+ * @param {import('./play-history.js').PlayedTrack[]} entries
+ * @param {Object} [options]
+ * @param {string|null} [options.mysteryUri] - Song still being guessed; shown without its details
+ */
+export function renderPlayHistory(entries, options = {}) {
+  const { mysteryUri = null } = options;
+  const list = document.getElementById('played-list');
+  if (!list) return;
+
+  if (entries.length === 0) {
+    list.innerHTML = '<p class="history-empty">No songs played yet</p>';
+    return;
+  }
+
+  list.innerHTML = entries.slice().reverse().map(entry => {
+    const time = new Date(entry.playedAt).toLocaleTimeString(undefined, { timeStyle: 'short' });
+    const by = entry.playedBy ? ` &middot; ${escapeHtml(entry.playedBy)}` : '';
+
+    if (entry.uri === mysteryUri) {
+      return `
+        <div class="history-item played-item">
+          <div class="played-art played-art-mystery">?</div>
+          <div class="history-info">
+            <span class="history-date">${time}${by}</span>
+            <span class="history-winner">Now playing</span>
+            <span class="history-scores">Revealed after the round</span>
+          </div>
+        </div>
+      `;
+    }
+
+    const art = entry.albumArt
+      ? `<img class="played-art" src="${escapeHtml(entry.albumArt)}" alt="" loading="lazy">`
+      : '<div class="played-art"></div>';
+
+    return `
+      <div class="history-item played-item">
+        ${art}
+        <div class="history-info">
+          <span class="history-date">${time}${by}</span>
+          <span class="history-winner">${escapeHtml(entry.name)}</span>
+          <span class="history-scores">${escapeHtml(entry.artist)}</span>
+        </div>
+        <span class="timeline-card-year">${entry.year ?? '?'}</span>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Save text or a Blob as a file download
+ * @param {string} filename
+ * @param {string|Blob} content
+ * @param {string} [type='text/plain']
+ */
+export function downloadFile(filename, content, type = 'text/plain') {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Show which deck cards are played from
+ * @param {import('./deck.js').Deck|null} deck
+ * @param {Object} [options]
+ * @param {boolean} [options.digitalDraw=false] - Whether the app deals the songs in new games
+ */
+export function renderActiveDeck(deck, options = {}) {
+  const { digitalDraw = false } = options;
+  const name = document.getElementById('active-deck-name');
+  const clearBtn = document.getElementById('clear-deck-btn');
+  if (!name || !clearBtn) return;
+
+  name.textContent = deck ? `${deck.name} (${deck.songs.length} songs)` : 'none - any card plays';
+  clearBtn.hidden = !deck;
+
+  const printBtn = document.getElementById('print-deck-btn');
+  if (printBtn) {
+    printBtn.hidden = !deck;
+  }
+
+  const drawBtn = document.getElementById('digital-draw-btn');
+  if (drawBtn) {
+    drawBtn.hidden = !deck;
+    drawBtn.classList.toggle('active', digitalDraw);
+    drawBtn.setAttribute('aria-pressed', String(digitalDraw));
+    drawBtn.textContent = digitalDraw ? '🎲 Digital draw: on' : '🎲 Digital draw: off';
+  }
+}
+
+/**
+ * Show the button that deals the next song in digital draw games
+ * @param {import('./draw-pile.js').DrawPile|null} pile - null when cards are scanned
+ */
+export function renderDrawButton(pile) {
+  const button = document.getElementById('draw-song-btn');
+  if (!button) return;
+
+  button.hidden = !pile;
+  if (!pile) return;
+
+  button.disabled = pile.remaining === 0;
+  button.textContent = pile.remaining === 0
+    ? '🎲 No songs left'
+    : `🎲 Draw a song (${pile.remaining} left)`;
+}
+
+/**
+ * Render the room panel on the game setup overlay
+ * @param {Object|null} room - Room info from the server, or null when no room is open
+ * @param {Object} [options]
+ * @param {string} [options.qrDataUrl] - Join QR code image
+ * @param {string} [options.displayUrl] - Link for TV displays on other devices
+ */
+export function renderRoomInfo(room, options = {}) {
+  const { qrDataUrl = '', displayUrl = '' } = options;
+  const info = document.getElementById('room-info');
+  const hostBtn = document.getElementById('host-room-btn');
+  if (!info) return;
+
+  info.hidden = !room;
+  if (hostBtn) {
+    hostBtn.hidden = Boolean(room);
+  }
+  if (!room) return;
+
+  document.getElementById('room-code').textContent = room.code;
+  document.getElementById('room-display-url').textContent = displayUrl ? `TV display: ${displayUrl}` : '';
+
+  const qr = document.getElementById('room-qr');
+  if (qrDataUrl && qr.src !== qrDataUrl) {
+    qr.src = qrDataUrl;
+  }
+
+  const players = room.participants.filter(p => p.role === 'player');
+  document.getElementById('room-players').innerHTML = players.length === 0
+    ? '<li class="room-players-empty">Nobody has joined yet</li>'
+    : players.map(p => `
+      <li class="${p.connected ? '' : 'offline'}">${escapeHtml(p.name)}${p.connected ? '' : ' (offline)'}</li>
+    `).join('');
+}
@@ -0,0 +1,168 @@
+/**
+ * Validate Dialog Module
+ *
+ * Overlay reporting the songs of a deck that won't play for the logged-in
+ * user (see deck-validator.js), with a replacement picked for each one and
+ * a button that patches the deck in one go.
+ */
+
+import { validateDeck, TRACK_PROBLEM_LABELS } from './deck-validator.js';
+import { replaceTrack } from './deck.js';
+import { saveDeck } from './deck-store.js';
+import { AuthError } from './spotify-api.js';
+import { showOverlay, showToast, escapeHtml, setLoading } from './ui.js';
+
+let api = null;
+let onPatched = null;
+let handlersReady = false;
+let validateAbort = null;
+
+let deck = null;
+let issues = [];
+
+/**
+ * Check a deck and show the report
+ * @param {import('./deck.js').Deck} savedDeck
+ * @param {Object} options
+ * @param {import('./spotify-api.js').SpotifyApiClient} options.api
+ * @param {function(import('./deck.js').Deck): void} [options.onPatched] - Called after the deck is saved with fixes
+ */
+export async function openValidateDialog(savedDeck, options) {
+  deck = savedDeck;
+  api = options.api;
+  onPatched = options.onPatched || null;
+  issues = [];
+
+  if (!handlersReady) {
+    setupHandlers();
+    handlersReady = true;
+  }
+
+  document.getElementById('validate-deck-name').textContent = deck.name;
+  document.getElementById('validate-list').innerHTML = '';
+  document.getElementById('patch-deck-btn').hidden = true;
+  showOverlay('validate-overlay', true);
+
+  await runValidation();
+}
+
+function setupHandlers() {
+  document.getElementById('patch-deck-btn').addEventListener('click', handlePatch);
+  document.getElementById('close-validate-btn').addEventListener('click', () => {
+    validateAbort?.abort();
+    showOverlay('validate-overlay', false);
+  });
+}
+
+/**
+ * Look up every track of the deck
+ */
+async function runValidation() {
+  validateAbort?.abort();
+  const abort = new AbortController();
+  validateAbort = abort;
+
+  const status = document.getElementById('validate-status');
+  const steps = { tracks: 'Checking tracks', replacements: 'Looking for replacements' };
+  status.textContent = 'Checking tracks...';
+
+  try {
+    issues = await validateDeck(api, deck.songs, {
+      signal: abort.signal,
+      onProgress: (step, done, total) => {
+        status.textContent = `${steps[step]}... ${done} / ${total}`;
+      }
+    });
+
+    status.textContent = issues.length > 0
+      ? `${issues.length} songs won't play as they are - pick a replacement for each, then apply.`
+      : 'Every song plays in your country.';
+    renderIssues();
+
+  } catch (error) {
+    if (error.name === 'AbortError') return;
+
+    console.error('Deck validation failed:', error);
+    status.textContent = error instanceof AuthError
+      ? 'Your Spotify session expired - log in again to check decks.'
+      : `Check failed: ${error.message}`;
+  } finally {
+    if (validateAbort === abort) {
+      validateAbort = null;
+    }
+  }
+}
+
+/**
+ * Render the report with a replacement picker per song
+ */
+function renderIssues() {
+  const list = document.getElementById('validate-list');
+  document.getElementById('patch-deck-btn').hidden = !issues.some(issue => issue.replacements.length > 0);
+
+  list.innerHTML = issues.map((issue) => {
+    const song = deck.songs[issue.index];
+    const reason = issue.reason ? ` (${escapeHtml(issue.reason)})` : '';
+    const options = issue.replacements.map((replacement, i) => `
+      <option value="${i}">${escapeHtml(replacement.title)} - ${escapeHtml(replacement.album)}${replacement.year ? ` (${replacement.year})` : ''}</option>
+    `).join('');
+
+    return `
+      <div class="history-item validate-item">
+        <div class="history-info">
+          <span class="history-winner">#${issue.index + 1} ${escapeHtml(song.title)}</span>
+          <span class="history-scores">${escapeHtml(song.artist)} &middot; ${TRACK_PROBLEM_LABELS[issue.problem]}${reason}</span>
+        </div>
+        ${issue.replacements.length > 0 ? `
+          <select class="print-select validate-choice" data-index="${issue.index}" aria-label="Replacement">
+            ${options}
+            <option value="">Leave as is</option>
+          </select>
+        ` : '<span class="year-check-none">No replacement found</span>'}
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Swap in the chosen replacements and save the deck
+ */
+async function handlePatch() {
+  const songs = [...deck.songs];
+  const trackReplacements = { ...deck.trackReplacements };
+  const yearOverrides = { ...deck.yearOverrides };
+  let fixed = 0;
+
+  document.querySelectorAll('#validate-list .validate-choice').forEach((select) => {
+    if (select.value === '') return;
+    const issue = issues.find(i => i.index === parseInt(select.dataset.index, 10));
+    const replacement = issue?.replacements[parseInt(select.value, 10)];
+    if (!replacement) return;
+
+    replaceTrack(songs, trackReplacements, yearOverrides, issue.index, replacement.uri);
+    fixed++;
+  });
+
+  if (fixed === 0) {
+    showToast('Nothing to change', 'info', 2000);
+    return;
+  }
+
+  const patchBtn = document.getElementById('patch-deck-btn');
+  setLoading(patchBtn, true);
+
+  try {
+    deck = await saveDeck({ ...deck, songs, trackReplacements, yearOverrides });
+    issues = issues.filter(issue => !document.querySelector(`#validate-list .validate-choice[data-index="${issue.index}"]`)?.value);
+    renderIssues();
+    document.getElementById('validate-status').textContent = issues.length > 0
+      ? `Fixed ${fixed} songs. ${issues.length} left as they are.`
+      : `Fixed ${fixed} songs. Printed cards keep working - they play the replacement.`;
+    onPatched?.(deck);
+  } catch (error) {
+    console.error('Failed to patch deck:', error);
+    showToast('Could not save the deck', 'error');
+  } finally {
+    setLoading(patchBtn, false);
+  }
+}
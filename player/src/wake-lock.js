@@ -0,0 +1,78 @@
+/**
+ * Wake Lock Module
+ *
+ * Keeps the host phone's screen on during a game, so it doesn't go to sleep
+ * mid-round and take the camera with it. Browsers drop the lock whenever the
+ * page is hidden, so it is taken again each time the page comes back.
+ */
+
+let wanted = false;
+let sentinel = null;
+let requesting = false;
+let listening = false;
+
+/**
+ * Keep the screen on, or let it sleep again
+ * @param {boolean} on
+ */
+export function keepScreenOn(on) {
+  if (!('wakeLock' in navigator)) return;
+
+  wanted = on;
+
+  if (!listening) {
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    listening = true;
+  }
+
+  if (on) {
+    requestLock();
+  } else {
+    releaseLock();
+  }
+}
+
+/**
+ * Take the lock if it's wanted and not held
+ */
+async function requestLock() {
+  if (!wanted || sentinel || requesting || document.visibilityState !== 'visible') return;
+
+  requesting = true;
+  try {
+    const lock = await navigator.wakeLock.request('screen');
+
+    // Released again while the request was in flight
+    if (!wanted) {
+      lock.release().catch(() => {});
+      return;
+    }
+
+    sentinel = lock;
+    sentinel.addEventListener('release', () => {
+      if (sentinel === lock) {
+        sentinel = null;
+      }
+    });
+  } catch (error) {
+    // Refused, e.g. in battery saver mode - the screen just sleeps as usual
+    console.warn('Wake lock unavailable:', error.message);
+  } finally {
+    requesting = false;
+  }
+}
+
+/**
+ * Let the screen sleep
+ */
+function releaseLock() {
+  const lock = sentinel;
+  sentinel = null;
+  lock?.release().catch(() => {});
+}
+
+function handleVisibilityChange() {
+  if (document.visibilityState === 'visible') {
+    requestLock();
+  }
+}
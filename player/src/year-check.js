@@ -0,0 +1,179 @@
+/**
+ * Year Check Module
+ *
+ * Spotify dates a track by the album it's on, so a 1969 hit taken from a
+ * 1996 best-of shows up as 1996. This finds the deck songs whose year is
+ * suspicious and looks for the earliest release of the same song:
+ * - The track is on a compilation
+ * - The title has a "Remastered" / "Single Version" style suffix
+ * - The year is far from the artist's other releases
+ */
+
+import { TRACKS_BATCH_SIZE, extractYear } from './spotify-api.js';
+import { songTrackUri } from './deck.js';
+
+// Years from the artist's median release year before a song looks out of place
+const OUTLIER_YEARS = 12;
+
+// Suffixes added to re-released tracks: "Song - Remastered 2011", "Song (Single Version)"
+const RELEASE_SUFFIX = /\s+(?:-\s+[^-]*\b(?:remaster(?:ed)?|version|mono|stereo|edit|re-?recorded|anniversary)\b.*|[([][^)\]]*\b(?:remaster(?:ed)?|version|mono|stereo|edit|re-?recorded|anniversary)\b[^)\]]*[)\]])$/i;
+
+/**
+ * @typedef {'compilation'|'suffix'|'outlier'} YearFlag
+ */
+
+/**
+ * @typedef {Object} YearCheck
+ * @property {number} index - Song index in the deck
+ * @property {string} uri - Track URI
+ * @property {number|null} year - Year in the deck
+ * @property {YearFlag[]} flags - Why the year looks wrong
+ * @property {number|null} suggestedYear - Year of the earliest release found, null if none
+ */
+
+/** Labels for YearFlag values */
+export const YEAR_FLAG_LABELS = {
+  compilation: 'on a compilation',
+  suffix: 'remaster/version',
+  outlier: "far from the artist's other releases"
+};
+
+/**
+ * Strip re-release suffixes from a title
+ * @param {string} title
+ * @returns {string}
+ */
+export function cleanTitle(title) {
+  return String(title || '').replace(RELEASE_SUFFIX, '').trim();
+}
+
+/**
+ * Normalize a title for comparison
+ * @param {string} title
+ * @returns {string}
+ */
+function titleKey(title) {
+  return cleanTitle(title).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Find deck songs whose year looks wrong and suggest the original year.
+ * Only songs whose suggestion differs from their year (or that couldn't be
+ * verified) are returned.
+ * @param {import('./spotify-api.js').SpotifyApiClient} api
+ * @param {import('./deck.js').DeckSong[]} songs
+ * @param {Object} [options]
+ * @param {function(string, number, number): void} [options.onProgress] - Called with (step, done, total)
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<YearCheck[]>}
+ */
+export async function checkYears(api, songs, { onProgress = null, signal } = {}) {
+  const entries = songs
+    .map((song, index) => ({ song, index, uri: songTrackUri(song) }))
+    .filter(entry => entry.uri);
+
+  // 1. Album type and title of every track
+  const tracks = new Map();
+  for (let i = 0; i < entries.length; i += TRACKS_BATCH_SIZE) {
+    const ids = entries.slice(i, i + TRACKS_BATCH_SIZE).map(entry => entry.uri.split(':')[2]);
+    const data = await api.get('/tracks', { query: { ids: ids.join(',') }, signal });
+    (data?.tracks || []).filter(Boolean).forEach(track => tracks.set(track.uri, track));
+    onProgress?.('tracks', Math.min(i + TRACKS_BATCH_SIZE, entries.length), entries.length);
+  }
+
+  // 2. Release years of each artist, to spot outliers
+  const artistIds = [...new Set([...tracks.values()].map(track => track.artists[0]?.id).filter(Boolean))];
+  const artistYears = new Map();
+  for (const [done, artistId] of artistIds.entries()) {
+    artistYears.set(artistId, await getArtistMedianYear(api, artistId, signal));
+    onProgress?.('artists', done + 1, artistIds.length);
+  }
+
+  const flagged = [];
+  for (const entry of entries) {
+    const track = tracks.get(entry.uri);
+    if (!track) continue;
+
+    const flags = [];
+    if (track.album?.album_type === 'compilation') flags.push('compilation');
+    if (cleanTitle(track.name) !== track.name) flags.push('suffix');
+
+    const medianYear = artistYears.get(track.artists[0]?.id);
+    if (entry.song.year && medianYear && Math.abs(entry.song.year - medianYear) > OUTLIER_YEARS) {
+      flags.push('outlier');
+    }
+
+    if (flags.length > 0) {
+      flagged.push({ ...entry, track, flags });
+    }
+  }
+
+  // 3. Earliest release of each suspicious song
+  const checks = [];
+  for (const [done, entry] of flagged.entries()) {
+    const suggestedYear = await findEarliestYear(api, entry.track, signal);
+    onProgress?.('releases', done + 1, flagged.length);
+
+    if (suggestedYear !== entry.song.year) {
+      checks.push({
+        index: entry.index,
+        uri: entry.uri,
+        year: entry.song.year,
+        flags: entry.flags,
+        suggestedYear
+      });
+    }
+  }
+
+  return checks;
+}
+
+/**
+ * Median release year of an artist's albums and singles
+ * @param {import('./spotify-api.js').SpotifyApiClient} api
+ * @param {string} artistId
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<number|null>}
+ */
+async function getArtistMedianYear(api, artistId, signal) {
+  const data = await api.get(`/artists/${artistId}/albums`, {
+    query: { include_groups: 'album,single', limit: 50 },
+    signal
+  });
+
+  const years = (data?.items || [])
+    .map(album => extractYear(album.release_date))
+    .filter(Boolean)
+    .sort((a, b) => a - b);
+
+  return years.length > 0 ? years[Math.floor(years.length / 2)] : null;
+}
+
+/**
+ * Find the earliest release of the same song by the same artist
+ * @param {import('./spotify-api.js').SpotifyApiClient} api
+ * @param {Object} track - Track from the Web API
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<number|null>}
+ */
+async function findEarliestYear(api, track, signal) {
+  const artist = track.artists[0];
+  if (!artist) return null;
+
+  const title = cleanTitle(track.name);
+  const data = await api.get('/search', {
+    query: { q: `track:${title} artist:${artist.name}`, type: 'track', limit: 50 },
+    signal
+  });
+
+  const key = titleKey(title);
+  const years = (data?.tracks?.items || [])
+    .filter(item => item.artists.some(a => a.id === artist.id) && titleKey(item.name) === key)
+    .map(item => extractYear(item.album?.release_date))
+    .filter(Boolean);
+
+  const ownYear = extractYear(track.album?.release_date);
+  if (ownYear) years.push(ownYear);
+
+  return years.length > 0 ? Math.min(...years) : null;
+}
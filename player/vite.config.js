@@ -4,7 +4,16 @@ export default defineConfig({
   server: {
     port: 5173,
     host: true, // Allow access from other devices on network
-    allowedHosts: ['hitster.bestermedia.me'] // Allow Cloudflare Tunnel domain
+    allowedHosts: ['hitster.bestermedia.me'], // Allow Cloudflare Tunnel domain
+    proxy: {
+      // Room server for multi-phone games (run `npm start` in server/)
+      '/ws': {
+        target: 'ws://localhost:8787',
+        ws: true
+      },
+      // Short link expansion for the scanner (same server)
+      '/api': 'http://localhost:8787'
+    }
   },
   build: {
     outDir: 'dist'